@@ -42,6 +42,41 @@ class ClassroomHelper {
     return Classroom.Courses.patch(course, courseId, {'updateMask': 'ownerId'});
   }
 
+  /**
+   * Change the state of a course, e.g. to archive it.
+   *
+   * The caller must be an admin or the current owner.
+   *
+   * @see {@link https://developers.google.com/classroom/reference/rest/v1/courses/patch}
+   *
+   * @param {string} courseId The id of the course
+   * @param {string} newState New state of the course, e.g. 'ARCHIVED'
+   * @return {?Course} The updated course.
+   */
+  static setCourseState(courseId, newState) {
+    const course = {'courseState': newState};
+    return Classroom.Courses.patch(course, courseId, {'updateMask': 'courseState'});
+  }
+
+  /**
+   * Retrieves a course by id, telling a missing course apart from other
+   *  errors (permission denied, quota, backend error), which are raised.
+   *
+   * @param {string} courseId The id of the course
+   * @return {?Course} The course or null if it does not exist.
+   */
+  static findCourse(courseId) {
+    try {
+      return Classroom.Courses.get(courseId);
+    } catch (err) {
+      if (LF.isNotFoundError(err)) {
+        Logger.log('Course with id "%s" not found', courseId);
+        return null;
+      }
+      throw err;
+    }
+  }
+
   /**
    * Retrieves a course by id.
    *
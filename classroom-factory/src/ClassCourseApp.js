@@ -17,12 +17,13 @@ class CourseApp {
   /**
    * Apply a function on the class table present in the current worksheet
    *
-   * TODO: if many tables, select the one intersecting with the cursor, or
-   *  take the first one
+   * If many tables, select the one intersecting with the cursor, or
+   *  take the first one (see select)
    *
    */
   static applyOnClassData(f, r) {
     try {
+      CourseApp.getJob().showKeptReport();
       if (r == undefined) {
         /* no range provided: lookup for a table */
         r = CourseTable.locate(SpreadsheetApp.getActiveSheet());
@@ -52,14 +53,93 @@ class CourseApp {
   * Create Classes
   *
   */
-  static doCreateClasses(cTable) {
+  static doCreateClasses(cTable, dryRun=false) {
+    const job = CourseApp.getJob();
+    job.start({dryRun: dryRun, runId: Utilities.getUuid()});
+    CourseApp.runJob(cTable, job);
+  }
+
+  /**
+  * Preview the creation, without creating anything (dry run)
+  *
+  */
+  static doPreview(cTable) {
+    CourseApp.doCreateClasses(cTable, true);
+  }
+
+  /**
+   * Resume a suspended creation (called by a time-based trigger)
+   *
+   */
+  static resume() {
+    Logger.log("RESUME CALL");
+    const job = CourseApp.getJob();
+    if (!job.resume()) {
+      return;
+    }
+    const r = job.getRange();
+    if (r == null) {
+      /* the sheet holding the table has been deleted */
+      job.finish();
+      return;
+    }
+    this.applyOnClassData(function(cTable) {
+      CourseApp.runJob(cTable, job);
+    }, r);
+  }
+
+  /**
+   * Return the job used to create the classes.
+   *
+   * @return {JobRunner} The job.
+   */
+  static getJob() {
+    return new LF.JobRunner('CourseApp.create', 'resumeCourseCreation',
+        PropertiesService.getDocumentProperties());
+  }
+
+  /**
+   * Create classes as a job, until it is done or suspended
+   *
+   * @param {CourseTable} cTable The data table.
+   * @param {JobRunner} job The job, started or resumed.
+   */
+  static runJob(cTable, job) {
+    if (cTable.create(job)) {
+      CourseApp.showSummary(job);
+    } else {
+      LF.SheetHelper.alertUser(LF.i18n(
+          [
+            'Creation paused before row ' + job.getNextRow() +
+                ' to avoid the time limit; it will resume automatically in a minute.',
+            'Création suspendue avant la ligne ' + job.getNextRow() +
+                ' pour éviter la limite de temps ; elle reprendra automatiquement dans une minute.',
+          ]));
+    }
+  }
 
-    let creationCount = 0;
-    let errorCount = 0;
+  /**
+   * Display the counters of a job that is done, or keep them to display
+   *  them on the next menu call when the job ended from the trigger
+   *
+   * @param {JobRunner} job The job.
+   */
+  static showSummary(job) {
+    const creationCount = job.getCounters().get(COUNTER_CREATED) || 0;
+    const errorCount = job.getErrorCount();
 
-    [creationCount, errorCount] = cTable.create();
+    if (job.getOptions().dryRun) {
+      job.report(LF.i18n(
+          [
+            'Preview done (nothing was created): ' + creationCount +
+                ' classe(s) would be created, ' + errorCount + ' error(s).',
+            'Prévisualisation terminée (rien n\'a été créé) : ' + creationCount +
+                ' classe(s) serai(en)t créé(s), ' + errorCount + ' erreur(s).',
+          ]));
+      return;
+    }
 
-    LF.SheetHelper.alertUser(LF.i18n(
+    job.report(LF.i18n(
         [
           'Class creation done: ' + creationCount +
               ' classe(s) created successfully, ' + errorCount + ' error(s).',
@@ -93,7 +173,7 @@ class CourseApp {
   /**
    * Load class data
    *
-   * do NOT delete row of courses that are not updated
+   * do NOT delete row of courses that are not updated (see prune)
    */
   static doLoadClasses(cTable) {
     cTable.update();
@@ -135,11 +215,45 @@ class CourseApp {
     this.insertHeaderAt(c);
   }
 
+  /**
+   * Let the user choose a table among all the course data tables of the
+   *  spreadsheet, and select it, so that the next commands apply to it
+   *
+   */
+  static select() {
+    Logger.log("SELECT CALL");
+    try {
+      const rs = CourseTable.locateAll();
+      if (rs.length == 0) {
+        throw new Error(LF.i18n([
+          'Cannot find any course data table in this spreadsheet.',
+          'Aucune table de données de cours dans ce classeur.',
+        ]));
+      }
+      const items = rs.map(r => new CourseTable(r).getSummary());
+      const k = LF.SheetHelper.promptChoice(LF.i18n(['Select a course table', 'Sélectionner une table de cours']), items);
+      if (k != null) {
+        rs[k].activate();
+      }
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
   static create() {
     Logger.log("CREATE CALL");
     this.applyOnClassData(this.doCreateClasses);
   }
 
+  static preview() {
+    Logger.log("PREVIEW CALL");
+    this.applyOnClassData(this.doPreview);
+  }
+
   static refresh() {
     Logger.log("REFRESH CALL");
     this.applyOnClassData(this.doRefreshClasses);
@@ -150,6 +264,81 @@ class CourseApp {
     this.applyOnClassData(this.doLoadClasses);
   }
 
+  /**
+   * Delete the rows of courses that no longer exist, after confirmation
+   *
+   */
+  static doPrune(cTable) {
+    if (!LF.SheetHelper.confirmUser(LF.i18n([
+      'Delete the rows of courses that no longer exist?',
+      'Supprimer les lignes des cours qui n\'existent plus ?',
+    ]))) {
+      return;
+    }
+    const {deleted, errors} = cTable.prune();
+    let message = LF.i18n([
+      deleted + ' row(s) deleted.',
+      deleted + ' ligne(s) supprimée(s).',
+    ]);
+    if (errors > 0) {
+      message += ' ' + LF.i18n([
+        errors + ' row(s) could not be checked and were kept, see their status.',
+        errors + ' ligne(s) n\'ont pas pu être vérifiée(s) et sont conservée(s), voir leur statut.',
+      ]);
+    }
+    LF.SheetHelper.alertUser(message);
+  }
+
+  static prune() {
+    Logger.log("PRUNE CALL");
+    this.applyOnClassData(this.doPrune);
+  }
+
+  /**
+   * Undo the last creation, after confirmation: archive the created courses, and
+   *  restore the previous values of the table
+   *
+   */
+  static undo() {
+    Logger.log("UNDO CALL");
+    try {
+      if (!LF.SheetHelper.confirmUser(LF.i18n([
+        'Undo the last course creation?',
+        'Annuler la dernière création de cours ?',
+      ]))) {
+        return;
+      }
+      const res = new LF.RunManifest(MANIFEST_APP).undoLastRun(new Map([
+        [MANIFEST_CREATED_COURSE, id => ClassroomHelper.setCourseState(id, 'ARCHIVED')],
+      ]));
+      LF.SheetHelper.alertUser(LF.i18n([
+        'Undo done: ' + res.undone + ' change(s) undone, ' +
+          res.errors + ' change(s) could not be undone (see the execution log).',
+        'Annulation terminée : ' + res.undone + ' modification(s) annulée(s), ' +
+          res.errors + ' modification(s) n\'ont pas pu être annulée(s) (voir le journal d\'exécution).',
+      ]));
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
+  /**
+   * Show the change log, filtered to the row holding the current cell
+   *
+   */
+  static doShowLog(cTable) {
+    cTable.showLog();
+  }
+
+  static showLog() {
+    Logger.log("SHOW LOG CALL");
+    this.applyOnClassData(this.doShowLog);
+  }
+
   static sample() {
     Logger.log("SAMPLE CALL");
     this.applyOnClassData(this.doAppendSample);
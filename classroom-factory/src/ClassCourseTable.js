@@ -35,6 +35,29 @@ const COL_CLASS_UPDATE_TIME = "Class Update Time";     /* class creation time (s
 /* status info */
 const COL_STATUS = "Status";
 
+/* course states */
+/* @see {@link https://developers.google.com/classroom/reference/rest/v1/courses#CourseState} */
+const COURSE_STATES = ['ACTIVE', 'ARCHIVED', 'PROVISIONED', 'DECLINED', 'SUSPENDED'];
+
+/* action checked by the column schema before creating a course */
+const ACTION_CREATE = 'create';
+
+/* other actions, as recorded in the change log */
+const ACTION_REFRESH = 'refresh';
+const ACTION_LOAD = 'load';
+
+/* job counter of created courses */
+const COUNTER_CREATED = 'created';
+
+/* prefix of the names of the named ranges anchoring the tables */
+const TABLE_ANCHOR_PREFIX = 'CourseTable';
+
+/* application name in the run manifests */
+const MANIFEST_APP = 'CourseApp';
+
+/* change recorded in the run manifests when a course is created (undo: archive the course) */
+const MANIFEST_CREATED_COURSE = 'created course';
+
 
 /**
  * Class representing Classroom courses.
@@ -48,49 +71,19 @@ class CourseTable {
    */
   constructor(r) {
 
-    this.cols = [
-      COL_CLASS_NAME,
-      COL_CLASS_SECTION,
-      COL_CLASS_HEADING,
-      COL_CLASS_DESCRIPTION,
-      COL_CLASS_ROOM,
-      COL_CLASS_OWNER,
-      COL_CLASS_TEACHERS,
-      COL_CLASS_TOPICS,
-      COL_CLASS_STATE,
-      COL_CLASS_CODE,
-      COL_CLASS_URL,
-      COL_CLASS_CREATION_TIME,
-      COL_CLASS_UPDATE_TIME,
-      COL_CLASS_ID,
-      COL_STATUS
-    ];
-
-    const defaults = new Map([
-      [COL_CLASS_OWNER, 'me'],
-      [COL_CLASS_STATE, 'PROVISIONED'],
-    ]);
+    this.schema = CourseTable.getSchema();
 
-    const formats = new Map([
-      [COL_CLASS_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_NAME, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_HEADING, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_DESCRIPTION, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_SECTION, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_ROOM, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_OWNER, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_TEACHERS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_TOPICS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_URL, LF.SheetHelper.setRangeFormatAsText],
-      [COL_CLASS_STATE, CourseTable.setRangeFormatAsCourseState],
-      [COL_CLASS_CREATION_TIME, LF.SheetHelper.setRangeFormatAsDatetime],
-      [COL_CLASS_UPDATE_TIME, LF.SheetHelper.setRangeFormatAsDatetime],
-      [COL_CLASS_CODE, LF.SheetHelper.setRangeFormatAsText],
-    ]);
+    this.cols = this.schema.getLabels();
+
+    this.dt = new LF.DataTable(r, null, null, this.schema);
+    this.dt.setAnchorPrefix(TABLE_ANCHOR_PREFIX);
 
-    this.dt = new LF.DataTable(r, defaults, formats);
+    /* record the values written by the script */
+    this.audit = new LF.AuditLog();
+    this.dt.setAuditLog(this.audit, COL_CLASS_ID);
 
+    /* manifest of the current run, if any */
+    this.manifest = null;
   }
 
 
@@ -99,26 +92,56 @@ class CourseTable {
   /**
    * Locate the target Classroom table in a Sheet
    *
+   * The named range anchoring the table is used first, if any.
+   *
    * @param {Sheet} sheet - The Sheet containing the Classroom table to search for.
    * @return {?Range} The Range of the Classroom table found.
    */
   static locate(sheet) {
-    return LF.DataTable.locateFromLabel(sheet, COL_CLASS_NAME);
+    const r = LF.DataTable.locateFromAnchor(sheet, TABLE_ANCHOR_PREFIX);
+    return r != null ? r : LF.DataTable.locateFromLabel(sheet, COL_CLASS_NAME, CourseTable.getSchema());
   }
 
   /**
-   * Format a cell as course status.
+   * Locate all the Classroom tables in the spreadsheet, across all sheets
    *
-   * @see {@link https://developers.google.com/classroom/reference/rest/v1/courses#CourseState}
+   * @return {Range[]} The Ranges of the tables found.
+   */
+  static locateAll() {
+    return LF.DataTable.locateAll(TABLE_ANCHOR_PREFIX, COL_CLASS_NAME, CourseTable.getSchema());
+  }
+
+  /**
+   * Return the declaration of the columns: type, required-ness, default
+   *  value and accepted header labels.
    *
-   * @param {Range} c - The cell to format as course status.
+   * @return {ColumnSchema} The column schema.
    */
-  static setRangeFormatAsCourseState(c) {
-    let validation = SpreadsheetApp.newDataValidation()
-      .setAllowInvalid(false)
-      .requireValueInList(['ACTIVE', 'ARCHIVED', 'PROVISIONED', 'DECLINED', 'SUSPENDED'], true)
-      .build();
-    c.setDataValidation(validation);
+  static getSchema() {
+    return new LF.ColumnSchema([
+      {label: COL_CLASS_NAME, required: [ACTION_CREATE],
+        aliases: ['Nom du cours', 'Nom de la classe']},
+      {label: COL_CLASS_SECTION, aliases: ['Section du cours']},
+      {label: COL_CLASS_HEADING, aliases: ['Titre du cours']},
+      {label: COL_CLASS_DESCRIPTION, aliases: ['Description du cours']},
+      {label: COL_CLASS_ROOM, aliases: ['Salle du cours', 'Salle']},
+      {label: COL_CLASS_OWNER, type: LF.COLUMN_TYPE_EMAIL, defaultValue: 'me',
+        aliases: ['Propriétaire du cours']},
+      {label: COL_CLASS_TEACHERS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Enseignants du cours', 'Enseignants']},
+      {label: COL_CLASS_TOPICS, type: LF.COLUMN_TYPE_QUOTED_LIST,
+        aliases: ['Thèmes du cours', 'Thèmes']},
+      {label: COL_CLASS_STATE, type: LF.COLUMN_TYPE_ENUM, values: COURSE_STATES,
+        defaultValue: 'PROVISIONED', aliases: ['État du cours']},
+      {label: COL_CLASS_CODE, readOnly: true, aliases: ['Code du cours']},
+      {label: COL_CLASS_URL, readOnly: true, aliases: ['URL du cours']},
+      {label: COL_CLASS_CREATION_TIME, type: LF.COLUMN_TYPE_DATE, readOnly: true,
+        aliases: ['Date de création du cours']},
+      {label: COL_CLASS_UPDATE_TIME, type: LF.COLUMN_TYPE_DATE, readOnly: true,
+        aliases: ['Date de mise à jour du cours']},
+      {label: COL_CLASS_ID, readOnly: true, aliases: ['Id du cours']},
+      {label: COL_STATUS, aliases: ['Statut']},
+    ]);
   }
 
   /**
@@ -353,51 +376,107 @@ class CourseTable {
     Logger.log('Course created: \"%s\" (%s)', oCourse.name, oCourse.id)
 
     /* 2) invite the teachers */
-    if (cmap.has(COL_CLASS_TEACHERS) && cmap.get(COL_CLASS_TEACHERS).length > 0) {
-      let teachers = LF.itemsInString(cmap.get(COL_CLASS_TEACHERS), "[\\s,;]+")
-      if (teachers !== null) {
-        Logger.log("Number of teachers to invite: %s", teachers.length);
-        Logger.log("Teachers to invite: %s", teachers);
-        for (const teacher of teachers) {
-          /* send the invitation to all the teachers but the owner (as it triggers an error) */
-          if (teacher == Classroom.UserProfiles.get(oCourse.ownerId).emailAddress) {
-            Logger.log("Owner \"%s\" will not be invited", teacher);
-          } else {
-            Logger.log("About to invite \"%s\"", teacher);
-
-            var oInvitation = {
-              'userId': teacher,
-              'courseId': oCourse.id,
-              'role': 'TEACHER'
-            }
-            var oInvitation = Classroom.Invitations.create(oInvitation);
-            Logger.log("Invitation created: \"%s\" (%s)", oInvitation.userId, oInvitation.id);
+    let teachers = this.getTeachersFromMap(cmap);
+    if (teachers.length > 0) {
+      Logger.log("Number of teachers to invite: %s", teachers.length);
+      Logger.log("Teachers to invite: %s", teachers);
+      for (const teacher of teachers) {
+        /* send the invitation to all the teachers but the owner (as it triggers an error) */
+        if (teacher == Classroom.UserProfiles.get(oCourse.ownerId).emailAddress) {
+          Logger.log("Owner \"%s\" will not be invited", teacher);
+        } else {
+          Logger.log("About to invite \"%s\"", teacher);
+
+          var oInvitation = {
+            'userId': teacher,
+            'courseId': oCourse.id,
+            'role': 'TEACHER'
           }
+          var oInvitation = Classroom.Invitations.create(oInvitation);
+          Logger.log("Invitation created: \"%s\" (%s)", oInvitation.userId, oInvitation.id);
         }
       }
     }
 
     /* 3) create the topics (in reverse order to have them in the order of the array)*/
-    if (cmap.has(COL_CLASS_TOPICS) && cmap.get(COL_CLASS_TOPICS).length > 0) {
-      let topics = LF.quotedItemsInString(cmap.get(COL_CLASS_TOPICS))
-      if (topics !== null) {
-        Logger.log("Number of topic to create: %s", topics.length);
+    let topics = this.getTopicsFromMap(cmap);
+    if (topics.length > 0) {
+      Logger.log("Number of topic to create: %s", topics.length);
 
-        topics.reverse();
-        for (const s of topics) {
+      topics.reverse();
+      for (const s of topics) {
 
-          var oTopic = {
-            'name': s.trim()
-          }
-          var oTopic = Classroom.Courses.Topics.create(oTopic, oCourse.id);
-          Logger.log("Topic created: \"%s\" (%s)", oTopic.name, oTopic.topicId);
+        var oTopic = {
+          'name': s
         }
+        var oTopic = Classroom.Courses.Topics.create(oTopic, oCourse.id);
+        Logger.log("Topic created: \"%s\" (%s)", oTopic.name, oTopic.topicId);
       }
     }
 
     return oCourse;
   }
 
+  /*
+   * Describe the Google Classroom that would be created from a map.
+   *
+   * The owner is resolved, but nothing is created in Classroom.
+   *
+   * @param {Map} cmap - The course map to use to create the new classroom.
+   * @return {string} - The description of the course creation.
+   */
+  previewClassroomCourseFromMap(cmap) {
+    const ownerId = cmap.get(COL_CLASS_OWNER);
+    let owner;
+    try {
+      owner = Classroom.UserProfiles.get(ownerId).emailAddress;
+    } catch (e) {
+      throw new LF.DataTableCellError(COL_CLASS_OWNER, LF.i18n([
+        `Cannot find the class owner "${ownerId}": ${e}`,
+        `impossible de trouver le propriétaire de la classe "${ownerId}" : ${e}`,
+      ]));
+    }
+
+    /* the owner is not invited */
+    const teachers = this.getTeachersFromMap(cmap).filter(teacher => teacher != owner);
+    const topics = this.getTopicsFromMap(cmap);
+    const none = LF.i18n(['none', 'aucun']);
+
+    return LF.i18n([
+      `Would create class "${cmap.get(COL_CLASS_NAME)}" (${cmap.get(COL_CLASS_STATE)}) owned by ${owner}.`,
+      `Créerait la classe "${cmap.get(COL_CLASS_NAME)}" (${cmap.get(COL_CLASS_STATE)}) avec pour propriétaire ${owner}.`,
+    ]) + '\n' + LF.i18n([
+      `Teachers invited: ${teachers.length > 0 ? teachers.join(', ') : none}; topics: ${topics.length > 0 ? topics.join(', ') : none}.`,
+      `Enseignants invités : ${teachers.length > 0 ? teachers.join(', ') : none} ; sujets : ${topics.length > 0 ? topics.join(', ') : none}.`,
+    ]);
+  }
+
+  /*
+   * Return the list of teachers to invite in a course map.
+   *
+   * @param {Map} cmap - The course map.
+   * @return {string[]} - The list of teachers, possibly empty.
+   */
+  getTeachersFromMap(cmap) {
+    if (cmap.has(COL_CLASS_TEACHERS) && cmap.get(COL_CLASS_TEACHERS).length > 0) {
+      return LF.itemsInString(cmap.get(COL_CLASS_TEACHERS), "[\\s,;]+");
+    }
+    return [];
+  }
+
+  /*
+   * Return the list of topics to create in a course map.
+   *
+   * @param {Map} cmap - The course map.
+   * @return {string[]} - The list of topics, possibly empty.
+   */
+  getTopicsFromMap(cmap) {
+    if (cmap.has(COL_CLASS_TOPICS) && cmap.get(COL_CLASS_TOPICS).length > 0) {
+      return LF.quotedItemsInString(cmap.get(COL_CLASS_TOPICS)).map(s => s.trim());
+    }
+    return [];
+  }
+
   /* high level functions */
 
   /*
@@ -406,27 +485,52 @@ class CourseTable {
    */
   refresh() {
     this.assert(this.has(COL_CLASS_ID), "missing column:'" + COL_CLASS_ID + "'");
-
-    let courses = this.getCoursesAsMaps();
-    Logger.log("Number of cmaps in the map: %s", courses.size);
-
-    for (let [i, c] of courses) {
-      let v = c.get(COL_CLASS_ID);
-      let courseId = v === undefined ? '' : v.toString().trim();
-      if (courseId.length > 0) {
-        Logger.log("Looking up for course id: %s", courseId);
-
-        let oCourse = ClassroomHelper.getCourse(courseId);
-        Logger.log("Got Course: %s", oCourse);
-
-        if (oCourse !== null) {
-          this.updateMapFromCourseObject(c, oCourse);
-          this.setCourseFromMap(i, c);
+    this.audit.setAction(ACTION_REFRESH);
+
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      let courses = this.getCoursesAsMaps();
+      Logger.log("Number of cmaps in the map: %s", courses.size);
+
+      for (let [i, c] of courses) {
+        let v = c.get(COL_CLASS_ID);
+        let courseId = v === undefined ? '' : v.toString().trim();
+        if (courseId.length > 0) {
+          Logger.log("Looking up for course id: %s", courseId);
+
+          let oCourse = ClassroomHelper.getCourse(courseId);
+          Logger.log("Got Course: %s", oCourse);
+
+          if (oCourse !== null) {
+            this.updateMapFromCourseObject(c, oCourse);
+            this.setCourseFromMap(i, c);
+          }
         }
       }
+    } finally {
+      this.dt.endBatch();
     }
   }
 
+  /*
+   * Delete the rows of courses that no longer exist in Classroom.
+   *
+   * Rows whose course cannot be checked are kept, with the error in their status.
+   *
+   * @return {Object} The number of deleted rows, and of rows that could not
+   *                  be checked: {deleted, errors}.
+   */
+  prune() {
+    this.assert(this.has(COL_CLASS_ID), "missing column:'" + COL_CLASS_ID + "'");
+
+    return this.dt.pruneRows(function(cmap) {
+      const v = cmap.get(COL_CLASS_ID);
+      const courseId = v === undefined ? '' : v.toString().trim();
+      return courseId.length > 0 && ClassroomHelper.findCourse(courseId) === null;
+    }, COL_STATUS);
+  }
+
   /*
    * Update course data, possibly adding new course rows.
    *
@@ -435,76 +539,156 @@ class CourseTable {
 
     /* is lookup even possible? */
     let lookup = this.has(COL_CLASS_ID) && (this.getNumCourses() > 0);
+    this.audit.setAction(ACTION_LOAD);
 
-    let oCourses = ClassroomHelper.getCourses(['ACTIVE']); //TODO: param & selector?
-    let courses = this.getCoursesAsMaps();
-    let newCourses = new Set();
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      let oCourses = ClassroomHelper.getCourses(['ACTIVE']); //TODO: param & selector?
+      let newCourses = new Set();
 
-    for (let [courseId, oCourse] of oCourses) {
+      for (let [courseId, oCourse] of oCourses) {
 
-      Logger.log("Table lookup for course \"%s\" (%s)", oCourse.name, courseId);
+        Logger.log("Table lookup for course \"%s\" (%s)", oCourse.name, courseId);
 
-      /* find the [index, row] of the course id in the data table */
-      let res = (lookup ? LF.findMap(courses, COL_CLASS_ID, courseId) : null);
+        try {
+          /* find the row of the course id in the data table */
+          let i = (lookup ? this.dt.findRowByKey(COL_CLASS_ID, courseId) : null);
 
-      if (res !== null) {
-        let [i, cmap] = res;
-        this.updateMapFromCourseObject(cmap, oCourse);
-        this.setCourseFromMap(i, cmap);
-      } else {
-        let cmap = this.getEmptyCourseAsMap();
-        this.updateMapFromCourseObject(cmap, oCourse);
-        newCourses.add(cmap);
+          if (i !== null) {
+            let cmap = this.dt.getRowAsMap(i);
+            this.updateMapFromCourseObject(cmap, oCourse);
+            this.setCourseFromMap(i, cmap);
+          } else {
+            let cmap = this.getEmptyCourseAsMap();
+            this.updateMapFromCourseObject(cmap, oCourse);
+            newCourses.add(cmap);
+          }
+        } catch (e) {
+          if (e.name != 'DataTableCellError') {
+            throw e;
+          }
+          /* duplicate course id: report on each offending row */
+          Logger.log("ERROR: %s", e.message);
+          for (const i of this.dt.findRowsByKey(COL_CLASS_ID, courseId)) {
+            if (this.has(COL_STATUS)) {
+              this.dt.setValue(i, COL_STATUS, e.message);
+            }
+            this.dt.setErrorColor(i, e.label);
+          }
+        }
       }
+      this.addCoursesFromSet(newCourses);
+    } finally {
+      this.dt.endBatch();
     }
-    this.addCoursesFromSet(newCourses);
   }
 
   /*
-   * Create new courses from course data rows without course ids.
+   * Create new courses from course data rows without course ids, as a
+   *  resumable job.
+   *
+   * When the job option dryRun is set, the courses are checked and described
+   *  in COL_STATUS, but not created.
    *
-   * @return {Array} - number of courses created, number of errors.
+   * @param {JobRunner} job - The job, started or resumed.
+   * @return {boolean} - True if all the rows have been processed.
    */
-  create() {
+  create(job) {
     this.dt.ensureColumnsExist([COL_CLASS_ID, COL_STATUS]);
+    this.audit.setAction(ACTION_CREATE);
 
-    /* various counters */
-    var creation_count = 0;
-    var error_count = 0;
+    /* record the changes of a real run, to be able to undo it */
+    if (job.getOptions().dryRun !== true && job.getOptions().runId != undefined) {
+      this.manifest = new LF.RunManifest(MANIFEST_APP, job.getOptions().runId);
+      this.dt.setRunManifest(this.manifest);
+    }
 
-    /* create the courses */
-    let rows = this.getCoursesAsMaps(); // FIXME: exclude read only fields?
-    for (var [i, row] of rows) {
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      return job.run(this.getRange(), this.getNumCourses(), i => {
+        this.createRow(i, job);
+      }, () => this.flushRun());
+    } finally {
+      this.dt.endBatch();
+      if (this.manifest != null) {
+        this.manifest.flush();
+      }
+    }
+  }
 
-      this.applyDefaultsToMap(row);
-      LF.trimStringsInMap(row);
+  /*
+   * Write the changes recorded so far by a run: the lines of its manifest,
+   *  then the table.
+   */
+  flushRun() {
+    if (this.manifest != null) {
+      this.manifest.flush();
+    }
+    this.dt.flush();
+  }
 
-      /* do nothing if the class id is set */
-      if (!row.has(COL_CLASS_ID) || row.get(COL_CLASS_ID).length > 0) {
-        continue;
-      }
+  /*
+   * Create a new course from a course data row without course id.
+   *
+   * @param {number} i - The course number.
+   * @param {JobRunner} job - The job holding the counters.
+   */
+  createRow(i, job) {
+    let row = this.dt.getRowAsMap(i); // FIXME: exclude read only fields?
+
+    this.applyDefaultsToMap(row);
+    LF.trimStringsInMap(row);
+
+    /* do nothing if the class id is set */
+    if (!row.has(COL_CLASS_ID) || row.get(COL_CLASS_ID).length > 0) {
+      return;
+    }
+
+    /* do nothing if class name is empty */
+    if (row.get(COL_CLASS_NAME).length == 0) {
+      return;
+    }
 
-      /* do nothing if class name is empty */
-      if (row.get(COL_CLASS_NAME).length == 0) {
-        continue;
+    const dryRun = job.getOptions().dryRun === true;
+
+    try {
+      this.dt.resetRowColor(i);
+      this.dt.validateRow(row, ACTION_CREATE);
+
+      if (dryRun) {
+        /* describe the course without creating it */
+        this.dt.setValue(i, COL_STATUS, this.previewClassroomCourseFromMap(row));
+        this.dt.setFontColor(i, COL_STATUS, LF.DATATABLE_COLOR_PREVIEW);
+        job.inc(COUNTER_CREATED);
+        return;
       }
 
-      try {
-        let course = this.createClassroomCourseFromMap(row);
+      let course = this.createClassroomCourseFromMap(row);
+      if (this.manifest != null) {
+        this.manifest.record(MANIFEST_CREATED_COURSE, course.id);
+      }
 
-        // Do not owerwrite teachers and students,
-        // since they had no chance to accept the invitations!
-        this.updateMapFromCourseObject(row, course, true);
-        this.setCourseFromMap(i, row);
+      // Do not owerwrite teachers and students,
+      // since they had no chance to accept the invitations!
+      this.updateMapFromCourseObject(row, course, true);
+      row.set(COL_STATUS, LF.i18n(['Course created', 'Cours créé']));
+      this.setCourseFromMap(i, row);
 
-        creation_count = creation_count + 1;
+      job.inc(COUNTER_CREATED);
 
-      } catch(e) {
-        Logger.log("ERROR: %s", e.message);
-        error_count = error_count + 1;
+    } catch(e) {
+      Logger.log("ERROR: %s", e.message);
+      this.dt.setValue(i, COL_STATUS, e.message);
+      if (dryRun) {
+        this.dt.setFontColor(i, COL_STATUS, LF.DATATABLE_COLOR_PREVIEW);
       }
+      if (e.name == 'DataTableCellError') {
+        this.dt.setErrorColor(i, e.label);
+      }
+      job.addError();
     }
-    return [creation_count, error_count];
   }
 
   /**
@@ -526,10 +710,37 @@ class CourseTable {
   }
 
   /**
-   * Complete the table with all missing columns
+   * Show the history of the changes of the row holding the current cell
+   *
+   */
+  showLog() {
+    const i = this.dt.getActiveRow();
+    if (i == null) {
+      throw new Error(LF.i18n([
+        'Select a row of the table first.',
+        'Sélectionner d\'abord une ligne de la table.',
+      ]));
+    }
+    this.dt.showRowHistory(i);
+  }
+
+  /**
+   * Return a one-line description of the table: location, number of rows
+   *  and last status.
+   *
+   * @return {string} The description.
+   */
+  getSummary() {
+    return this.dt.getSummary(COL_STATUS);
+  }
+
+  /**
+   * Complete the table with all missing columns, and protect read-only columns
    *
    */
   complete() {
     this.dt.ensureColumnsExist(this.cols);
+    this.dt.protectReadOnlyColumns();
+    this.dt.anchor();
   }
 }
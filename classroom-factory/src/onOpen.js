@@ -9,6 +9,14 @@ function onOpen() {
     name : LF.i18n(["Run the class creation tool CreateClasses","Lancer l'outil de création de classes CreateClasses"]),
     functionName : "CourseApp.create"
   },
+  {
+    name : LF.i18n(["Preview the class creation (dry run)","Prévisualiser la création de classes (simulation)"]),
+    functionName : "CourseApp.preview"
+  },
+  {
+    name : LF.i18n(["Undo the last class creation","Annuler la dernière création de classes"]),
+    functionName : "CourseApp.undo"
+  },
   {
     name : LF.i18n(["Run the class load tool LoadClasses","Lancer l'outil de lecture de classes LoadClasses"]),
     functionName : "CourseApp.load"
@@ -17,6 +25,14 @@ function onOpen() {
     name : LF.i18n(["Refresh a Classroom data table","Rafraîchir les données d'une table Classroom"]),
     functionName : "CourseApp.refresh"
   },
+  {
+    name : LF.i18n(["Delete rows of courses that no longer exist","Supprimer les lignes des cours qui n'existent plus"]),
+    functionName : "CourseApp.prune"
+  },
+  {
+    name : LF.i18n(["Show the change history of the current row","Afficher l'historique des modifications de la ligne courante"]),
+    functionName : "CourseApp.showLog"
+  },
   {
     name : LF.i18n(["Insert a Classroom data table","Insérer une table Classroom"]),
     functionName : "CourseApp.insert"
@@ -25,10 +41,19 @@ function onOpen() {
     name : LF.i18n(["Add a sample course","Ajouter un example de cours"]),
     functionName : "CourseApp.sample"
   },
+  {
+    name : LF.i18n(["Select a Classroom data table","Sélectionner une table Classroom"]),
+    functionName : "CourseApp.select"
+  },
   {
     name : LF.i18n(["TEST CourseApp","TEST CourseApp"]),
     functionName : "CourseApp.test"
   },
   ];
   spreadsheet.addMenu(LF.i18n(["Classroom Factory","Classroom Factory"]), entries);
+  CourseApp.getJob().showKeptReport(true);
 };
+
+function resumeCourseCreation() {
+  CourseApp.resume();
+}
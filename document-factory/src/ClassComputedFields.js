@@ -0,0 +1,122 @@
+/**
+ * Class ComputedFields
+ *
+ * Computed fields are merge fields derived from the columns of a row, e.g. a
+ * full name from the first and last names, or a date formatted in French.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * The fields are declared in a side sheet named "Computed fields" (or
+ * "Champs calculés"), holding a table with two columns: the name of the field
+ * (used as the tag in the templates), and its expression (see LF.Expression).
+ * Fields are evaluated in order, so that a field can use the ones above it.
+ * Their values are available to the merge, but never written to the table.
+ */
+
+/* accepted names of the sheet declaring the computed fields */
+const COMPUTED_FIELDS_SHEETS = ['Computed fields', 'Champs calculés'];
+
+/* columns of the computed field table */
+const COL_FIELD_NAME = 'Field';
+const COL_FIELD_EXPRESSION = 'Expression';
+
+
+/**
+ * Class representing the computed fields of a spreadsheet.
+ *
+ */
+class ComputedFields {
+
+  /**
+   * Create a ComputedFields.
+   * @param {Array} fields - The list of [name, Expression] pairs, in evaluation order.
+   */
+  constructor(fields) {
+    this.fields = fields;
+  }
+
+  /**
+   * Return the declaration of the computed field table.
+   *
+   * @return {LF.ColumnSchema} The column schema.
+   */
+  static getSchema() {
+    return new LF.ColumnSchema([
+      {label: COL_FIELD_NAME, aliases: ['Champ'], required: true},
+      {label: COL_FIELD_EXPRESSION, required: true},
+    ]);
+  }
+
+  /**
+   * Read and parse the computed fields declared in the active spreadsheet.
+   *
+   * An Error is raised if a declaration is invalid, so that a mistake is
+   *  reported before any row is processed.
+   *
+   * @return {ComputedFields} The computed fields (none if there is no such sheet).
+   */
+  static load() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheets().find(function(s) {
+      return COMPUTED_FIELDS_SHEETS.includes(s.getName().trim());
+    });
+    if (sheet === undefined) {
+      return new ComputedFields([]);
+    }
+
+    const schema = ComputedFields.getSchema();
+    const rs = LF.DataTable.findAllFromLabel(sheet, COL_FIELD_NAME, schema);
+    if (rs.length == 0) {
+      return new ComputedFields([]);
+    }
+    const dt = new LF.DataTable(rs[0], null, null, schema);
+
+    const fields = [];
+    for (const m of dt.getDataAsMaps().values()) {
+      LF.trimStringsInMap(m);
+      const name = m.get(COL_FIELD_NAME) || '';
+      if (name.length == 0) {
+        continue;
+      }
+      const source = m.get(COL_FIELD_EXPRESSION) || '';
+      try {
+        fields.push([name, new LF.Expression(source)]);
+      } catch (e) {
+        throw new Error(LF.i18n([
+          `Computed field "${name}": ${e.message}`,
+          `Champ calculé "${name}" : ${e.message}`,
+        ]));
+      }
+    }
+    return new ComputedFields(fields);
+  }
+
+  /**
+   * Return the names of the computed fields.
+   *
+   * @return {string[]} The field names.
+   */
+  getNames() {
+    return this.fields.map(field => field[0]);
+  }
+
+  /**
+   * Evaluate the computed fields on a row, and add their values to its map.
+   *
+   * @param {Map} m - The label-to-value map of the row, updated in place.
+   */
+  applyToMap(m) {
+    for (const [name, expression] of this.fields) {
+      try {
+        m.set(name, LF.Expression.toText(expression.evaluate(m)));
+      } catch (e) {
+        throw new Error(LF.i18n([
+          `Computed field "${name}": ${e.message}`,
+          `Champ calculé "${name}" : ${e.message}`,
+        ]));
+      }
+    }
+  }
+}
@@ -17,8 +17,8 @@ class DocApp {
   /**
    * Apply a function on the document table present in the current worksheet
    *
-   * TODO: if many tables, select the one intersecting with the cursor, or
-   *  take the first one
+   * If many tables, select the one intersecting with the cursor, or
+   *  take the first one (see select)
    * 
    * @param {function} f The function to call.
    * @param {Range?} r The Range for the whole table.
@@ -26,6 +26,7 @@ class DocApp {
    */
   static apply(f, r) {
     try {
+      DocApp.getJob().showKeptReport();
       if (r == undefined) {
         /* no range provided: lookup for a table */
         r = DocTable.locate(SpreadsheetApp.getActiveSheet());
@@ -85,18 +86,124 @@ class DocApp {
     this.apply(this.doRun);
   }
 
-  static doRun(dTable) {
+  static doRun(dTable, dryRun=false) {
 
     DocApp.checkNonEmpty(dTable);
     DocApp.checkColumnsExist(dTable, [COL_ACTION]);
     dTable.ensureColumnsExist([COL_DOCUMENT_ID, COL_DOCUMENT_URL, COL_DOCUMENT_MODEL_ID, COL_STATUS, COL_TIMESTAMP]);
+    dTable.ensureFormatColumnsExist();
+    dTable.ensureResolvedColumnsExist();
 
-    let [count, errorCount] = dTable.run();
+    const job = DocApp.getJob();
+    job.start({dryRun: dryRun, runId: Utilities.getUuid()});
+    DocApp.runJob(dTable, job);
+  }
+
+  /**
+   * Let the user choose a table among all the document tables of the
+   *  spreadsheet, and select it, so that the next commands apply to it
+   *
+   */
+  static select() {
+    Logger.log("SELECT CALL");
+    try {
+      const rs = DocTable.locateAll();
+      if (rs.length == 0) {
+        throw new Error(LF.i18n([
+          'Cannot find any document table in this spreadsheet.',
+          'Aucune table de documents dans ce classeur.',
+        ]));
+      }
+      const items = rs.map(r => new DocTable(r).getSummary());
+      const k = LF.SheetHelper.promptChoice(MENU_SELECT, items);
+      if (k != null) {
+        rs[k].activate();
+      }
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
+  /**
+  * Preview all actions, without executing them (dry run)
+  *
+  */
+  static preview() {
+    Logger.log("PREVIEW CALL");
+    this.apply(this.doPreview);
+  }
+
+  static doPreview(dTable) {
+    DocApp.doRun(dTable, true);
+  }
+
+  /**
+   * Resume a suspended run (called by a time-based trigger)
+   *
+   */
+  static resume() {
+    Logger.log("RESUME CALL");
+    const job = DocApp.getJob();
+    if (!job.resume()) {
+      return;
+    }
+    const r = job.getRange();
+    if (r == null) {
+      /* the sheet holding the table has been deleted */
+      job.finish();
+      return;
+    }
+    this.apply(function(dTable) {
+      DocApp.runJob(dTable, job);
+    }, r);
+  }
+
+  /**
+   * Return the job used to run the actions.
+   *
+   * @return {JobRunner} The job.
+   */
+  static getJob() {
+    return new LF.JobRunner('DocApp.run', 'resumeDocRun',
+        PropertiesService.getDocumentProperties());
+  }
+
+  /**
+   * Run actions as a job, until it is done or suspended
+   *
+   * @param {DocTable} dTable The data table.
+   * @param {JobRunner} job The job, started or resumed.
+   */
+  static runJob(dTable, job) {
+    if (dTable.run(job)) {
+      DocApp.showSummary(job);
+    } else {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Execution paused before row ' + job.getNextRow() +
+          ' to avoid the time limit; it will resume automatically in a minute.',
+          'Exécution suspendue avant la ligne ' + job.getNextRow() +
+          ' pour éviter la limite de temps ; elle reprendra automatiquement dans une minute.',
+        ]));
+    }
+  }
+
+  /**
+   * Display the counters of a job that is done, or keep them to display
+   *  them on the next menu call when the job ended from the trigger
+   *
+   * @param {JobRunner} job The job.
+   */
+  static showSummary(job) {
 
     /* prepare string containing counters to display */
     let ar = [];
     const spacing = LF.i18n(['', ' ']);
-    for (const [action, n] of count) {
+    for (const [action, n] of job.getCounters()) {
       if (n > 0) {
         ar.push(`${action}${spacing}: ${n}`);
       }
@@ -107,8 +214,22 @@ class DocApp {
     } else {
       s = `[${s}]`;
     }
+    const errorCount = job.getErrorCount();
 
-    LF.SheetHelper.alertUser(LF.i18n(
+    if (job.getOptions().dryRun) {
+      job.report(LF.i18n(
+        [
+          'Preview done (nothing was executed): ' +
+          'actions that would be executed: ' + s + '; ' +
+          errorCount + ' error(s).',
+          'Prévisualisation terminée (rien n\'a été exécuté) : ' +
+          'actions qui seraient exécutée(s) : ' + s + ' ; ' +
+          errorCount + ' erreur(s).',
+        ]));
+      return;
+    }
+
+    job.report(LF.i18n(
       [
         'Done: ' +
         'successfuly executed actions: ' + s + '; ' +
@@ -179,6 +300,126 @@ class DocApp {
     dTable.complete(true);
   }
 
+  /**
+   * Delete the rows of documents that no longer exist or are trashed, after confirmation
+   *
+   */
+  static doPrune(dTable) {
+    if (!LF.SheetHelper.confirmUser(LF.i18n([
+      'Delete the rows of documents that no longer exist or are trashed?',
+      'Supprimer les lignes des documents qui n\'existent plus ou sont dans la corbeille ?',
+    ]))) {
+      return;
+    }
+    const {deleted, errors} = dTable.prune();
+    let message = LF.i18n([
+      deleted + ' row(s) deleted.',
+      deleted + ' ligne(s) supprimée(s).',
+    ]);
+    if (errors > 0) {
+      message += ' ' + LF.i18n([
+        errors + ' row(s) could not be checked and were kept, see their status.',
+        errors + ' ligne(s) n\'ont pas pu être vérifiée(s) et sont conservée(s), voir leur statut.',
+      ]);
+    }
+    LF.SheetHelper.alertUser(message);
+  }
+
+  static prune() {
+    Logger.log("PRUNE CALL");
+    this.apply(this.doPrune);
+  }
+
+  /**
+   * Undo the last run, after confirmation: trash the created documents,
+   *  untrash the trashed ones, restore owners, access rights and the
+   *  previous values of the table
+   *
+   */
+  static undo() {
+    Logger.log("UNDO CALL");
+    try {
+      if (!LF.SheetHelper.confirmUser(LF.i18n([
+        'Undo the last run of the actions?',
+        'Annuler la dernière exécution des actions ?',
+      ]))) {
+        return;
+      }
+      const res = new LF.RunManifest(MANIFEST_APP).undoLastRun();
+      DocApp.showUndoSummary(res);
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
+  /**
+   * Display the counters of an undo
+   *
+   * @param {Object} res The number of changes undone, and of errors.
+   */
+  static showUndoSummary(res) {
+    LF.SheetHelper.alertUser(LF.i18n(
+      [
+        'Undo done: ' + res.undone + ' change(s) undone, ' +
+          res.errors + ' change(s) could not be undone (see the execution log).',
+        'Annulation terminée : ' + res.undone + ' modification(s) annulée(s), ' +
+          res.errors + ' modification(s) n\'ont pas pu être annulée(s) (voir le journal d\'exécution).',
+      ]));
+  }
+
+  /**
+   * Show the change log, filtered to the row holding the current cell
+   *
+   */
+  static doShowLog(dTable) {
+    dTable.showLog();
+  }
+
+  static showLog() {
+    Logger.log("SHOW LOG CALL");
+    this.apply(this.doShowLog);
+  }
+
+  /**
+   * Check the template of the row holding the current cell, and report
+   *  unknown tags, malformed constructs and unused columns
+   *
+   */
+  static doCheckTemplate(dTable) {
+    LF.SheetHelper.alertUser(dTable.checkTemplate());
+  }
+
+  static checkTemplate() {
+    Logger.log("CHECK TEMPLATE CALL");
+    this.apply(this.doCheckTemplate);
+  }
+
+  /**
+   * Switch the strict mode of the table on or off: in strict mode, a row
+   *  fails when a tag is unresolved, or empty while not marked optional
+   *
+   */
+  static doToggleStrict(dTable) {
+    const strict = !dTable.isStrictTable();
+    dTable.setStrictTable(strict);
+    LF.SheetHelper.alertUser(strict ? LF.i18n([
+      'Strict mode is on for this table: rows with unresolved or empty tags will fail.',
+      'Le mode strict est activé pour cette table : les lignes avec des balises non résolues ou vides seront en erreur.',
+    ]) : LF.i18n([
+      'Strict mode is off for this table (it can still be set per row in column "' + COL_STRICT + '").',
+      'Le mode strict est désactivé pour cette table (il reste possible par ligne dans la colonne "' + COL_STRICT + '").',
+    ]));
+  }
+
+  static toggleStrict() {
+    Logger.log("TOGGLE STRICT CALL");
+    this.apply(this.doToggleStrict);
+  }
+
   /**
    * Append a sample row
    *
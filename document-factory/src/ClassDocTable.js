@@ -30,24 +30,42 @@ const COL_ACTION = 'Action';
 
 /* fields used when creating a new Document */
 const COL_DOCUMENT_NAME = 'Document Name'; /* name of the target document */
-const COL_DOCUMENT_MODEL_ID = 'Document Template Id'; /* id of the model document */
+const COL_DOCUMENT_MODEL_ID = 'Document Template Id'; /* id, URL or path of the model document */
 const COL_DOCUMENT_OWNER = 'Document Owner'; /* owner of that document   */
 const COL_DOCUMENT_EDITORS = 'Document Editors'; /* list of editors of that document   */
 const COL_DOCUMENT_VIEWERS = 'Document Viewers'; /* list of viewers of that document   */
 const COL_DOCUMENT_COMMENTERS = 'Document Commenters'; /* list of commenters of that document   */
-const COL_DOCUMENT_FORMAT = 'Document Format'; /* output format: 'gdoc', 'pdf', 'docx'  */
-const COL_DOCUMENT_FOLDER_ID = 'Document Folder Id'; /* id of the output folder */
+const COL_DOCUMENT_FORMAT = 'Document Format'; /* output formats: 'gdoc', 'pdf', 'docx', 'odt'..., or a list such as 'gdoc pdf' */
+const COL_DOCUMENT_FOLDER_ID = 'Document Folder Id'; /* id, URL or path of the output folder */
+const COL_STRICT = 'Strict Merge'; /* TRUE to fail on unresolved or empty tags */
 
 /* read-only fields */
 const COL_DOCUMENT_ID = 'Document Id'; /* id of the output document (set by the script) */
 const COL_DOCUMENT_URL = 'Document URL'; /* URL of the output document (set by the script) */
 
+/*
+ * The output document of the first format goes to COL_DOCUMENT_ID and COL_DOCUMENT_URL,
+ * those of the next formats to per-format columns, e.g. 'Document Id (pdf)' and 'Document URL (pdf)'
+ */
+
 /* status info */
 const COL_STATUS = 'Status'; /* status of the merge (set by the script or set by the user) */
 const COL_TIMESTAMP = 'Timestamp'; /* timestamp of the status (set by the script) */
 
-/* list of supported format, to be used by a static method */
-const SUPPORTED_FORMATS = ['pdf', 'gdoc', 'docx'];
+/* list of supported formats, used by the column schema */
+const SUPPORTED_FORMATS = ['pdf', 'gdoc', 'docx', 'odt', 'rtf', 'txt', 'html', 'zip', 'epub', 'md'];
+
+/* default output format */
+const DEFAULT_OUTPUT_FORMAT = 'gdoc';
+
+/* prefix of the document properties holding the strict mode of the tables, by anchor */
+const STRICT_PROPERTY_PREFIX = 'DocTable.strict.';
+
+/* prefix of the names of the named ranges anchoring the tables */
+const TABLE_ANCHOR_PREFIX = 'DocumentTable';
+
+/* application name in the run manifests */
+const MANIFEST_APP = 'DocApp';
 
 
 /**
@@ -62,56 +80,56 @@ class DocTable {
    */
   constructor(r) {
     /* default output type */
-    this.DEFAULT_OUTPUT_TYPE = 'gdoc';
+    this.DEFAULT_OUTPUT_TYPE = DEFAULT_OUTPUT_FORMAT;
 
     /* supported mime types. */
     this.MIME_TYPES = new Map([
       ['pdf', 'application/pdf'],
       ['gdoc', 'application/vnd.google-apps.document'],
-      ['docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+      ['docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      ['odt', 'application/vnd.oasis.opendocument.text'],
+      ['rtf', 'application/rtf'],
+      ['txt', 'text/plain'],
+      ['html', 'text/html'],
+      ['zip', 'application/zip'], /* web page, with its images */
+      ['epub', 'application/epub+zip'],
+      ['md', 'text/markdown'],
     ]);
     /* ditto, reversed (for convenience): index is mime type */
     this.OUTPUT_FORMATS = new Map(Array.from(this.MIME_TYPES, row => row.reverse()));
 
-    this.cols = [
-      COL_ACTION,
-      COL_DOCUMENT_NAME,
-      COL_DOCUMENT_MODEL_ID,
-      COL_DOCUMENT_OWNER,
-      COL_DOCUMENT_EDITORS,
-      COL_DOCUMENT_VIEWERS,
-      COL_DOCUMENT_COMMENTERS,
-      COL_DOCUMENT_FORMAT,
-      COL_DOCUMENT_FOLDER_ID,
-      COL_DOCUMENT_ID,
-      COL_DOCUMENT_URL,
-      COL_STATUS,
-      COL_TIMESTAMP,
-    ];
-
-    const defaults = new Map([
-      [COL_ACTION, ACTION_UPDATE],
-      [COL_DOCUMENT_OWNER, 'me'],
-      [COL_DOCUMENT_FORMAT, this.DEFAULT_OUTPUT_TYPE],
+    /* file name extensions, by format (none for gdoc) */
+    this.EXTENSIONS = new Map([
+      ['pdf', '.pdf'],
+      ['docx', '.docx'],
+      ['odt', '.odt'],
+      ['rtf', '.rtf'],
+      ['txt', '.txt'],
+      ['html', '.html'],
+      ['zip', '.zip'],
+      ['epub', '.epub'],
+      ['md', '.md'],
     ]);
 
-    const formats = new Map([
-      [COL_ACTION, DocTable.setRangeFormatAsAction],
-      [COL_DOCUMENT_NAME, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_MODEL_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_OWNER, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_EDITORS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_VIEWERS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_COMMENTERS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_FORMAT, DocTable.setRangeFormatAsDocumentFormat],
-      [COL_DOCUMENT_FOLDER_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_DOCUMENT_URL, LF.SheetHelper.setRangeFormatAsText],
-      [COL_TIMESTAMP, LF.SheetHelper.setRangeFormatAsDatetime],
-      [COL_STATUS, LF.SheetHelper.setRangeFormatAsText],
-    ]);
+    this.schema = DocTable.getSchema();
+
+    this.cols = this.schema.getLabels();
+
+    this.dt = new LF.DataTable(r, null, null, this.schema);
+    this.dt.setAnchorPrefix(TABLE_ANCHOR_PREFIX);
 
-    this.dt = new LF.DataTable(r, defaults, formats);
+    /* record the values written by the script */
+    this.audit = new LF.AuditLog();
+    this.dt.setAuditLog(this.audit, COL_DOCUMENT_ID);
+
+    /* manifest of the current run, if any */
+    this.manifest = null;
+
+    /* strict mode of the whole table, read when running */
+    this.strict = false;
+
+    /* tables of the other sheets, for the rows repeated in the templates */
+    this.linked = new LinkedTables();
   }
 
 
@@ -120,39 +138,61 @@ class DocTable {
   /**
    * Locate the target Document table in a Sheet
    *
+   * The named range anchoring the table is used first, if any.
+   *
    * @param {Sheet} sheet The Sheet containing the Document table to search for.
    * @return {?Range} The Range of the Classroom table found.
    */
   static locate(sheet) {
-    return LF.DataTable.locateFromLabel(sheet, COL_DOCUMENT_MODEL_ID);
+    const r = LF.DataTable.locateFromAnchor(sheet, TABLE_ANCHOR_PREFIX);
+    return r != null ? r : LF.DataTable.locateFromLabel(sheet, COL_DOCUMENT_MODEL_ID, DocTable.getSchema());
   }
 
   /**
-   * Format a cell as an action if it contains a valiid action.
-   * 
-   * We do not set the format if the current value is invalid, as
-   * it raises an exception that seems to be uncatchable.
+   * Locate all the Document tables in the spreadsheet, across all sheets
    *
-   * @param {Range} c - The cell to format as an action.
+   * @return {Range[]} The Ranges of the tables found.
    */
-  static setRangeFormatAsAction(c) {
-    if (ACTIONS.includes(String(c.getValue()).trim())) {
-      LF.SheetHelper.setRangeFormatAsList(c, ACTIONS);
-    }
+  static locateAll() {
+    return LF.DataTable.locateAll(TABLE_ANCHOR_PREFIX, COL_DOCUMENT_MODEL_ID, DocTable.getSchema());
   }
 
   /**
-   * Format a cell as a document format.
+   * Return the declaration of the columns: type, required-ness per action,
+   *  default value and accepted header labels.
    *
-   * We do not set the format if the current value is invalid, as
-   * it raises an exception that seems to be uncatchable.
-   * 
-   * @param {Range} c - The cell to format as document format.
+   * @return {ColumnSchema} The column schema.
    */
-  static setRangeFormatAsDocumentFormat(c) {
-    if (SUPPORTED_FORMATS.includes(String(c.getValue()).trim())) {
-      LF.SheetHelper.setRangeFormatAsList(c, SUPPORTED_FORMATS);
-    }
+  static getSchema() {
+    return new LF.ColumnSchema([
+      {label: COL_ACTION, type: LF.COLUMN_TYPE_ENUM, values: ACTIONS,
+        defaultValue: ACTION_UPDATE},
+      {label: COL_DOCUMENT_NAME, aliases: ['Nom du document']},
+      {label: COL_DOCUMENT_MODEL_ID, type: LF.COLUMN_TYPE_DRIVE_REF,
+        required: [ACTION_CREATE, ACTION_UPDATE, ACTION_CONTENT],
+        aliases: ['Modèle', 'Id du modèle', 'Identifiant du modèle']},
+      {label: COL_DOCUMENT_OWNER, type: LF.COLUMN_TYPE_EMAIL, defaultValue: 'me',
+        aliases: ['Propriétaire du document']},
+      {label: COL_DOCUMENT_EDITORS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Éditeurs du document']},
+      {label: COL_DOCUMENT_VIEWERS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Lecteurs du document']},
+      {label: COL_DOCUMENT_COMMENTERS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Commentateurs du document']},
+      {label: COL_DOCUMENT_FORMAT, type: LF.COLUMN_TYPE_ENUM_LIST, values: SUPPORTED_FORMATS,
+        defaultValue: DEFAULT_OUTPUT_FORMAT, aliases: ['Format du document']},
+      {label: COL_DOCUMENT_FOLDER_ID, type: LF.COLUMN_TYPE_DRIVE_REF, folder: true,
+        aliases: ['Id du dossier', 'Dossier du document']},
+      {label: COL_STRICT, type: LF.COLUMN_TYPE_BOOLEAN,
+        aliases: ['Fusion stricte']},
+      {label: COL_DOCUMENT_ID, type: LF.COLUMN_TYPE_DRIVE_ID, readOnly: true,
+        required: [ACTION_UPDATE, ACTION_CONTENT, ACTION_REFRESH],
+        aliases: ['Id du document', 'Identifiant du document']},
+      {label: COL_DOCUMENT_URL, readOnly: true, aliases: ['URL du document']},
+      {label: COL_STATUS, aliases: ['Statut']},
+      {label: COL_TIMESTAMP, type: LF.COLUMN_TYPE_DATE, readOnly: true,
+        aliases: ['Horodatage']},
+    ]);
   }
 
   /**
@@ -182,7 +222,7 @@ class DocTable {
       let v;
       switch (col) {
         case COL_DOCUMENT_NAME:
-          v = file.getName();
+          v = this.getBaseName(file.getName(), this.OUTPUT_FORMATS.get(file.getMimeType()));
           break;
         case COL_DOCUMENT_ID:
           v = file.getId();
@@ -221,21 +261,163 @@ class DocTable {
     return dmap;
   }
 
+  /**
+   * Return a file name with the extension of a format, unless it already has it.
+   *
+   * @param {string} name - The file name.
+   * @param {string} format - The format, e.g. 'pdf'.
+   * @return {string} The file name with its extension.
+   */
+  getFileName(name, format) {
+    const ext = this.EXTENSIONS.get(format);
+    return ext === undefined || name.toLowerCase().endsWith(ext) ? name : name + ext;
+  }
+
+  /**
+   * Return a file name without the extension of a format.
+   *
+   * @param {string} name - The file name.
+   * @param {?string} format - The format, e.g. 'pdf', or undefined if unsupported.
+   * @return {string} The file name without its extension.
+   */
+  getBaseName(name, format) {
+    const ext = this.EXTENSIONS.get(format);
+    return ext !== undefined && name.toLowerCase().endsWith(ext) ? name.substring(0, name.length - ext.length) : name;
+  }
+
+  /**
+   * Return the output formats of a row, without duplicates, in order.
+   *
+   * @param {Map} dmap - The document map.
+   * @return {string[]} The formats, e.g. ['gdoc', 'pdf'].
+   */
+  getFormatsFromMap(dmap) {
+    const formats = [];
+    for (const format of LF.DataTable.getValueAsList(COL_DOCUMENT_FORMAT, dmap)) {
+      if (!this.MIME_TYPES.has(format)) {
+        throw new LF.DataTableCellError(COL_DOCUMENT_FORMAT, LF.i18n([
+          'Invalid or unsupported document format: "' + format + '".',
+          'format de document invalide ou non supporté : "' + format + '".'
+        ]));
+      }
+      if (!formats.includes(format)) {
+        formats.push(format);
+      }
+    }
+    return formats.length > 0 ? formats : [this.DEFAULT_OUTPUT_TYPE];
+  }
+
+  /**
+   * Return the labels of the columns holding the id and URL of an output
+   *  document: COL_DOCUMENT_ID and COL_DOCUMENT_URL for the first format,
+   *  per-format columns for the next ones.
+   *
+   * @param {string[]} formats - The formats of the row.
+   * @param {number} k - The index of the format.
+   * @return {Object} The labels: {id, url}.
+   */
+  getOutputColumns(formats, k) {
+    return k == 0 ? {id: COL_DOCUMENT_ID, url: COL_DOCUMENT_URL} : {
+      id: `${COL_DOCUMENT_ID} (${formats[k]})`,
+      url: `${COL_DOCUMENT_URL} (${formats[k]})`,
+    };
+  }
+
+  /**
+   * Return true if a column holds the id or URL of the output document of
+   *  a format, e.g. "Document Id (pdf)".
+   *
+   * @param {string} label - The column label.
+   * @return {boolean} True for a per-format column.
+   */
+  isFormatColumn(label) {
+    return SUPPORTED_FORMATS.some(format =>
+      label == `${COL_DOCUMENT_ID} (${format})` || label == `${COL_DOCUMENT_URL} (${format})`);
+  }
+
+  /**
+   * Return true if a column is set or used by the factory, rather than a
+   *  field for the templates.
+   *
+   * @param {string} label - The column label.
+   * @return {boolean} True for a column of the factory.
+   */
+  isFactoryColumn(label) {
+    return this.cols.includes(label) || this.isFormatColumn(label) ||
+      this.cols.some(col => LF.ColumnSchema.getResolvedLabel(col) == label);
+  }
+
+  /**
+   * Ensure the per-format columns of the formats listed in the table exist.
+   *
+   * Invalid formats are ignored here, and reported when running the rows.
+   */
+  ensureFormatColumnsExist() {
+    const labels = [];
+    for (const [i, m] of this.dt.getDataAsMaps()) {
+      let formats;
+      try {
+        LF.trimStringsInMap(m);
+        formats = this.getFormatsFromMap(m);
+      } catch (e) {
+        continue;
+      }
+      for (let k = 1; k < formats.length; k++) {
+        const cols = this.getOutputColumns(formats, k);
+        for (const label of [cols.id, cols.url]) {
+          if (!labels.includes(label)) {
+            labels.push(label);
+          }
+        }
+      }
+    }
+    if (labels.length > 0) {
+      this.dt.ensureColumnsExist(labels);
+    }
+  }
+
+  /**
+   * Return a map from the output documents of a row: the properties of the
+   *  first one, and the ids and URLs of the next ones.
+   *
+   * @param {Map} outputs - The files, by format, in the order of the formats.
+   * @param {string[]} labels - The column labels to consider.
+   * @return {Map} - The map of document properties.
+   */
+  getMapFromOutputs(outputs, labels) {
+    const formats = Array.from(outputs.keys());
+    const dmap = this.getMapFromFileObject(outputs.get(formats[0]), labels);
+    if (formats.length > 1) {
+      /* the list of formats is the one of the row */
+      dmap.delete(COL_DOCUMENT_FORMAT);
+    }
+    for (let k = 1; k < formats.length; k++) {
+      const file = outputs.get(formats[k]);
+      const cols = this.getOutputColumns(formats, k);
+      if (labels.includes(cols.id)) {
+        dmap.set(cols.id, file.getId());
+      }
+      if (labels.includes(cols.url)) {
+        dmap.set(cols.url, file.getUrl());
+      }
+    }
+    return dmap;
+  }
+
   /*
-   * Execute a merge operation using values defined in a a map.
+   * Resolve and check the values defined in a map, before a merge operation.
+   *
+   * Nothing is created or changed in Drive.
    *
-   * TODO: cleanup created files in case of error
-   * 
    * @param {Map} dmap - The document map to use to create the merged document.
    * @param {boolean} in_place - Update the existing output document, keeping the same Google id.
-   * @param {boolean} set_props - Set the document properties, besides its content.
-   * @return {File} file - The file for the merged document. // TODO: return indication it has been created or updated
+   * @return {Object} - The merge plan: template, name, formats, owner, access rights, folder and previous documents.
    */
-  mergeFromMap(dmap, in_place, set_props) {
+  resolveFromMap(dmap, in_place) {
     const activeUser = Session.getActiveUser();
 
     /* model */
-    let modelId = LF.getValue(COL_DOCUMENT_MODEL_ID, dmap); //TODO: accept URL, extract ID
+    let modelId = LF.getValue(COL_DOCUMENT_MODEL_ID, dmap);
     if (modelId === false) {
       throw new LF.DataTableCellError(COL_DOCUMENT_MODEL_ID, LF.i18n([
         'Missing template. A template id must be provided in column "' + COL_DOCUMENT_MODEL_ID + '".',
@@ -259,18 +441,9 @@ class DocTable {
       fileName = modelFile.getName(); //FIXME: remove extention if any?
     }
 
-    /* file format */
-    let fileFormat = LF.getValue(COL_DOCUMENT_FORMAT, dmap);
-    if (fileFormat === false) {
-      fileFormat = this.DEFAULT_OUTPUT_TYPE;
-    }
-    Logger.log('document format: "%s"', fileFormat);
-    if (!this.MIME_TYPES.has(fileFormat)) {
-      throw new LF.DataTableCellError(COL_DOCUMENT_FORMAT, LF.i18n([
-        'Invalid or unsupported document format: "' + fileFormat + '".',
-        'format de document invalide ou non supporté : "' + fileFormat + '".'
-      ]));
-    }
+    /* file formats, each output being named with its extension */
+    const fileFormats = this.getFormatsFromMap(dmap);
+    Logger.log('document formats: "%s"', fileFormats);
 
     /* owner, defaulting to the user runing the script */
     const ownerVal = LF.getValue(COL_DOCUMENT_OWNER, dmap)
@@ -314,9 +487,8 @@ class DocTable {
       ]));
     }
 
-    /* previous and current output documents */
+    /* previous output document */
     let prevFile = null;
-    let targetFile = null;
     const prevFileId = LF.getValue(COL_DOCUMENT_ID, dmap);
 
     if (in_place) {
@@ -335,49 +507,359 @@ class DocTable {
           'le document (id ' + prevFileId + ') n\'existe pas et ne peut pas être mis à jour. Vous devez effacer cet id et relancer.'
         ]));
       }
-      /* to update a file we make sure it is not trashed - TODO: check whether this can be done after working on its content */
-      if (prevFile.isTrashed()) {
-        prevFile.setTrashed(false);
-      }
       Logger.log('previous document: "%s" (%s)', prevFile, prevFile.getId());
-      /* we are going to reuse this output file, keeping the same id */
-      targetFile = prevFile;
+    }
+
+    /* previous output documents of the formats, the ones of the next formats being optional */
+    const prevIds = new Map();
+    const prevFiles = new Map();
+    fileFormats.forEach((format, k) => {
+      const id = k == 0 ? prevFileId : LF.getValue(this.getOutputColumns(fileFormats, k).id, dmap);
+      prevIds.set(format, id);
+      if (in_place) {
+        const file = k == 0 ? prevFile : (id === false ? null : LF.DriveHelper.getFileByIdNoFail(id));
+        if (file != null) {
+          prevFiles.set(format, file);
+        }
+      }
+    });
+
+    return {
+      modelFile: modelFile,
+      fileName: fileName,
+      fileFormats: fileFormats,
+      owner: owner,
+      editors: editors,
+      viewers: viewers,
+      commenters: commenters,
+      folder: folder,
+      prevFileId: prevFileId,
+      prevFile: prevFile,
+      prevIds: prevIds,
+      prevFiles: prevFiles,
+    };
+  }
+
+  /*
+   * Describe the merge operation that would be executed using values defined in a map.
+   *
+   * Values are resolved and checked as for the real operation, but nothing is
+   * created or changed in Drive.
+   *
+   * @param {Map} dmap - The document map to use to create the merged document.
+   * @param {string} action - The action to preview.
+   * @return {string} - The description of the operation.
+   */
+  previewFromMap(dmap, action) {
+    if (action == ACTION_REFRESH) {
+      const names = Array.from(this.getOutputFilesFromMap(dmap).values(), file => `"${file.getName()}"`).join(', ');
+      return LF.i18n([
+        `Would refresh data from document ${names}.`,
+        `Rafraîchirait les données du document ${names}.`,
+      ]);
+    }
+
+    const plan = this.resolveFromMap(dmap, action != ACTION_CREATE);
+    const none = LF.i18n(['none', 'aucun']);
+    const list = emails => emails.length > 0 ? emails.join(LF.DATATABLE_LIST_SEPARATOR) : none;
+
+    const formats = plan.fileFormats.join(', ');
+
+    const lines = [];
+    if (action == ACTION_CREATE) {
+      lines.push(LF.i18n([
+        `Would create "${plan.fileName}" (${formats}) from template "${plan.modelFile.getName()}".`,
+        `Créerait "${plan.fileName}" (${formats}) à partir du template "${plan.modelFile.getName()}".`,
+      ]));
+      for (const id of plan.prevIds.values()) {
+        if (id !== false) {
+          lines.push(LF.i18n([
+            `Would trash the previous document (id ${id}).`,
+            `Mettrait le document précédent (id ${id}) à la corbeille.`,
+          ]));
+        }
+      }
     } else {
-      /* duplicate the model */
-      Logger.log("Copying template \"" + modelFile.getName() + "\"");
-      targetFile = modelFile.makeCopy();
+      lines.push(LF.i18n([
+        `Would update "${plan.prevFile.getName()}" (${formats}) from template "${plan.modelFile.getName()}".`,
+        `Mettrait à jour "${plan.prevFile.getName()}" (${formats}) à partir du template "${plan.modelFile.getName()}".`,
+      ]));
+    }
+    if (action == ACTION_CONTENT) {
+      lines.push(LF.i18n([
+        'Would keep the name, folder, owner and sharing of the documents.',
+        'Conserverait le nom, le dossier, le propriétaire et le partage des documents.',
+      ]));
+      return lines.join('\n');
+    }
+    lines.push(LF.i18n([
+      `Folder: "${plan.folder.getName()}"; owner: ${plan.owner}.`,
+      `Dossier : "${plan.folder.getName()}" ; propriétaire : ${plan.owner}.`,
+    ]));
+    lines.push(LF.i18n([
+      `Editors: ${list(plan.editors)}; viewers: ${list(plan.viewers)}; commenters: ${list(plan.commenters)}.`,
+      `Éditeurs : ${list(plan.editors)} ; lecteurs : ${list(plan.viewers)} ; commentateurs : ${list(plan.commenters)}.`,
+    ]));
+    return lines.join('\n');
+  }
+
+  /*
+   * Return the output document referenced in a map.
+   *
+   * @param {Map} dmap - The document map.
+   * @param {string=} label - The column holding the id of the document.
+   * @return {File} file - The output document.
+   */
+  getOutputFileFromMap(dmap, label=COL_DOCUMENT_ID) {
+    const id = LF.getValue(label, dmap);
+    try {
+      return DriveApp.getFileById(id);
+    } catch (e) {
+      throw new LF.DataTableCellError(label, LF.i18n([
+        `Cannot access document file with id ${id}: ${e}`,
+        `impossible d'accéder au document d\'id ${id} : ${e}`,
+      ]));
+    }
+  }
+
+  /*
+   * Return the output documents referenced in a map, the ones of the next
+   *  formats being skipped when their id is missing.
+   *
+   * @param {Map} dmap - The document map.
+   * @return {Map} - The files, by format, in the order of the formats.
+   */
+  getOutputFilesFromMap(dmap) {
+    const formats = this.getFormatsFromMap(dmap);
+    const outputs = new Map();
+    formats.forEach((format, k) => {
+      const label = this.getOutputColumns(formats, k).id;
+      if (k == 0 || LF.getValue(label, dmap) !== false) {
+        outputs.set(format, this.getOutputFileFromMap(dmap, label));
+      }
+    });
+    return outputs;
+  }
+
+  /**
+   * Record a change in the manifest of the current run, if any.
+   *
+   * @param {string} kind - The kind of change, e.g. LF.MANIFEST_CREATED_FILE.
+   * @param {string} id - The id of the changed object.
+   * @param {Object=} data - What is needed to undo the change.
+   */
+  recordChange(kind, id, data={}) {
+    if (this.manifest != null) {
+      this.manifest.record(kind, id, data);
     }
-    Logger.log('target document: "%s" (%s)', targetFile, targetFile.getId());
+  }
+
+  /*
+   * Execute a merge operation using values defined in a a map.
+   *
+   * The data is merged into a copy of the template, converted to each
+   * requested format; the copy is kept only if 'gdoc' is requested.
+   * When updating in place, the copy is temporary: the previous Google Docs
+   * output gets the merged content, and each previous converted output gets
+   * its new content as a new revision, keeping their ids and URLs.
+   * Unless set_props is set, the name, folder, owner and sharing of the
+   * previous outputs are left untouched.
+   *
+   * The merge runs as a Drive transaction: if a step fails, the files it
+   * created are trashed, and the previous documents get back their folders,
+   * access rights, owner and content; the error states the failed step.
+   * The changes are also recorded in the manifest of the current run, if any.
+   *
+   * In strict mode, a DataTableCellError listing the unresolved tags and the
+   * non-optional tags with an empty value is raised, and the merged copy is
+   * discarded with the transaction.
+   * 
+   * @param {Map} dmap - The document map to use to create the merged document.
+   * @param {boolean} in_place - Update the existing output document, keeping the same Google id.
+   * @param {boolean} set_props - Set the document properties, besides its content.
+   * @param {Object=} options - The function returning the RichTextValue of a column, or null, the strict mode, and an array receiving the parts of the template that could not be copied into a Google Docs output updated in place: {richText, strict, skipped}.
+   * @return {Map} - The files of the output documents, by format, in the order of the formats. // TODO: return indication they have been created or updated
+   */
+  mergeFromMap(dmap, in_place, set_props, options={}) {
+    const plan = this.resolveFromMap(dmap, in_place);
+    const tx = new LF.DriveTransaction();
+    try {
+      return this.mergeInTransaction(dmap, in_place, set_props, plan, tx, options);
+    } catch (e) {
+      throw tx.fail(e);
+    }
+  }
+
+  /*
+   * Execute the steps of a merge operation, registering their side effects
+   *  in a transaction.
+   *
+   * @param {Map} dmap - The document map to use to create the merged document.
+   * @param {boolean} in_place - Update the existing output document, keeping the same Google id.
+   * @param {boolean} set_props - Set the document properties, besides its content.
+   * @param {Object} plan - The merge plan (see resolveFromMap).
+   * @param {DriveTransaction} tx - The transaction.
+   * @param {Object=} options - The merge options (see mergeFromMap).
+   * @return {Map} - The files of the output documents, by format.
+   */
+  mergeInTransaction(dmap, in_place, set_props, plan, tx, options={}) {
+    const {modelFile, fileName, fileFormats, prevIds, prevFiles} = plan;
 
-    /* Open the target document */
-    Logger.log("Opening file \"" + targetFile.getName() + "\"");
-    let targetDocument = DocumentApp.openById(targetFile.getId()); /* FIXME: cannot open a pdf: manage versions? https://developers.google.com/drive/api/guides/change-overview */
+    /* duplicate the model */
+    tx.begin(LF.i18n(['copy the template', 'copie du modèle']));
+    Logger.log("Copying template \"" + modelFile.getName() + "\"");
+    const sourceFile = tx.registerCreated(modelFile.makeCopy());
+    this.recordChange(LF.MANIFEST_CREATED_FILE, sourceFile.getId());
+    Logger.log('source document: "%s" (%s)', sourceFile, sourceFile.getId());
+
+    /* Open the source document */
+    tx.begin(LF.i18n(['merge the data', 'fusion des données']));
+    Logger.log("Opening file \"" + sourceFile.getName() + "\"");
+    let targetDocument = DocumentApp.openById(sourceFile.getId());
 
     Logger.log("Merging document...");
-    MergeHelper.merge(targetDocument, dmap);
+    /* tags may use the headers of the table as well as the column labels */
+    const problems = MergeHelper.merge(targetDocument, this.dt.addHeaderAliasesToMap(new Map(dmap)),
+        {tables: this.linked, richText: options.richText || null});
 
     Logger.log("Saving document...");
     targetDocument.saveAndClose();
 
-    /* Convert to a different mimetype when requested */
-    /* TODO: extention? */
-    if (fileFormat != 'gdoc') {
-      const mime = this.MIME_TYPES.get(fileFormat);
-      const blob = LF.DriveHelper.getBlobAs(targetFile.getId(), mime);
-      targetFile.setContent(blob);
+    if (options.strict === true) {
+      this.checkMergeProblems(problems);
+    }
 
-      const convertedFile = DriveApp.createFile(blob);
+    /* Convert to the other mimetypes, naming the files with their extension */
+    const outputs = new Map();
+    const backups = [];
+    for (const format of fileFormats) {
+      if (format == 'gdoc') {
+        if (in_place && prevFiles.has(format) && prevFiles.get(format).getMimeType() == this.MIME_TYPES.get(format)) {
+          /* replace the content of the previous output, keeping its id, URL and permissions */
+          const prevFile = this.restoreFile(prevFiles.get(format), tx);
+          /* keep a copy of the previous content, copied back on rollback, in the
+             user's own root folder rather than next to the shared output */
+          tx.begin(LF.i18n(['back up the gdoc document', 'sauvegarde du document gdoc']));
+          const backupFile = tx.registerCreated(prevFile.makeCopy(prevFile.getName() + ' (backup)', DriveApp.getRootFolder()));
+          tx.register('restore the content of "' + prevFile.getName() + '"', function() {
+            const document = DocumentApp.openById(prevFile.getId());
+            MergeHelper.copyContent(DocumentApp.openById(backupFile.getId()), document);
+            document.saveAndClose();
+          });
+          tx.begin(LF.i18n(['update the gdoc document', 'mise à jour du document gdoc']));
+          const prevDocument = DocumentApp.openById(prevFile.getId());
+          const skipped = MergeHelper.copyContent(DocumentApp.openById(sourceFile.getId()), prevDocument);
+          prevDocument.saveAndClose();
+          if (options.skipped !== undefined) {
+            options.skipped.push(...skipped);
+          }
+          Logger.log("Updated file \"" + prevFile.getName() + "\"");
+          outputs.set(format, prevFile);
+          backups.push(backupFile);
+        } else {
+          outputs.set(format, sourceFile);
+        }
+        continue;
+      }
+      tx.begin(LF.i18n([`convert to ${format}`, `conversion en ${format}`]));
+      const mime = this.MIME_TYPES.get(format);
+      const blob = LF.DriveHelper.getBlobAs(sourceFile.getId(), mime).setName(this.getFileName(fileName, format));
+      if (in_place && prevFiles.has(format) && prevFiles.get(format).getMimeType() == mime) {
+        /* upload a new revision of the previous output, keeping its id, URL and permissions */
+        const prevFile = this.restoreFile(prevFiles.get(format), tx);
+        tx.begin(LF.i18n([`update the ${format} document`, `mise à jour du document ${format}`]));
+        tx.registerContent(prevFile);
+        LF.DriveHelper.updateContent(prevFile, blob);
+        Logger.log("Updated file \"" + prevFile.getName() + "\"");
+        outputs.set(format, prevFile);
+        continue;
+      }
+      const convertedFile = tx.registerCreated(DriveApp.createFile(blob));
+      this.recordChange(LF.MANIFEST_CREATED_FILE, convertedFile.getId());
       Logger.log("Created file \"" + convertedFile.getName() + "\"");
-      Logger.log("Trashing file \"" + targetFile.getName() + "\"");
-      targetFile.setTrashed(true);
-      targetFile = convertedFile;
+      outputs.set(format, convertedFile);
+    }
+
+    if (!Array.from(outputs.values()).some(file => file.getId() == sourceFile.getId())) {
+      /* the copy of the model is only used for the conversions and updates */
+      Logger.log("Trashing file \"" + sourceFile.getName() + "\"");
+      tx.registerTrashed(sourceFile);
+      sourceFile.setTrashed(true);
+    }
+
+    for (const [format, targetFile] of outputs) {
+      /* new outputs always get their properties */
+      if (set_props || tx.isCreated(targetFile)) {
+        this.setFileProperties(targetFile, this.getFileName(fileName, format), plan, tx);
+      }
+    }
+
+    /* the update is done: the backups are no longer needed */
+    for (const backupFile of backups) {
+      LF.DriveHelper.trashNoFail(backupFile);
+    }
 
+    /* silently trash the old files that have been replaced */
+    for (const [format, prevFileId] of prevIds) {
+      if (prevFileId !== false && prevFileId != outputs.get(format).getId()) {
+        const prevFile = LF.DriveHelper.getFileByIdNoFail(prevFileId);
+        if (prevFile != null && !prevFile.isTrashed()) {
+          LF.DriveHelper.trashNoFail(prevFile);
+          this.recordChange(LF.MANIFEST_TRASHED_FILE, prevFileId);
+        }
+      }
     }
 
+    return outputs;
+  }
 
-    /*
-     * Set the various properties of this file, as follows:
-     */
+  /*
+   * Restore a previous output document from the trash, if needed, before
+   *  updating it in place.
+   *
+   * @param {File} file - The previous output document.
+   * @param {DriveTransaction} tx - The transaction.
+   * @return {File} The file.
+   */
+  restoreFile(file, tx) {
+    /* to update a file we make sure it is not trashed - TODO: check whether this can be done after working on its content */
+    if (file.isTrashed()) {
+      tx.begin(LF.i18n(['restore the previous document', 'restauration du document précédent']));
+      tx.registerTrashed(file);
+      file.setTrashed(false);
+      this.recordChange(LF.MANIFEST_UNTRASHED_FILE, file.getId());
+    }
+    return file;
+  }
+
+  /*
+   * Set the name, access rights, folder and owner of an output document,
+   *  registering their side effects in a transaction.
+   *
+   * @param {File} targetFile - The output document.
+   * @param {string} fileName - The name of the document, with its extension.
+   * @param {Object} plan - The merge plan (see resolveFromMap).
+   * @param {DriveTransaction} tx - The transaction.
+   */
+  setFileProperties(targetFile, fileName, plan, tx) {
+    const activeUser = Session.getActiveUser();
+
+    const {owner, editors, viewers, commenters, folder} = plan;
+
+    tx.begin(LF.i18n(['reset the access rights', 'réinitialisation des droits d\'accès']));
+    /* keep the folders, access rights and owner of a previous document, to restore them on error or undo */
+    if (!tx.isCreated(targetFile)) {
+      tx.registerParents(targetFile);
+      tx.registerAccess(targetFile);
+      tx.registerOwner(targetFile);
+      if (this.manifest != null) {
+        this.manifest.recordSharing(targetFile);
+      }
+      const prevOwner = targetFile.getOwner().getEmail();
+      if (prevOwner != owner) {
+        this.recordChange(LF.MANIFEST_OWNER, targetFile.getId(), {owner: prevOwner});
+      }
+    }
 
     /* 0) cleanup location and access right properties inherited from the model */
     LF.DriveHelper.removeAllParentsFromFile(targetFile);
@@ -392,10 +874,12 @@ class DocTable {
     } */
 
     /* 2) enforce file name */
+    tx.begin(LF.i18n(['set the name', 'changement du nom']));
     Logger.log("Setting name of file \"" + targetFile + "\" to \"" + fileName + "\"");
     targetFile.setName(fileName);
 
     /* 3) enforce access rights */
+    tx.begin(LF.i18n(['share the document', 'partage du document']));
     for (const email of commenters) {
       Logger.log('Adding commenter %s to file "%s"', email, targetFile);
       LF.DriveHelper.addCommenterQuiet(email, targetFile);
@@ -410,119 +894,264 @@ class DocTable {
     }
 
     /* move to target folder */
+    tx.begin(LF.i18n(['move to the folder', 'déplacement dans le dossier']));
     Logger.log('Adding file "%s" to parent folder "%s"', targetFile.getName(), folder.getName());
     folder.addFile(targetFile);
 
     /* enforce owner */
+    tx.begin(LF.i18n(['set the owner', 'changement du propriétaire']));
     Logger.log('Assigning owner %s to file "%s"', owner, targetFile);
     LF.DriveHelper.setOwnerQuiet(owner, targetFile);
     Logger.log('Done');
+  }
 
-    if (!in_place && prevFileId !== false) {
-      /* silently trash the old file */
-      LF.DriveHelper.trashByIdNoFail(prevFileId);
+  /**
+   * Raise a DataTableCellError listing the unresolved tags and the
+   *  non-optional tags with an empty value, if any.
+   *
+   * @param {Object} problems - The tags, as returned by MergeHelper.merge.
+   */
+  checkMergeProblems(problems) {
+    const messages = [];
+    if (problems.unresolved.length > 0) {
+      messages.push(LF.i18n([
+        'unresolved tags: ' + problems.unresolved.join(', '),
+        'balises non résolues : ' + problems.unresolved.join(', '),
+      ]));
+    }
+    if (problems.empty.length > 0) {
+      messages.push(LF.i18n([
+        'empty tags not marked optional: ' + problems.empty.join(', '),
+        'balises vides non optionnelles : ' + problems.empty.join(', '),
+      ]));
     }
+    if (messages.length > 0) {
+      throw new LF.DataTableCellError(COL_DOCUMENT_MODEL_ID, LF.i18n([
+        'Strict merge: ' + messages.join('; ') + '.',
+        'Fusion stricte : ' + messages.join(' ; ') + '.',
+      ]));
+    }
+  }
 
-    return targetFile;
+  /**
+   * Return true if the table is in strict mode, for all its rows.
+   *
+   * @return {boolean} True in strict mode.
+   */
+  isStrictTable() {
+    const anchor = this.dt.getAnchor();
+    return anchor != null && PropertiesService.getDocumentProperties()
+      .getProperty(STRICT_PROPERTY_PREFIX + anchor.getName()) == 'true';
   }
 
   /**
-   * Execute the actions in COL_ACTION
+   * Set the strict mode of the table, for all its rows.
    *
+   * The setting is kept under the anchor of the table, to follow the table
+   *  when it moves, so the table must be anchored, e.g. by inserting it or
+   *  adding all the columns from the menu.
+   *
+   * @param {boolean} strict - True for strict mode.
    */
-  run() {
-    /* start date */
-    const now = new Date();
+  setStrictTable(strict) {
+    const anchor = this.dt.getAnchor();
+    if (anchor == null) {
+      throw new Error(LF.i18n([
+        'This table is not anchored: add all the columns to it from the menu first.',
+        'Cette table n\'est pas ancrée : ajoutez-lui d\'abord toutes les colonnes depuis le menu.',
+      ]));
+    }
+    const key = STRICT_PROPERTY_PREFIX + anchor.getName();
+    if (strict) {
+      PropertiesService.getDocumentProperties().setProperty(key, 'true');
+    } else {
+      PropertiesService.getDocumentProperties().deleteProperty(key);
+    }
+  }
 
-    /* create action counters */
-    const count = new Map();
-    var errorCount = 0;
+  /**
+   * Execute the actions in COL_ACTION, as a resumable job
+   *
+   * When the job option dryRun is set, the actions are checked and described
+   *  in COL_STATUS, but not executed.
+   *
+   * @param {JobRunner} job - The job, started or resumed.
+   * @return {boolean} True if all the rows have been processed.
+   */
+  run(job) {
+    /* start date of the job */
+    const now = job.getStartDate();
 
-    /* columns that needs to be non empty to execute an action */
-    const requires = new Map([
-      [ACTION_NONE, []],
-      [ACTION_CREATE, [COL_DOCUMENT_MODEL_ID]],
-      [ACTION_UPDATE, [COL_DOCUMENT_MODEL_ID, COL_DOCUMENT_ID]],
-      [ACTION_CONTENT, [COL_DOCUMENT_MODEL_ID, COL_DOCUMENT_ID]],
-      [ACTION_REFRESH, [COL_DOCUMENT_ID]],
-    ]);
+    /* parse the computed fields once, before processing any row */
+    try {
+      this.computed = ComputedFields.load();
+      this.strict = this.isStrictTable();
+      const clash = this.computed.getNames().find(name => this.dt.has(name));
+      if (clash !== undefined) {
+        throw new Error(LF.i18n([
+          `Computed field "${clash}" has the name of a column of the table.`,
+          `Le champ calculé "${clash}" porte le nom d'une colonne de la table.`,
+        ]));
+      }
+    } catch (e) {
+      /* nothing to resume */
+      job.finish();
+      throw e;
+    }
 
-    let rows = this.dt.getDataAsMaps();
-    for (var [i, map] of rows) {
+    /* record the changes of a real run, to be able to undo it */
+    if (job.getOptions().dryRun !== true && job.getOptions().runId != undefined) {
+      this.manifest = new LF.RunManifest(MANIFEST_APP, job.getOptions().runId);
+      this.dt.setRunManifest(this.manifest);
+    }
 
-      try {
-        LF.trimStringsInMap(map);
-        this.dt.resetRowColor(i);
-        
-        //const map = new Map(row);
-        this.dt.applyDefaultsToMap(map);
-
-        const action = map.get(COL_ACTION);
-        if (!ACTIONS.includes(action)) {
-          throw new LF.DataTableCellError(COL_ACTION, LF.i18n([
-            `Invalid action "${action}": allowed actions are ${ACTIONS}`,
-            `Action invalide "${action}" : les actions possibles sont ${ACTIONS}`,
-          ]));
-        }
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      const labels = Array.from(this.dt.getMap().keys());
+      return job.run(this.dt.getRange(), this.dt.getNumRows(), i => {
+        this.runRow(i, labels, now, job);
+      }, () => this.flushRun());
+    } finally {
+      this.dt.endBatch();
+      if (this.manifest != null) {
+        this.manifest.flush();
+      }
+    }
+  }
 
-        /* check all the required columns for this action are not empty */
-        for (const col of requires.get(action)) {
-          if (LF.getValue(col, map) === false) {
-            throw new Error(LF.i18n([
-              `Missing value in column "${col}"".`,
-              `Valeur attendue dans la colonne "${col}"".`,
-            ]));
-          }
-        }
+  /**
+   * Write the changes recorded so far by a run: the lines of its manifest,
+   *  then the table.
+   */
+  flushRun() {
+    if (this.manifest != null) {
+      this.manifest.flush();
+    }
+    this.dt.flush();
+  }
 
-        let file;
-        if (action != ACTION_NONE) {
-          /* execute the action and get the resulting output document */
-          if ([ACTION_CREATE, ACTION_UPDATE, ACTION_CONTENT].includes(action)) {
-            const in_place = (action != ACTION_CREATE);
-            const set_props = (action != ACTION_CONTENT);
-            file = this.mergeFromMap(map, in_place, set_props);
-          } else if (action == ACTION_REFRESH) {
-            const id = LF.getValue(COL_DOCUMENT_ID, map);
-            try {
-              file = DriveApp.getFileById(id);
-            } catch (e) {
-              throw new LF.DataTableCellError(COL_DOCUMENT_ID, LF.i18n([
-                `Cannot access document file with id ${id}: ${e}`,
-                `impossible d'accéder au document d\'id ${id} : ${e}`,
-              ]));
-            }
-          }
+  /**
+   * Execute the action in COL_ACTION for one row
+   *
+   * Errors are reported in the row and counted in the job.
+   *
+   * @param {number} i - The row number.
+   * @param {string[]} labels - The column labels.
+   * @param {Date} now - The timestamp to set.
+   * @param {JobRunner} job - The job holding the counters.
+   */
+  runRow(i, labels, now, job) {
+    const map = this.dt.getRowAsMap(i);
+    const dryRun = job.getOptions().dryRun === true;
+    try {
+      LF.trimStringsInMap(map);
+      this.dt.resetRowColor(i);
 
-          /* only update the table cells that need to be updated */
-          const fileProps = this.getMapFromFileObject(file, this.dt.getHeaderAsVector()); //FIXME: filter out inherited properties? (e.g. editors)
-          const changed = LF.mapDiff(map, fileProps);
-          changed.set(COL_STATUS, LF.i18n([
-            `Action "${action}" executed`,
-            `Action "${action}" exécutée`,
-          ]));
-          changed.set(COL_TIMESTAMP, now);
-          changed.set(COL_ACTION, ACTION_NONE);
-          this.dt.updateRow(i, changed);
+      this.dt.applyDefaultsToMap(map);
 
-          LF.inc(count, action);
-        }
-      } catch (e) {
-        Logger.log("ERROR: %s", e);
-        /* update status */
-        const status = new Map([
-          [COL_STATUS, e.message],
+      /* check the action, then, unless skipped, all the other columns */
+      const action = map.get(COL_ACTION);
+      this.audit.setAction(action);
+      this.dt.validateRow(map, action, [COL_ACTION]);
+      if (action != ACTION_NONE) {
+        this.dt.validateRow(map, action);
+      }
+
+      /* Drive references given as URLs or paths, resolved to ids, written back next to them */
+      const resolved = action != ACTION_NONE ? this.dt.resolveDriveRefs(map) : new Map();
+
+      /* add the computed fields, for the merge only (they are not columns) */
+      if ([ACTION_CREATE, ACTION_UPDATE, ACTION_CONTENT].includes(action)) {
+        this.computed.applyToMap(map);
+      }
+
+      if (action != ACTION_NONE && dryRun) {
+        /* describe the action without executing it */
+        const verdict = this.previewFromMap(map, action);
+        this.dt.updateRow(i, new Map([
+          [COL_STATUS, verdict],
           [COL_TIMESTAMP, now],
-        ]);
-        this.dt.updateRow(i, status);
-        /* set font color of the error cell */
-        if (e.name == 'DataTableCellError') {
-          this.dt.setErrorColor(i, e.label);
+        ]));
+        this.dt.setFontColor(i, COL_STATUS, LF.DATATABLE_COLOR_PREVIEW);
+
+        job.inc(action);
+        return;
+      }
+
+      let outputs;
+      /* parts of the template not copied into an output updated in place */
+      const skipped = [];
+      if (action != ACTION_NONE) {
+        /* execute the action and get the resulting output documents */
+        if ([ACTION_CREATE, ACTION_UPDATE, ACTION_CONTENT].includes(action)) {
+          const in_place = (action != ACTION_CREATE);
+          const set_props = (action != ACTION_CONTENT);
+          /* rich text of the cells, for the fields opting in, by column label or header */
+          const richText = name => {
+            const label = this.dt.getCanonicalLabel(name);
+            return this.dt.has(label) ? this.dt.getRichTextValue(i, label) : null;
+          };
+          const strict = this.strict || String(map.get(COL_STRICT)).toLowerCase() == 'true';
+          outputs = this.mergeFromMap(map, in_place, set_props, {richText: richText, strict: strict, skipped: skipped});
+        } else if (action == ACTION_REFRESH) {
+          outputs = this.getOutputFilesFromMap(map);
         }
-        errorCount = errorCount + 1;
+
+        /* only update the table cells that need to be updated */
+        const fileProps = this.getMapFromOutputs(outputs, labels); //FIXME: filter out inherited properties? (e.g. editors)
+        const changed = LF.mapDiff(map, fileProps);
+        changed.set(COL_STATUS, LF.i18n([
+          `Action "${action}" executed`,
+          `Action "${action}" exécutée`,
+        ]) + (skipped.length == 0 ? '' : LF.i18n([
+          `; not copied into the updated document: ${skipped.join(', ')}`,
+          ` ; non copié dans le document mis à jour : ${skipped.join(', ')}`,
+        ])));
+        changed.set(COL_TIMESTAMP, now);
+        changed.set(COL_ACTION, ACTION_NONE);
+        for (const [label, id] of resolved) {
+          changed.set(label, id);
+        }
+        this.dt.updateRow(i, changed);
+
+        job.inc(action);
+      }
+    } catch (e) {
+      Logger.log("ERROR: %s", e);
+      /* update status */
+      const status = new Map([
+        [COL_STATUS, e.message],
+        [COL_TIMESTAMP, now],
+      ]);
+      this.dt.updateRow(i, status);
+      if (dryRun) {
+        this.dt.setFontColor(i, COL_STATUS, LF.DATATABLE_COLOR_PREVIEW);
       }
+      /* set font color of the error cell */
+      if (e.name == 'DataTableCellError') {
+        this.dt.setErrorColor(i, e.label);
+      }
+      job.addError();
     }
-    return [count, errorCount];
+  }
+
+  /**
+   * Delete the rows of output documents that no longer exist, or are trashed
+   *
+   * Rows whose document cannot be checked are kept, with the error in their status.
+   *
+   * @return {Object} The number of deleted rows, and of rows that could not
+   *                  be checked: {deleted, errors}.
+   */
+  prune() {
+    this.assert(this.dt.has(COL_DOCUMENT_ID), "missing column:'" + COL_DOCUMENT_ID + "'");
+
+    return this.dt.pruneRows(function(dmap) {
+      const v = dmap.get(COL_DOCUMENT_ID);
+      const id = v === undefined ? '' : v.toString().trim();
+      return id.length > 0 && LF.DriveHelper.isGoneById(id);
+    }, COL_STATUS);
   }
 
   /**
@@ -549,7 +1178,99 @@ class DocTable {
   }
 
   /**
-   * Complete the table with some missing columns
+   * Show the history of the changes of the row holding the current cell
+   *
+   */
+  showLog() {
+    const i = this.dt.getActiveRow();
+    if (i == null) {
+      throw new Error(LF.i18n([
+        'Select a row of the table first.',
+        'Sélectionner d\'abord une ligne de la table.',
+      ]));
+    }
+    this.dt.showRowHistory(i);
+  }
+
+  /**
+   * Check the template of the row holding the current cell: tags against
+   *  the columns of the table and the computed fields, and brackets
+   *
+   * The template cell is marked in red if errors are found.
+   *
+   * @return {string} The report.
+   */
+  checkTemplate() {
+    const i = this.dt.getActiveRow();
+    if (i == null) {
+      throw new Error(LF.i18n([
+        'Select a row of the table first.',
+        'Sélectionner d\'abord une ligne de la table.',
+      ]));
+    }
+    const map = this.dt.getRowAsMap(i);
+    LF.trimStringsInMap(map);
+    this.dt.resolveDriveRefs(map);
+    const modelId = LF.getValue(COL_DOCUMENT_MODEL_ID, map);
+    if (modelId === false) {
+      throw new Error(LF.i18n([
+        'No template in column "' + COL_DOCUMENT_MODEL_ID + '" of this row.',
+        'Pas de modèle dans la colonne "' + COL_DOCUMENT_MODEL_ID + '" de cette ligne.',
+      ]));
+    }
+    const document = DocumentApp.openById(modelId);
+
+    /* fields: all the columns, under their label or header, as the merge
+     *  resolves tags from any column, and the computed fields; the factory
+     *  columns are not reported unused */
+    const columns = Array.from(this.dt.getMap().keys());
+    const aliases = this.dt.getHeaderAliases();
+    const computed = ComputedFields.load().getNames();
+    const report = MergeHelper.lint(document, columns.concat(Array.from(aliases.keys()), computed), this.linked);
+    for (const [header, label] of aliases) {
+      if (report.used.has(header)) {
+        report.used.add(label);
+      }
+    }
+    const unused = columns.filter(label => !this.isFactoryColumn(label))
+      .concat(computed).filter(name => !report.used.has(name));
+
+    const errors = report.unknown.length + report.malformed.length + report.nested.length;
+    if (errors > 0) {
+      this.dt.setErrorColor(i, COL_DOCUMENT_MODEL_ID);
+    } else {
+      this.dt.setFontColor(i, COL_DOCUMENT_MODEL_ID, null);
+    }
+
+    const lines = [LF.i18n([
+      `Template "${document.getName()}": ${errors} error(s).`,
+      `Modèle "${document.getName()}" : ${errors} erreur(s).`,
+    ])];
+    const section = function(list, en, fr) {
+      if (list.length > 0) {
+        lines.push(LF.i18n([en, fr]) + '\n  ' + list.join('\n  '));
+      }
+    };
+    section(report.unknown, 'Unknown tags:', 'Balises inconnues :');
+    section(report.malformed, 'Malformed constructs:', 'Constructions mal formées :');
+    section(report.nested, 'Nested brackets:', 'Chevrons imbriqués :');
+    section(report.unknownOptional, 'Unknown optional tags (removed):', 'Balises optionnelles inconnues (supprimées) :');
+    section(unused, 'Unused columns:', 'Colonnes inutilisées :');
+    return lines.join('\n');
+  }
+
+  /**
+   * Return a one-line description of the table: location, number of rows
+   *  and last status.
+   *
+   * @return {string} The description.
+   */
+  getSummary() {
+    return this.dt.getSummary(COL_STATUS, COL_TIMESTAMP);
+  }
+
+  /**
+   * Complete the table with some missing columns, and protect read-only columns
    *
    * @param {boolean} mini True to insert a reduced set of columns only.
    */
@@ -560,6 +1281,8 @@ class DocTable {
       COL_DOCUMENT_MODEL_ID
     ];
     this.dt.ensureColumnsExist(mini ? miniCols : this.cols);
+    this.dt.protectReadOnlyColumns();
+    this.dt.anchor();
   }
 
 
@@ -568,6 +1291,15 @@ class DocTable {
   * supported in V8 engine. 
   */
 
+  /**
+   * Return the table (including header) as a Range object.
+   *
+   * @return {Range|undefined} The whole table as a Range object.
+   */
+  getRange() {
+    return this.dt.getRange();
+  }
+
   /**
    * Checks the table has at least one row, raising an exception if the table is empty.
    *
@@ -596,4 +1328,12 @@ class DocTable {
     this.dt.ensureColumnsExist(labels);
   }
 
+  /**
+   * Ensure the columns of the ids resolved from URLs or paths exist.
+   *
+   */
+  ensureResolvedColumnsExist() {
+    this.dt.ensureResolvedColumnsExist();
+  }
+
 }
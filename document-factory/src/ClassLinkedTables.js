@@ -0,0 +1,78 @@
+/**
+ * Class LinkedTables
+ *
+ * Linked tables are data tables in other sheets of the spreadsheet, holding
+ * several rows per row of the document table, e.g. the grades of a student or
+ * the lines of an invoice. A template repeats rows for the linked rows
+ * matching the key of the current row (see MergeHelper).
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * A linked table is found in its sheet from the label of its key column, and
+ * read once per run.
+ */
+
+/**
+ * Class representing the linked tables of a spreadsheet.
+ *
+ */
+class LinkedTables {
+
+  /**
+   * Create a LinkedTables.
+   * @param {Spreadsheet=} ss - The spreadsheet (default: the active one).
+   */
+  constructor(ss=null) {
+    this.ss = ss == null ? SpreadsheetApp.getActiveSpreadsheet() : ss;
+    /* data tables already read, by sheet name and key label */
+    this.tables = new Map();
+  }
+
+  /**
+   * Return the linked table of a sheet.
+   *
+   * @param {string} name - The name of the sheet.
+   * @param {string} keyLabel - The label of the key column.
+   * @return {LF.DataTable} The data table.
+   */
+  getTable(name, keyLabel) {
+    const id = name + '\n' + keyLabel;
+    if (!this.tables.has(id)) {
+      const sheet = this.ss.getSheets().find(s => s.getName().trim() == name.trim());
+      if (sheet === undefined) {
+        throw new Error(LF.i18n([
+          `Linked sheet "${name}" not found.`,
+          `Feuille liée "${name}" introuvable.`,
+        ]));
+      }
+      const rs = LF.DataTable.findAllFromLabel(sheet, keyLabel);
+      if (rs.length == 0) {
+        throw new Error(LF.i18n([
+          `No column "${keyLabel}" in linked sheet "${name}".`,
+          `Pas de colonne "${keyLabel}" dans la feuille liée "${name}".`,
+        ]));
+      }
+      this.tables.set(id, new LF.DataTable(rs[0]));
+    }
+    return this.tables.get(id);
+  }
+
+  /**
+   * Return the rows of a linked table having a given key.
+   *
+   * @param {string} name - The name of the sheet.
+   * @param {string} keyLabel - The label of the key column.
+   * @param {*} key - The key.
+   * @return {Map[]} The label-to-value maps of the rows, in sheet order.
+   */
+  getRows(name, keyLabel, key) {
+    const dt = this.getTable(name, keyLabel);
+    return dt.findRowsByKey(keyLabel, key).map(function(i) {
+      const m = dt.getRowAsMap(i);
+      LF.trimStringsInMap(m);
+      return m;
+    });
+  }
+}
@@ -3,10 +3,83 @@
  *
  * Christophe Bisière
  *
- * version 2019-04-17
+ * version 2026-10-19
  *
+ * Template language:
+ *  - value tags: "<<Field>>", or "<text1<Field>text2>", where text1 and
+ *    text2 are kept only if the value is not empty;
+ *  - optional tags: "<<Field?>>" is removed if there is no such field, while
+ *    an unknown non-optional tag is left as is;
+ *  - filters, applied from left to right: "<<Field|upper>>", "|lower",
+ *    "|trim", "|default:text" (when the value is empty),
+ *    "|date:pattern" or "|date:fr:pattern" (see LF.Expression.formatDate),
+ *    "|number:2" or "|number:fr:2" (number of decimals);
+ *  - typed fields, after any other filter: "<<Photo|image>>" inserts the
+ *    image of a Drive file id or URL, or of an image URL, optionally sized
+ *    in points, e.g. "|image:120" (width) or "|image:120:80";
+ *    "<<Field|qr>>" or "<<Field|qr:100>>" inserts a QR code of the value;
+ *    "<<Course|link:Course URL>>" inserts the value linked to the value of
+ *    the field "Course URL", and "<<Course URL|link>>" links the URL itself;
+ *    "<<Comment|rich>>" reproduces the bold, italic, underline, strikethrough
+ *    and links of the cell of the sheet;
+ *  - conditional blocks: "<<#if Condition>>" ... "<<#else>>" ... "<</if>>",
+ *    where Condition is a field, true if its value is not empty, "0" or
+ *    "FALSE", or an expression (see LF.Expression), e.g.
+ *    "[Status] = \"paid\"", whose "<" and ">" are escaped, e.g.
+ *    "[Amount] \>= 100" or "[Status] \<\> \"paid\"";
+ *  - loops: "<<#each Field>>" ... "<</each>>" repeat their content once per
+ *    line of the value of Field; inside, "<<this>>" is the line and
+ *    "<<@index>>" its number, starting at 1;
+ *  - loops over columns: "<<#each Field|split:;>>" also split each line
+ *    into columns at the separator (";" here, or "tab"), available as
+ *    "<<@1>>", "<<@2>>"..., or named, e.g. "<<#each Field|split:;:Course:Grade>>"
+ *    gives "<<Course>>" and "<<Grade>>";
+ *  - loops over a linked sheet: "<<#each Sheet|key:Column>>" repeat their
+ *    content once per row of the table of the sheet "Sheet" (see
+ *    LinkedTables) whose "Column" has the value of "Column" in the current
+ *    row; inside, the columns of the linked row are available as fields;
+ *  - comments: "<<! text>>" is removed;
+ *  - escaping: "\<" and "\>" stand for literal "<" and ">".
+ *
+ * Block tags stand alone in their paragraph, and the content of a block is
+ * made of whole paragraphs, list items and tables. In a table, a block opened
+ * at the start of the first cell of a row and closed at the end of the last
+ * cell of a row (the same or a later one) is made of whole rows, e.g. to
+ * repeat a row. Repeated rows and paragraphs are copies of the template ones,
+ * formatting included.
+ *
+ * A value takes the character style of its tag (bold, italic, font, size,
+ * colors...), whatever the style of the surrounding text.
+ *
+ * A paragraph left empty by a substitution is removed, and so is a table row
+ * left with empty cells only.
  */
 
+/* pattern of value tags: "<text1<tag>text2>", where text1, tag and text2 may hold "\<" and "\>" */
+const MERGE_TAG_PATTERN = '<(?:[^<>\\\\]|\\\\.)*<(?:[^<>\\\\]|\\\\.)+>(?:[^<>\\\\]|\\\\.)*>';
+
+/* filters changing the value */
+const MERGE_VALUE_FILTERS = ['upper', 'lower', 'trim', 'default', 'date', 'number'];
+
+/* filters of each blocks */
+const MERGE_EACH_FILTERS = ['split', 'key'];
+
+/* filters inserting something else than plain text, last in a tag */
+const MERGE_TYPED_FILTERS = ['image', 'qr', 'link', 'rich'];
+
+/* placeholder of an inserted image, while the tag is replaced */
+const MERGE_IMAGE_PLACEHOLDER = '\uFFFC';
+
+/* block tags, alone in a paragraph, whose argument may hold "\<" and "\>" */
+const MERGE_BLOCK_OPEN = /^<<\s*#(if|each)\s+((?:[^<>\\]|\\.)+?)\s*>>$/;
+const MERGE_BLOCK_ELSE = /^<<\s*#else\s*>>$/;
+const MERGE_BLOCK_CLOSE = /^<<\s*\/(if|each)\s*>>$/;
+
+/* block tags of rows, at the start of the first cell or at the end of the last cell */
+const MERGE_ROW_OPEN = /^\s*<<\s*#(if|each)\s+((?:[^<>\\]|\\.)+?)\s*>>/;
+const MERGE_ROW_ELSE = /^\s*<<\s*#else\s*>>/;
+const MERGE_ROW_CLOSE = /<<\s*\/(if|each)\s*>>\s*$/;
+
 class MergeHelper {
 
   /**
@@ -19,209 +92,1481 @@ class MergeHelper {
    *     "tag",
    *     "text2",
    *     opt?, (true if the tag name is followed by a "?")
-   *     Object part (could be Body, etc.)
+   *     Object part (could be Body, etc.),
+   *     filters, (array of {name, args})
    *   ]
    *
-   * TODO: find a way to allow "<" or ">" in text1 and text2
-   *
+   * Tags whose first "<" is escaped as "\<" are ignored.
    */
   static findAllTags(docPart) {
-    const pattern = '<[^<>]*<[^<>\\?]+\\??>[^<>]*>';
-
     const res = [];
 
-    const ranges = findAllRanges(docPart, pattern);
+    const ranges = findAllRanges(docPart, MERGE_TAG_PATTERN);
 
     /* decompose each search result */
-    for (let i = 0; i < ranges.length; i++) {
-      const item = [];
+    for (const range of ranges) {
+      const first = range.getStartOffset();
+      if (first > 0 && range.getElement().asText().getText().charAt(first - 1) == '\\') {
+        continue;
+      }
 
-      const range = ranges[i];
-      let match = getStringFromRange(range); /* "<text1<tag>text2>" */
+      const match = getStringFromRange(range); /* "<text1<tag>text2>" */
+      const a = match.match(/^<((?:[^<>\\]|\\.)*)<((?:[^<>\\]|\\.)+)>((?:[^<>\\]|\\.)*)>$/);
+      const tag = MergeHelper.parseTag(a[2]);
 
-      item.push(match);
-      item.push(range);
+      res.push([match, range, a[1], tag.name, a[3], tag.opt, docPart, tag.filters]);
+    }
 
-      match = match.substring(1, match.length - 1); /* "text1<tag>text2" */
+    return res;
+  }
+
+  /**
+   * Decompose the inside of a tag: "name?|filter1:arg1|filter2".
+   *
+   * @param {string} s - The inside of the tag.
+   * @return {Object} The tag name, optional flag and filters: {name, opt, filters}.
+   */
+  static parseTag(s) {
+    if (s.startsWith('!')) {
+      /* comment */
+      return {name: s, opt: true, filters: []};
+    }
+    const parts = s.split('|');
+    let name = parts.shift();
+    let opt = false;
+    if (name.endsWith('?')) {
+      opt = true;
+      name = name.substring(0, name.length - 1);
+    }
+    const filters = parts.map(function(f) {
+      const args = f.split(':');
+      return {name: args.shift().trim().toLowerCase(), args: args};
+    });
+    return {name: name, opt: opt, filters: filters};
+  }
 
-      const a = match.split(/[<>]/); /* ["text1", "tag", "text2"] */
+  /* values */
 
-      /* extract optional trailing "?" to the tag */
-      let opt = false;
-      let tag = a[1];
-      if (tag.substring(tag.length - 1) == '?') {
-        opt = true;
-        tag = tag.substring(0, tag.length - 1);
+  /**
+   * Look up the value of a field in a scope, then in the enclosing scopes.
+   *
+   * A scope is an object {values: Map, parent: scope or null}; the outermost
+   *  scope also holds the linked tables, the function returning the rich
+   *  text of a field, and the tags left unresolved or empty:
+   *  {values, parent: null, tables, richText, problems}.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} name - The field name.
+   * @return {*} The value, or undefined if there is no such field.
+   */
+  static lookup(scope, name) {
+    for (let s = scope; s != null; s = s.parent) {
+      if (s.values.has(name)) {
+        return s.values.get(name);
+      }
+      if (s.values.has(name.trim())) {
+        return s.values.get(name.trim());
       }
+    }
+    return undefined;
+  }
 
-      item.push(a[0]);
-      item.push(tag);
-      item.push(a[2]);
-      item.push(opt);
-      item.push(docPart);
+  /**
+   * Return the outermost scope, holding the values of the row.
+   *
+   * @param {Object} scope - The scope.
+   * @return {Object} The outermost scope.
+   */
+  static getRoot(scope) {
+    let root = scope;
+    while (root.parent != null) {
+      root = root.parent;
+    }
+    return root;
+  }
 
-      res.push(item);
+  /**
+   * Return all the values of a scope and its enclosing scopes as one map.
+   *
+   * @param {Object} scope - The scope.
+   * @return {Map} The map of field name to value.
+   */
+  static flatten(scope) {
+    const scopes = [];
+    for (let s = scope; s != null; s = s.parent) {
+      scopes.unshift(s);
+    }
+    const m = new Map();
+    for (const s of scopes) {
+      for (const [k, v] of s.values) {
+        m.set(k, v);
+      }
     }
+    return m;
+  }
 
-    return res;
+  /**
+   * Return the language of the user, for dates and numbers.
+   *
+   * @return {string} "fr" or "en".
+   */
+  static getDefaultLang() {
+    return Session.getActiveUserLocale() == 'fr' ? 'fr' : 'en';
   }
 
   /**
-   * Modify a document by replacing tags with values given in a map.
+   * Split the arguments of a filter into an optional leading language, and
+   *  the rest, joined back with ":".
    *
-   * @param {Document} document - The opened document to modify.
-   * @param {Map} fmap - The label-to-value map to use to replace tags.
+   * @param {string[]} args - The arguments.
+   * @return {string[]} The language and the rest.
    */
+  static splitLang(args) {
+    if (args.length > 1 && /^[a-z]{2}$/i.test(args[0].trim())) {
+      return [args[0].trim().toLowerCase(), args.slice(1).join(':')];
+    }
+    return [MergeHelper.getDefaultLang(), args.join(':')];
+  }
 
-  static merge(document, map) {
-    /* look for tag constructs in all parts of the document */
-    const parts = getDocumentParts(document);
-    const tags = [];
+  /**
+   * Format a number with a given number of decimals, and digit grouping.
+   *
+   * @param {number} n - The number.
+   * @param {?number} digits - The number of decimals, or null to keep them all.
+   * @param {string} lang - The language ("fr" or "en").
+   * @return {string} The formatted number.
+   */
+  static formatNumber(n, digits, lang) {
+    const s = digits == null ? String(Math.abs(n)) : Math.abs(n).toFixed(digits);
+    const [int, dec] = s.split('.');
+    const grouped = int.replace(/\B(?=(\d{3})+(?!\d))/g, lang == 'fr' ? ' ' : ',');
+    const point = lang == 'fr' ? ',' : '.';
+    return (n < 0 ? '-' : '') + grouped + (dec === undefined ? '' : point + dec);
+  }
 
-    for (var p = 0; p < parts.length; p++) {
+  /**
+   * Apply a filter to a value.
+   *
+   * @param {string} value - The value.
+   * @param {Object} filter - The filter: {name, args}.
+   * @return {string} The filtered value.
+   */
+  static applyFilter(value, filter) {
+    switch (filter.name) {
+      case 'upper':
+        return value.toUpperCase();
+      case 'lower':
+        return value.toLowerCase();
+      case 'trim':
+        return value.trim();
+      case 'default':
+        return value.length > 0 ? value : filter.args.join(':');
+      case 'date': {
+        if (value.length == 0) {
+          return value;
+        }
+        const [lang, pattern] = MergeHelper.splitLang(filter.args);
+        const d = new Date(value);
+        if (isNaN(d)) {
+          throw new Error(LF.i18n([
+            `Cannot format "${value}" as a date.`,
+            `Impossible de formater "${value}" comme une date.`,
+          ]));
+        }
+        return LF.Expression.formatDate(d, pattern.length > 0 ? pattern : 'd/M/yyyy', lang);
+      }
+      case 'number': {
+        if (value.length == 0) {
+          return value;
+        }
+        const [lang, digits] = MergeHelper.splitLang(filter.args);
+        const n = Number(value.replace(/\s/g, '').replace(',', '.'));
+        if (isNaN(n)) {
+          throw new Error(LF.i18n([
+            `Cannot format "${value}" as a number.`,
+            `Impossible de formater "${value}" comme un nombre.`,
+          ]));
+        }
+        return MergeHelper.formatNumber(n, digits.length > 0 ? parseInt(digits) : null, lang);
+      }
+      default:
+        throw new Error(LF.i18n([
+          `Unknown filter "${filter.name}".`,
+          `Filtre inconnu "${filter.name}".`,
+        ]));
+    }
+  }
 
-      var arr = MergeHelper.findAllTags(parts[p]);
-      for (var t = 0; t < arr.length; t++) {
-        tags.push(arr[t]);
+  /**
+   * Return the value to substitute to a tag, or undefined if the tag is to be
+   *  left as is.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} name - The tag name.
+   * @param {boolean} opt - True if the tag is optional.
+   * @param {Object[]} filters - The filters.
+   * @return {string|undefined} The value.
+   */
+  static getTagValue(scope, name, opt, filters) {
+    if (name.startsWith('!')) {
+      /* comment */
+      return '';
+    }
+    let value = MergeHelper.lookup(scope, name);
+    if (value === undefined) {
+      /* no such field: substitute a blank string only in optional mode, or when there is a default value */
+      if (!opt && !filters.some(f => f.name == 'default')) {
+        return undefined;
       }
+      value = '';
+    }
+    let s = LF.Expression.toText(value);
+    for (const filter of filters) {
+      s = MergeHelper.applyFilter(s, filter);
     }
+    return s;
+  }
 
-    /* Massive search-replace, starting from the end */
-    for (var t = tags.length - 1; t >= 0; t--) {
+  /**
+   * Return the typed filter of a tag, if any, which must be the last one.
+   *
+   * @param {Object[]} filters - The filters.
+   * @return {?Object} The typed filter, or null.
+   */
+  static getTagType(filters) {
+    const k = filters.findIndex(f => MERGE_TYPED_FILTERS.includes(f.name));
+    if (k < 0) {
+      return null;
+    }
+    if (k != filters.length - 1) {
+      throw new Error(LF.i18n([
+        `Filter "${filters[k].name}" must be the last one.`,
+        `Le filtre "${filters[k].name}" doit être le dernier.`,
+      ]));
+    }
+    return filters[k];
+  }
 
-      Logger.log(`Processing tag "${tags[t]}"`);
-      /* true if the tag had a trailing "?" */
-      var opt = tags[t][5];
+  /* blocks */
 
-      /* column label for the tag, or null if no column exists for this tag */
-      var tagName = tags[t][3];
-      var tagIsKnown =  map.has(tagName);
+  /**
+   * Return the block tag of a paragraph or list item, if it holds only one.
+   *
+   * @param {Element} element - The element.
+   * @return {?Object} The block tag: {type: 'open', kind, arg}, {type: 'else'},
+   *                   {type: 'close', kind}, or null.
+   */
+  static getBlockTag(element) {
+    const type = element.getType();
+    if (type != DocumentApp.ElementType.PARAGRAPH && type != DocumentApp.ElementType.LIST_ITEM) {
+      return null;
+    }
+    const text = element.asText().getText().trim();
+    let m;
+    if ((m = text.match(MERGE_BLOCK_OPEN)) != null) {
+      return {type: 'open', kind: m[1], arg: MergeHelper.unescapeText(m[2]), text: text};
+    }
+    if (MERGE_BLOCK_ELSE.test(text)) {
+      return {type: 'else', text: text};
+    }
+    if ((m = text.match(MERGE_BLOCK_CLOSE)) != null) {
+      return {type: 'close', kind: m[1], text: text};
+    }
+    return null;
+  }
 
-      /* value to substitute to the tag */
-      let tagValue;
-      if (!tagIsKnown) {
-        /* no column exists with this tag */
-        if (opt) {
-          /* in optional mode, we simply substitute a blank string */
-          tagValue = '';
+  /**
+   * Raise an Error about a block tag.
+   *
+   * @param {string} text - The block tag.
+   * @param {string[]} messages - The translated messages.
+   */
+  static blockError(text, messages) {
+    throw new Error(LF.i18n([
+      `Template error at "${text}": ${messages[0]}`,
+      `Erreur de modèle à "${text}" : ${messages[1]}`,
+    ]));
+  }
+
+  /**
+   * Group a list of sibling elements into plain elements and top-level
+   *  blocks, whose content is kept as a flat list of elements.
+   *
+   * @param {Element[]} elements - The sibling elements.
+   * @return {Object[]} The list of {element} or {block}, a block being
+   *                    {kind, arg, text, open, otherwise, close, body, elseBody}.
+   */
+  static parseBlocks(elements) {
+    const nodes = [];
+    let block = null;
+    let depth = 0;
+    for (const element of elements) {
+      const tag = MergeHelper.getBlockTag(element);
+      if (block == null) {
+        if (tag == null) {
+          nodes.push({element: element});
+        } else if (tag.type != 'open') {
+          MergeHelper.blockError(tag.text, ['no matching opening tag', 'pas de balise ouvrante correspondante']);
         } else {
-          /* else we skip the replacement, and the ugly pattern stays as-is in the output document */
+          block = {kind: tag.kind, arg: tag.arg, text: tag.text, open: element,
+            otherwise: null, close: null, body: [], elseBody: []};
+          depth = 0;
+        }
+        continue;
+      }
+      if (tag != null && depth == 0) {
+        if (tag.type == 'close') {
+          if (tag.kind != block.kind) {
+            MergeHelper.blockError(tag.text, ['does not close ' + block.text, 'ne ferme pas ' + block.text]);
+          }
+          block.close = element;
+          nodes.push({block: block});
+          block = null;
           continue;
         }
+        if (tag.type == 'else') {
+          if (block.kind != 'if' || block.otherwise != null) {
+            MergeHelper.blockError(tag.text, ['unexpected', 'inattendu']);
+          }
+          block.otherwise = element;
+          continue;
+        }
+      }
+      if (tag != null && tag.type == 'open') {
+        depth += 1;
+      } else if (tag != null && tag.type == 'close') {
+        depth -= 1;
+      }
+      (block.otherwise == null ? block.body : block.elseBody).push(element);
+    }
+    if (block != null) {
+      MergeHelper.blockError(block.text, ['no matching closing tag', 'pas de balise fermante correspondante']);
+    }
+    return nodes;
+  }
+
+  /**
+   * Evaluate the condition of an if block.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} arg - The condition: a field or an expression.
+   * @return {boolean} The truth value.
+   */
+  static isTrue(scope, arg) {
+    const value = MergeHelper.lookup(scope, arg);
+    if (value !== undefined) {
+      return LF.Expression.isTrue(value);
+    }
+    return LF.Expression.isTrue(new LF.Expression(arg).evaluate(MergeHelper.flatten(scope)));
+  }
+
+  /**
+   * Return the items of an each block: the non-blank lines of a field,
+   *  possibly split into columns, or the matching rows of a linked table.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} arg - The field, or the linked sheet, and its filters.
+   * @param {string} text - The block tag, for error messages.
+   * @return {Map[]} The values of each item.
+   */
+  static getItems(scope, arg, text) {
+    const tag = MergeHelper.parseTag(arg);
+    const split = tag.filters.find(f => f.name == 'split');
+    const key = tag.filters.find(f => f.name == 'key');
+    const unknown = tag.filters.find(f => !MERGE_EACH_FILTERS.includes(f.name));
+    if (unknown !== undefined) {
+      MergeHelper.blockError(text, [`unknown filter "${unknown.name}"`, `filtre inconnu "${unknown.name}"`]);
+    }
+
+    if (key !== undefined) {
+      return MergeHelper.getLinkedItems(scope, tag.name, key.args.join(':').trim(), text);
+    }
+
+    const value = MergeHelper.lookup(scope, tag.name);
+    if (value === undefined) {
+      MergeHelper.blockError(text, [`unknown field "${tag.name}"`, `champ inconnu "${tag.name}"`]);
+    }
+    const lines = LF.Expression.toText(value).split('\n').filter(line => line.trim().length > 0);
+    if (split === undefined) {
+      return lines.map(line => new Map([['this', line]]));
+    }
+
+    const [sep, ...names] = split.args;
+    if (sep === undefined || sep.length == 0) {
+      MergeHelper.blockError(text, ['missing separator', 'séparateur manquant']);
+    }
+    return lines.map(function(line) {
+      const m = new Map([['this', line]]);
+      line.split(sep == 'tab' ? '\t' : sep).forEach(function(v, k) {
+        m.set('@' + (k + 1), v.trim());
+        if (k < names.length && names[k].trim().length > 0) {
+          m.set(names[k].trim(), v.trim());
+        }
+      });
+      return m;
+    });
+  }
+
+  /**
+   * Return the items of an each block over a linked table: the rows whose
+   *  key column has the value of the same column in the scope.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} name - The name of the linked sheet.
+   * @param {string} keyLabel - The label of the key column.
+   * @param {string} text - The block tag, for error messages.
+   * @return {Map[]} The values of each item.
+   */
+  static getLinkedItems(scope, name, keyLabel, text) {
+    const root = MergeHelper.getRoot(scope);
+    if (root.tables == null) {
+      MergeHelper.blockError(text, ['no linked tables', 'pas de tables liées']);
+    }
+    const key = MergeHelper.lookup(scope, keyLabel);
+    if (key === undefined) {
+      MergeHelper.blockError(text, [`unknown field "${keyLabel}"`, `champ inconnu "${keyLabel}"`]);
+    }
+    return root.tables.getRows(name, keyLabel, key);
+  }
+
+  /**
+   * Return the scope of an item of an each block.
+   *
+   * @param {Object} scope - The enclosing scope.
+   * @param {Map} values - The values of the item.
+   * @param {number} k - The index of the item, starting at 0.
+   * @return {Object} The scope.
+   */
+  static getItemScope(scope, values, k) {
+    const m = new Map(values);
+    m.set('@index', String(k + 1));
+    return {values: m, parent: scope};
+  }
+
+  /* elements */
+
+  /**
+   * Return the children of a container element.
+   *
+   * @param {ContainerElement} container - The container.
+   * @return {Element[]} The children.
+   */
+  static getChildren(container) {
+    const children = [];
+    for (let i = 0; i < container.getNumChildren(); i++) {
+      children.push(container.getChild(i));
+    }
+    return children;
+  }
+
+  /**
+   * Insert a copy of an element in a container.
+   *
+   * @param {ContainerElement} container - The container.
+   * @param {number} index - The index to insert the copy at.
+   * @param {Element} element - The element to copy.
+   * @return {?Element} The copy, or null if the element cannot be copied.
+   */
+  static insertCopy(container, index, element) {
+    switch (element.getType()) {
+      case DocumentApp.ElementType.PARAGRAPH:
+        return container.insertParagraph(index, element.copy());
+      case DocumentApp.ElementType.LIST_ITEM:
+        return container.insertListItem(index, element.copy());
+      case DocumentApp.ElementType.TABLE:
+        return container.insertTable(index, element.copy());
+      default:
+        Logger.log('Cannot copy element of type %s', element.getType());
+        return null;
+    }
+  }
+
+  /**
+   * Remove an element from its parent.
+   *
+   * The last paragraph of a document section cannot be removed: it is
+   *  cleared instead.
+   *
+   * @param {Element} element - The element.
+   */
+  static removeElement(element) {
+    try {
+      element.removeFromParent();
+    } catch (e) {
+      Logger.log('Cannot remove element, clearing it: %s', e);
+      element.clear();
+    }
+  }
+
+  /**
+   * Replace the children of a document section with copies of the children
+   *  of another one.
+   *
+   * @param {?ContainerElement} from - The section to copy, or null for none.
+   * @param {ContainerElement} to - The section to replace.
+   * @param {Set} skipped - The set receiving the types of the elements that
+   *                        cannot be copied.
+   */
+  static copySection(from, to, skipped) {
+    const old = MergeHelper.getChildren(to);
+    let index = 0;
+    for (const element of from == null ? [] : MergeHelper.getChildren(from)) {
+      let copy = null;
+      try {
+        copy = MergeHelper.insertCopy(to, index, element);
+      } catch (e) {
+        Logger.log('Cannot copy element of type %s: %s', element.getType(), e);
+      }
+      if (copy != null) {
+        index += 1;
       } else {
-        /* a column exists: get the replacement from the worksheet */
-        tagValue = map.get(tagName);
-      }
-
-      /* replacement target */
-      var range = tags[t][1];
-      var element = range.getElement();
-      var text1 = tags[t][2];
-      var text2 = tags[t][4];
-
-      /* indexes of the substring to replace */
-      var first = range.getStartOffset();
-      var last = range.getEndOffsetInclusive();
-      
-      /* does the replacement would fill all the element containing the tag (paragraph, item...) */
-      var isFullRep = (tags[t][0] == element.getText()) && (text1 == "") && (text2 == "");
-      /* parent of the target text element */
-      var parent = element.getParent();
-      /* is this container a list item? */
-      var isItem = parent.getType() == DocumentApp.ElementType.LIST_ITEM;
-      /* lines in the replacement text */
-      var lines = tagValue.split("\n");
-
-      /* are we in the special case where extra list items must be created? */
-      var isNewItemsCase = (isItem && isFullRep && (lines.length > 0));
-
-      Logger.log(`IsItem ${isItem}`);
-      Logger.log(`Full replacement of the container ${isFullRep}`);
-      Logger.log(`Replace index is ${first} to ${last}`);
-      Logger.log(`Number of lines is ${lines.length}`);
-      LF.logObject(lines,"lines");
-
-      /* special case: full replacement of a list item with multiple lines: create one new item per extra line */
-      if (isNewItemsCase) {
-        tagValue = lines.shift(); /* will replace the existing item with the first line in the tag value  */
-      }
-
-      /* replacement text */
-      var replaceTxt = "";
-      /* conditional replacement */
-      if (tagValue.length > 0) { 
-        replaceTxt = text1 + tagValue + text2;
-      }
-    
-      Logger.log(`Replacement is ${replaceTxt}`);
-      Logger.log(`Length of replacement is ${replaceTxt.length}`);
-
-      /* first replacement */
-      if (replaceTxt.length > 0) {
-
-        var op_size = 1;
-        var tag_pos = first + op_size + text1.length + 1;
-        var tag_len = tagName.length
-
-        element.deleteText(last - op_size + 1, last);                 /* delete final ">" or ">>" */
-        element.deleteText(tag_pos, last - op_size - text2.length);   /* delete "tag>" */
-        element.insertText(tag_pos, tagValue);                        /* insert tag value after second "<" */
-        element.deleteText(tag_pos - op_size, tag_pos - 1);           /* delete second "<" */
-        element.deleteText(first, first + op_size - 1);               /* delete first "<" or "<<" */
+        skipped.add(String(element.getType()));
+      }
+    }
+    old.forEach(MergeHelper.removeElement);
+  }
+
+  /**
+   * Return the header or footer sections of a document, including the
+   *  first-page and even-page ones, which DocumentApp does not expose.
+   *
+   * @param {Document} document - The document.
+   * @param {ElementType} type - HEADER_SECTION or FOOTER_SECTION.
+   * @return {Element[]} The sections.
+   */
+  static getSections(document, type) {
+    return MergeHelper.getChildren(document.getBody().getParent())
+      .filter(section => section.getType() == type);
+  }
+
+  /**
+   * Replace the content of a document (header, body and footer) with a copy
+   *  of the content of another one, the document itself keeping its id,
+   *  name and sharing. The margins and page size are copied too.
+   *
+   * DocumentApp cannot insert some elements (e.g. a table of contents), nor
+   *  create first-page and even-page headers and footers, nor tell them
+   *  apart from the default ones, and copies footnotes unreliably: these are
+   *  not copied, and reported.
+   *
+   * @param {Document} from - The document to copy.
+   * @param {Document} to - The document to replace the content of.
+   * @return {string[]} The parts of the document that were not copied.
+   */
+  static copyContent(from, to) {
+    const skipped = new Set();
+    const fromBody = from.getBody();
+    MergeHelper.copySection(fromBody, to.getBody(), skipped);
+    to.getBody()
+      .setMarginTop(fromBody.getMarginTop())
+      .setMarginBottom(fromBody.getMarginBottom())
+      .setMarginLeft(fromBody.getMarginLeft())
+      .setMarginRight(fromBody.getMarginRight())
+      .setPageWidth(fromBody.getPageWidth())
+      .setPageHeight(fromBody.getPageHeight());
+
+    if (from.getHeader() != null || to.getHeader() != null) {
+      MergeHelper.copySection(from.getHeader(), to.getHeader() || to.addHeader(), skipped);
+    }
+    if (from.getFooter() != null || to.getFooter() != null) {
+      MergeHelper.copySection(from.getFooter(), to.getFooter() || to.addFooter(), skipped);
+    }
+    if (MergeHelper.getSections(from, DocumentApp.ElementType.HEADER_SECTION).length > 1 ||
+        MergeHelper.getSections(to, DocumentApp.ElementType.HEADER_SECTION).length > 1) {
+      skipped.add(LF.i18n(['first-page or even-page header', 'en-tête de première page ou de page paire']));
+    }
+    if (MergeHelper.getSections(from, DocumentApp.ElementType.FOOTER_SECTION).length > 1 ||
+        MergeHelper.getSections(to, DocumentApp.ElementType.FOOTER_SECTION).length > 1) {
+      skipped.add(LF.i18n(['first-page or even-page footer', 'pied de page de première page ou de page paire']));
+    }
+    if (from.getFootnotes().length > 0) {
+      skipped.add(LF.i18n(['footnotes', 'notes de bas de page']));
+    }
+    return Array.from(skipped);
+  }
+
+  /**
+   * Merge a list of sibling elements of a container.
+   *
+   * @param {ContainerElement} container - The container (body, table cell...).
+   * @param {Element[]} elements - The elements.
+   * @param {Object} scope - The scope.
+   */
+  static mergeElements(container, elements, scope) {
+    for (const node of MergeHelper.parseBlocks(elements)) {
+      if (node.element !== undefined) {
+        MergeHelper.mergeElement(node.element, scope);
+        continue;
+      }
+
+      const block = node.block;
+      if (block.kind == 'if') {
+        const cond = MergeHelper.isTrue(scope, block.arg);
+        for (const element of (cond ? block.elseBody : block.body)) {
+          MergeHelper.removeElement(element);
+        }
+        MergeHelper.mergeElements(container, cond ? block.body : block.elseBody, scope);
+      } else {
+        const items = MergeHelper.getItems(scope, block.arg, block.text);
+        items.forEach(function(item, k) {
+          /* insert the copies before the opening tag, then merge them */
+          const copies = [];
+          for (const element of block.body) {
+            const copy = MergeHelper.insertCopy(container, container.getChildIndex(block.open), element);
+            if (copy != null) {
+              copies.push(copy);
+            }
+          }
+          MergeHelper.mergeElements(container, copies, MergeHelper.getItemScope(scope, item, k));
+        });
+        for (const element of block.body) {
+          MergeHelper.removeElement(element);
+        }
+      }
+      for (const element of [block.open, block.otherwise, block.close]) {
+        if (element != null) {
+          MergeHelper.removeElement(element);
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge an element that is not a block tag.
+   *
+   * @param {Element} element - The element.
+   * @param {Object} scope - The scope.
+   */
+  static mergeElement(element, scope) {
+    switch (element.getType()) {
+      case DocumentApp.ElementType.TABLE:
+        MergeHelper.mergeTable(element, scope);
+        break;
+      case DocumentApp.ElementType.PARAGRAPH:
+      case DocumentApp.ElementType.LIST_ITEM:
+        MergeHelper.replaceTags(element, scope);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /* tables */
+
+  /**
+   * Remove a block tag of rows from a cell.
+   *
+   * @param {TableCell} cell - The cell.
+   * @param {RegExp} regex - The regex matching the tag.
+   */
+  static stripRowTag(cell, regex) {
+    const text = cell.editAsText();
+    const m = text.getText().match(regex);
+    text.deleteText(m.index, m.index + m[0].length - 1);
+    /* remove the paragraph of the tag, if left empty */
+    for (const child of [cell.getChild(0), cell.getChild(cell.getNumChildren() - 1)]) {
+      if (cell.getNumChildren() > 1 && child.asText().getText().length == 0) {
+        child.removeFromParent();
+      }
+    }
+  }
+
+  /**
+   * Group the rows of a table into plain rows and top-level blocks of rows,
+   *  removing the block tags from the cells.
+   *
+   * Rows opening a block that is never closed are left as plain rows, as
+   *  their tags may be blocks within the cell.
+   *
+   * @param {TableRow[]} rows - The rows.
+   * @return {Object[]} The list of {row} or {block}, a block being
+   *                    {kind, arg, text, body, elseBody}.
+   */
+  static parseRowBlocks(rows) {
+    const nodes = [];
+    let block = null;
+    let depth = 0;
+    let pending = [];
+    for (const row of rows) {
+      const first = row.getCell(0);
+      const last = row.getCell(row.getNumCells() - 1);
+      const open = first.getText().match(MERGE_ROW_OPEN);
+      const close = last.getText().match(MERGE_ROW_CLOSE);
+      const otherwise = MERGE_ROW_ELSE.test(first.getText());
+
+      if (block == null) {
+        if (open == null) {
+          nodes.push({row: row});
+          continue;
+        }
+        block = {kind: open[1], arg: MergeHelper.unescapeText(open[2]), text: open[0].trim(), body: [], elseBody: [], inElse: false};
+        depth = 0;
+        pending = [[row, MERGE_ROW_OPEN]];
+      } else if (open != null) {
+        depth += 1;
+      } else if (otherwise && depth == 0) {
+        block.inElse = true;
+        pending.push([row, MERGE_ROW_ELSE]);
+      }
+      (block.inElse ? block.elseBody : block.body).push(row);
+
+      if (close != null) {
+        if (depth > 0) {
+          depth -= 1;
+        } else {
+          if (close[1] != block.kind) {
+            MergeHelper.blockError(close[0].trim(), ['does not close ' + block.text, 'ne ferme pas ' + block.text]);
+          }
+          for (const [r, regex] of pending) {
+            MergeHelper.stripRowTag(r.getCell(0), regex);
+          }
+          MergeHelper.stripRowTag(row.getCell(row.getNumCells() - 1), MERGE_ROW_CLOSE);
+          nodes.push({block: block});
+          block = null;
+        }
+      }
+    }
+    if (block != null) {
+      /* not a block of rows */
+      for (const row of block.body.concat(block.elseBody)) {
+        nodes.push({row: row});
+      }
+    }
+    return nodes;
+  }
 
+  /**
+   * Merge a table.
+   *
+   * @param {Table} table - The table.
+   * @param {Object} scope - The scope.
+   */
+  static mergeTable(table, scope) {
+    const rows = [];
+    for (let i = 0; i < table.getNumRows(); i++) {
+      rows.push(table.getRow(i));
+    }
+    MergeHelper.mergeRows(table, rows, scope);
+    if (table.getNumRows() == 0) {
+      MergeHelper.removeElement(table);
+    }
+  }
+
+  /**
+   * Merge a list of consecutive rows of a table.
+   *
+   * @param {Table} table - The table.
+   * @param {TableRow[]} rows - The rows.
+   * @param {Object} scope - The scope.
+   */
+  static mergeRows(table, rows, scope) {
+    for (const node of MergeHelper.parseRowBlocks(rows)) {
+      if (node.row !== undefined) {
+        MergeHelper.mergeRow(node.row, scope);
+        continue;
+      }
+
+      const block = node.block;
+      if (block.kind == 'if') {
+        const cond = MergeHelper.isTrue(scope, block.arg);
+        for (const row of (cond ? block.elseBody : block.body)) {
+          row.removeFromParent();
+        }
+        MergeHelper.mergeRows(table, cond ? block.body : block.elseBody, scope);
       } else {
-        element.deleteText(first, last);
-      }
-
-      /* create the new items with the remaining lines */
-      if (isNewItemsCase) {
-        var part = tags[t][6];
-        var index = part.getChildIndex(parent);
-        var glyph = parent.getGlyphType(); /* bullet, etc. */
-        for (var i in lines) {
-          index += 1;
-          part.insertListItem(index, lines[i]).setGlyphType(glyph);
-        }
-      }
-
-      /* if the replacement ends up creating an empty paragraph, item or table row, it is deleted */
-      var pg = element.getParent()
-      Logger.log(`Parent type is ${pg.getType()}`);
-      Logger.log(`Parent content is "${pg.asText().getText()}"`);
-      if (pg.asText().getText().length == 0) {
-        /* empty paragraph */
-        Logger.log(`Parent paragraph is empty`);
-        /* backup the parent, which might be a TableCell */
-        var cell = pg.getParent()
-        Logger.log(`Removing empty paragraph`);
-        pg.removeFromParent();
-
-        /* detect empty table row */
-        if (cell != null && cell.getType() == DocumentApp.ElementType.TABLE_CELL) {
-          var r = cell.getParent()
-          if (r != null && r.getType() == DocumentApp.ElementType.TABLE_ROW) {
-
-            /* are the cells all empty in this row? */
-            var allEmpty = true
-            for (var j = 0; j < r.getNumCells(); j++) {
-              var label = r.getCell(j)
-              if (label != null && label.getType() == DocumentApp.ElementType.TABLE_CELL) {
-                var isEmpty = label.asText().getText().length == 0
-                allEmpty = allEmpty && isEmpty
-                Logger.log('cell ' + j + ' out of ' + r.getNumCells() + ': ' + isEmpty);
-                if (!allEmpty)
-                  break;
+        const items = MergeHelper.getItems(scope, block.arg, block.text);
+        items.forEach(function(item, k) {
+          /* insert the copies before the first row of the block, then merge them */
+          const copies = block.body.map(function(row) {
+            return table.insertTableRow(table.getChildIndex(block.body[0]), row.copy());
+          });
+          MergeHelper.mergeRows(table, copies, MergeHelper.getItemScope(scope, item, k));
+        });
+        for (const row of block.body) {
+          row.removeFromParent();
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge the cells of a row.
+   *
+   * @param {TableRow} row - The row.
+   * @param {Object} scope - The scope.
+   */
+  static mergeRow(row, scope) {
+    const cells = [];
+    for (let j = 0; j < row.getNumCells(); j++) {
+      cells.push(row.getCell(j));
+    }
+    for (const cell of cells) {
+      if (row.getParent() == null) {
+        /* the row has been removed, as all its cells were left empty */
+        break;
+      }
+      MergeHelper.mergeElements(cell, MergeHelper.getChildren(cell), scope);
+    }
+  }
+
+  /* value tags */
+
+  /**
+   * Replace the value tags of a paragraph or list item.
+   *
+   * @param {Element} element - The paragraph or list item.
+   * @param {Object} scope - The scope.
+   */
+  static replaceTags(element, scope) {
+    const tags = MergeHelper.findAllTags(element);
+
+    /* search-replace, starting from the end */
+    for (let t = tags.length - 1; t >= 0; t--) {
+      MergeHelper.replaceTag(tags[t], scope);
+    }
+  }
+
+  /**
+   * Replace a value tag.
+   *
+   * @param {Array} tag - The tag, as returned by findAllTags.
+   * @param {Object} scope - The scope.
+   */
+  static replaceTag(tag, scope) {
+    Logger.log(`Processing tag "${tag[0]}"`);
+
+    /* value to substitute to the tag, and how to insert it */
+    const type = MergeHelper.getTagType(tag[7]);
+    const filters = type == null ? tag[7] : tag[7].slice(0, -1);
+    let tagValue = MergeHelper.getTagValue(scope, tag[3], tag[5], filters);
+    const problems = MergeHelper.getRoot(scope).problems;
+    if (tagValue === undefined) {
+      /* we skip the replacement, and the ugly pattern stays as-is in the output document */
+      problems.unresolved.push(tag[0]);
+      return;
+    }
+    if (tagValue.length == 0 && !tag[5] && !tag[3].startsWith('!')) {
+      problems.empty.push(tag[0]);
+    }
+
+    /* replacement target */
+    var range = tag[1];
+    var element = range.getElement();
+    var text1 = tag[2];
+    var text2 = tag[4];
+
+    /* indexes of the substring to replace */
+    var first = range.getStartOffset();
+    var last = range.getEndOffsetInclusive();
+
+    /* does the replacement would fill all the element containing the tag (paragraph, item...) */
+    var isFullRep = (tag[0] == element.getText()) && (text1 == "") && (text2 == "");
+    /* parent of the target text element */
+    var parent = element.getParent();
+    /* is this container a list item? */
+    var isItem = parent.getType() == DocumentApp.ElementType.LIST_ITEM;
+    /* lines in the replacement text (an image is not text) */
+    var lines = type == null ? tagValue.split("\n") : [tagValue];
+
+    /* are we in the special case where extra list items must be created? */
+    var isNewItemsCase = (isItem && isFullRep && (lines.length > 0));
+
+    Logger.log(`IsItem ${isItem}`);
+    Logger.log(`Full replacement of the container ${isFullRep}`);
+    Logger.log(`Replace index is ${first} to ${last}`);
+    Logger.log(`Number of lines is ${lines.length}`);
+    LF.logObject(lines,"lines");
+
+    /* special case: full replacement of a list item with multiple lines: create one new item per extra line */
+    if (isNewItemsCase) {
+      tagValue = lines.shift(); /* will replace the existing item with the first line in the tag value  */
+    }
+
+    /* replacement text */
+    var replaceTxt = "";
+    /* conditional replacement */
+    if (tagValue.length > 0) {
+      replaceTxt = text1 + tagValue + text2;
+    }
+
+    Logger.log(`Replacement is ${replaceTxt}`);
+    Logger.log(`Length of replacement is ${replaceTxt.length}`);
+
+    /* text inserted in place of the tag: a placeholder for images */
+    var isImage = type != null && (type.name == 'image' || type.name == 'qr');
+    var insertTxt = isImage ? MERGE_IMAGE_PLACEHOLDER : tagValue;
+
+    /* first replacement */
+    if (replaceTxt.length > 0) {
+
+      var op_size = 1;
+      var tag_pos = first + op_size + text1.length + 1;
+
+      /* character style of the tag, given to the value */
+      var style = MergeHelper.getStyle(element, tag_pos);
+
+      element.deleteText(last - op_size + 1, last);                 /* delete final ">" or ">>" */
+      element.deleteText(tag_pos, last - op_size - text2.length);   /* delete "tag>" */
+      element.insertText(tag_pos, insertTxt);                       /* insert tag value after second "<" */
+      element.deleteText(tag_pos - op_size, tag_pos - 1);           /* delete second "<" */
+      element.deleteText(first, first + op_size - 1);               /* delete first "<" or "<<" */
+      element.setAttributes(first + text1.length, first + text1.length + insertTxt.length - 1, style);
+
+      if (type != null) {
+        MergeHelper.applyType(element, first + text1.length, insertTxt, tagValue, type, scope, tag[3]);
+      }
+
+    } else {
+      element.deleteText(first, last);
+    }
+
+    /* create the new items with the remaining lines */
+    if (isNewItemsCase) {
+      var container = parent.getParent();
+      var index = container.getChildIndex(parent);
+      var glyph = parent.getGlyphType(); /* bullet, etc. */
+      for (var i in lines) {
+        index += 1;
+        var item = container.insertListItem(index, lines[i]).setGlyphType(glyph);
+        if (lines[i].length > 0 && style !== undefined) {
+          item.editAsText().setAttributes(0, lines[i].length - 1, style);
+        }
+      }
+    }
+
+    MergeHelper.removeIfEmpty(parent);
+  }
+
+  /**
+   * Insert a typed value, once its placeholder text has replaced the tag.
+   *
+   * @param {Text} element - The text element.
+   * @param {number} offset - The offset of the inserted text.
+   * @param {string} inserted - The inserted text.
+   * @param {string} value - The value of the tag.
+   * @param {Object} type - The typed filter: {name, args}.
+   * @param {Object} scope - The scope.
+   * @param {string} name - The tag name.
+   */
+  static applyType(element, offset, inserted, value, type, scope, name) {
+    const end = offset + inserted.length - 1;
+    if (type.name == 'rich') {
+      MergeHelper.applyRichText(element, offset, value, MergeHelper.getRichText(scope, name));
+      return;
+    }
+    if (type.name == 'link') {
+      const field = type.args.join(':').trim();
+      let url = value;
+      if (field.length > 0) {
+        url = MergeHelper.lookup(scope, field);
+        if (url === undefined) {
+          throw new Error(LF.i18n([
+            `Unknown field "${field}" in filter "link".`,
+            `Champ inconnu "${field}" dans le filtre "link".`,
+          ]));
+        }
+        url = LF.Expression.toText(url).trim();
+      }
+      if (url.length > 0) {
+        element.setLinkUrl(offset, end, url);
+      }
+      return;
+    }
+
+    const blob = type.name == 'qr' ? LF.QrCode.encode(value).getBlob() : MergeHelper.getImageBlob(value);
+
+    /* split the text after the placeholder, and put the image in between */
+    MergeHelper.splitText(element, end + 1);
+    const pg = element.getParent();
+    const index = pg.getChildIndex(element) + 1;
+    element.deleteText(offset, end);
+    const image = pg.insertInlineImage(index, blob);
+
+    /* size, in points */
+    const [width, height] = type.args.map(a => parseFloat(a));
+    if (type.name == 'qr' && width > 0) {
+      image.setWidth(width).setHeight(width);
+    } else if (width > 0 && height > 0) {
+      image.setWidth(width).setHeight(height);
+    } else if (width > 0) {
+      image.setHeight(Math.round(image.getHeight() * width / image.getWidth())).setWidth(width);
+    }
+  }
+
+  /**
+   * Return the character style of a text at an offset.
+   *
+   * @param {Text} element - The text element.
+   * @param {number} offset - The offset.
+   * @return {Object} The attributes, without those that are not set.
+   */
+  static getStyle(element, offset) {
+    const attributes = element.getAttributes(offset);
+    const style = {};
+    for (const attribute of [
+      DocumentApp.Attribute.BOLD,
+      DocumentApp.Attribute.ITALIC,
+      DocumentApp.Attribute.UNDERLINE,
+      DocumentApp.Attribute.STRIKETHROUGH,
+      DocumentApp.Attribute.FONT_FAMILY,
+      DocumentApp.Attribute.FONT_SIZE,
+      DocumentApp.Attribute.FOREGROUND_COLOR,
+      DocumentApp.Attribute.BACKGROUND_COLOR,
+      DocumentApp.Attribute.LINK_URL,
+    ]) {
+      if (attributes[attribute] != null) {
+        style[attribute] = attributes[attribute];
+      }
+    }
+    return style;
+  }
+
+  /**
+   * Return the rich text of a field of the row, if any.
+   *
+   * Fields of loops and computed fields have no rich text.
+   *
+   * @param {Object} scope - The scope.
+   * @param {string} name - The field name.
+   * @return {?RichTextValue} The rich text, or null.
+   */
+  static getRichText(scope, name) {
+    let s = scope;
+    while (s.parent != null) {
+      if (s.values.has(name) || s.values.has(name.trim())) {
+        return null;
+      }
+      s = s.parent;
+    }
+    if (s.richText == null) {
+      return null;
+    }
+    return s.richText(s.values.has(name) ? name : name.trim());
+  }
+
+  /**
+   * Reproduce the bold, italic, underline, strikethrough and links of a rich
+   *  text on an inserted value.
+   *
+   * The value is left as is if it is not the text of the rich text, e.g.
+   *  after a filter.
+   *
+   * @param {Text} element - The text element.
+   * @param {number} offset - The offset of the value.
+   * @param {string} value - The value.
+   * @param {?RichTextValue} rt - The rich text.
+   */
+  static applyRichText(element, offset, value, rt) {
+    if (rt == null || rt.getText() != value) {
+      Logger.log('No rich text for value "%s"', value);
+      return;
+    }
+    for (const run of rt.getRuns()) {
+      const start = offset + run.getStartIndex();
+      const end = offset + run.getEndIndex() - 1;
+      if (end < start) {
+        continue;
+      }
+      const ts = run.getTextStyle();
+      element.setBold(start, end, ts.isBold());
+      element.setItalic(start, end, ts.isItalic());
+      element.setUnderline(start, end, ts.isUnderline());
+      element.setStrikethrough(start, end, ts.isStrikethrough());
+      if (run.getLinkUrl() != null) {
+        element.setLinkUrl(start, end, run.getLinkUrl());
+      }
+    }
+  }
+
+  /**
+   * Split a text element in two, keeping the formatting of both parts.
+   *
+   * @param {Text} element - The text element, keeping the first part.
+   * @param {number} offset - The offset of the second part.
+   * @return {?Text} The new text element holding the second part, or null if
+   *                 it would be empty.
+   */
+  static splitText(element, offset) {
+    const text = element.getText();
+    if (offset >= text.length) {
+      return null;
+    }
+    const pg = element.getParent();
+    const tail = pg.insertText(pg.getChildIndex(element) + 1, text.substring(offset));
+
+    /* copy the formatting, run by run */
+    const indices = element.getTextAttributeIndices();
+    indices.forEach(function(start, k) {
+      const stop = k + 1 < indices.length ? indices[k + 1] : text.length;
+      if (stop > offset) {
+        const from = Math.max(start, offset);
+        tail.setAttributes(from - offset, stop - 1 - offset, element.getAttributes(from));
+      }
+    });
+
+    element.deleteText(offset, text.length - 1);
+    return tail;
+  }
+
+  /**
+   * Return the image of a Drive file id or URL, or of an image URL.
+   *
+   * @param {string} value - The id or URL.
+   * @return {Blob} The image.
+   */
+  static getImageBlob(value) {
+    const s = value.trim();
+    try {
+      if (/^https?:\/\//i.test(s) && !/^https?:\/\/(drive|docs)\.google\.com\//i.test(s)) {
+        return UrlFetchApp.fetch(s).getBlob();
+      }
+      return DriveApp.getFileById(/^[-\w]{25,}$/.test(s) ? s : LF.DriveHelper.getIdfromUrl(s)).getBlob();
+    } catch (e) {
+      throw new Error(LF.i18n([
+        `Cannot read image "${s}": ${e.message}`,
+        `Impossible de lire l'image "${s}" : ${e.message}`,
+      ]));
+    }
+  }
+
+  /**
+   * Return true if an element has neither text nor image.
+   *
+   * @param {Element} element - The paragraph, item or table cell.
+   * @return {boolean} True if empty.
+   */
+  static isEmpty(element) {
+    return element.asText().getText().length == 0 &&
+        element.findElement(DocumentApp.ElementType.INLINE_IMAGE) == null;
+  }
+
+  /**
+   * Remove a paragraph or item left empty by a replacement, and then its
+   *  table row, if all the cells of the row are empty.
+   *
+   * @param {Element} pg - The paragraph or item.
+   */
+  static removeIfEmpty(pg) {
+    Logger.log(`Parent type is ${pg.getType()}`);
+    Logger.log(`Parent content is "${pg.asText().getText()}"`);
+    if (!MergeHelper.isEmpty(pg)) {
+      return;
+    }
+    /* empty paragraph */
+    Logger.log(`Parent paragraph is empty`);
+    /* backup the parent, which might be a TableCell */
+    var cell = pg.getParent()
+    Logger.log(`Removing empty paragraph`);
+    MergeHelper.removeElement(pg);
+
+    /* detect empty table row */
+    if (cell != null && cell.getType() == DocumentApp.ElementType.TABLE_CELL) {
+      var r = cell.getParent()
+      if (r != null && r.getType() == DocumentApp.ElementType.TABLE_ROW) {
+
+        /* are the cells all empty in this row? */
+        var allEmpty = true
+        for (var j = 0; j < r.getNumCells(); j++) {
+          var label = r.getCell(j)
+          if (label != null && label.getType() == DocumentApp.ElementType.TABLE_CELL) {
+            var isEmpty = MergeHelper.isEmpty(label)
+            allEmpty = allEmpty && isEmpty
+            Logger.log('cell ' + j + ' out of ' + r.getNumCells() + ': ' + isEmpty);
+            if (!allEmpty)
+              break;
+          }
+        }
+        if (allEmpty) {
+          var table = r.getParentTable()
+          var row_index = table.getChildIndex(r)
+          Logger.log('Removing row ' + row_index);
+          table.removeRow(row_index)
+        }
+      }
+    }
+  }
+
+  /* checking */
+
+  /**
+   * Check the tags of a template against the available fields, without
+   *  changing it.
+   *
+   * @param {Document} document - The template.
+   * @param {string[]} fields - The fields of the rows (columns and computed fields).
+   * @param {?LinkedTables} tables - The linked tables, or null.
+   * @return {Object} The report: {unknown, unknownOptional, malformed,
+   *                  nested, used}, the first four being lists of messages,
+   *                  and used the set of fields used by the template.
+   */
+  static lint(document, fields, tables=null) {
+    const report = {unknown: [], unknownOptional: [], malformed: [], nested: [], used: new Set()};
+    const known = new Set(fields);
+    for (const part of getDocumentParts(document)) {
+      /* tags in document order, with the loops enclosing them */
+      const stack = [];
+      for (const tag of MergeHelper.findAllTags(part)) {
+        MergeHelper.lintTag(tag, stack, known, tables, report);
+      }
+      for (const block of stack) {
+        report.malformed.push(LF.i18n([
+          `${block.text}: no matching closing tag`,
+          `${block.text} : pas de balise fermante correspondante`,
+        ]));
+      }
+
+      /* brackets that are not tags */
+      for (const text of MergeHelper.getTexts(part)) {
+        MergeHelper.lintText(text, report);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Check a field used by a template.
+   *
+   * @param {string} name - The field name.
+   * @param {Object[]} stack - The enclosing blocks, each with the fields it defines.
+   * @param {Set} known - The fields of the rows.
+   * @param {Object} report - The report, updated in place.
+   * @return {boolean} True if the field exists.
+   */
+  static lintField(name, stack, known, report) {
+    for (const n of [name, name.trim()]) {
+      if (known.has(n)) {
+        report.used.add(n);
+        return true;
+      }
+      if (stack.some(block => block.fields.has(n) || (block.numbered && /^@\d+$/.test(n)))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a tag of a template.
+   *
+   * @param {Array} tag - The tag, as returned by findAllTags.
+   * @param {Object[]} stack - The enclosing blocks, updated in place.
+   * @param {Set} known - The fields of the rows.
+   * @param {?LinkedTables} tables - The linked tables, or null.
+   * @param {Object} report - The report, updated in place.
+   */
+  static lintTag(tag, stack, known, tables, report) {
+    const text = tag[0];
+    const malformed = function(messages) {
+      report.malformed.push(LF.i18n([`${text}: ${messages[0]}`, `${text} : ${messages[1]}`]));
+    };
+    let m;
+
+    if ((m = text.match(MERGE_BLOCK_OPEN)) != null) {
+      const block = {kind: m[1], text: text, fields: new Set(['@index']), numbered: false};
+      const arg = MergeHelper.unescapeText(m[2]);
+      if (m[1] == 'if') {
+        if (!MergeHelper.lintField(arg, stack, known, report)) {
+          try {
+            for (const column of new LF.Expression(arg).getColumns()) {
+              if (!MergeHelper.lintField(column, stack, known, report)) {
+                report.unknown.push(`${text} (${column})`);
               }
             }
-            if (allEmpty) {
-              var table = r.getParentTable()
-              var row_index = table.getChildIndex(r)
-              Logger.log('Removing row ' + row_index);
-              table.removeRow(row_index)
+          } catch (e) {
+            malformed([e.message, e.message]);
+          }
+        }
+      } else {
+        const t = MergeHelper.parseTag(arg);
+        const split = t.filters.find(f => f.name == 'split');
+        const key = t.filters.find(f => f.name == 'key');
+        for (const f of t.filters.filter(f => !MERGE_EACH_FILTERS.includes(f.name))) {
+          malformed([`unknown filter "${f.name}"`, `filtre inconnu "${f.name}"`]);
+        }
+        if (key !== undefined) {
+          const keyLabel = key.args.join(':').trim();
+          if (!MergeHelper.lintField(keyLabel, stack, known, report)) {
+            report.unknown.push(`${text} (${keyLabel})`);
+          }
+          try {
+            if (tables == null) {
+              throw new Error(LF.i18n(['no linked tables', 'pas de tables liées']));
+            }
+            for (const label of tables.getTable(t.name, keyLabel).getMap().keys()) {
+              block.fields.add(label);
             }
+          } catch (e) {
+            malformed([e.message, e.message]);
           }
+        } else {
+          if (!MergeHelper.lintField(t.name, stack, known, report)) {
+            report.unknown.push(text);
+          }
+          block.fields.add('this');
+          if (split !== undefined) {
+            block.numbered = true;
+            split.args.slice(1).forEach(name => block.fields.add(name.trim()));
+          }
+        }
+      }
+      stack.push(block);
+      return;
+    }
+
+    if (MERGE_BLOCK_ELSE.test(text)) {
+      if (stack.length == 0 || stack[stack.length - 1].kind != 'if') {
+        malformed(['unexpected', 'inattendu']);
+      }
+      return;
+    }
+
+    if ((m = text.match(MERGE_BLOCK_CLOSE)) != null) {
+      const block = stack.pop();
+      if (block === undefined) {
+        malformed(['no matching opening tag', 'pas de balise ouvrante correspondante']);
+      } else if (block.kind != m[1]) {
+        malformed(['does not close ' + block.text, 'ne ferme pas ' + block.text]);
+      }
+      return;
+    }
+
+    const name = tag[3];
+    const filters = tag[7];
+    if (name.startsWith('!')) {
+      /* comment */
+      return;
+    }
+    if (/^\s*[#\/]/.test(name)) {
+      malformed(['unknown block tag', 'balise de bloc inconnue']);
+      return;
+    }
+    for (const f of filters) {
+      if (!MERGE_VALUE_FILTERS.includes(f.name) && !MERGE_TYPED_FILTERS.includes(f.name)) {
+        malformed([`unknown filter "${f.name}"`, `filtre inconnu "${f.name}"`]);
+      }
+    }
+    try {
+      const type = MergeHelper.getTagType(filters);
+      if (type != null && type.name == 'link' && type.args.join(':').trim().length > 0) {
+        const field = type.args.join(':').trim();
+        if (!MergeHelper.lintField(field, stack, known, report)) {
+          report.unknown.push(`${text} (${field})`);
         }
       }
+    } catch (e) {
+      malformed([e.message, e.message]);
+    }
+    if (!MergeHelper.lintField(name, stack, known, report)) {
+      if (tag[5] || filters.some(f => f.name == 'default')) {
+        report.unknownOptional.push(text);
+      } else {
+        report.unknown.push(text);
+      }
+    }
+  }
+
+  /**
+   * Return the texts of the paragraphs and list items of a container,
+   *  tables included.
+   *
+   * @param {ContainerElement} container - The container.
+   * @return {string[]} The texts.
+   */
+  static getTexts(container) {
+    const texts = [];
+    for (const child of MergeHelper.getChildren(container)) {
+      switch (child.getType()) {
+        case DocumentApp.ElementType.PARAGRAPH:
+        case DocumentApp.ElementType.LIST_ITEM:
+          texts.push(child.asText().getText());
+          break;
+        case DocumentApp.ElementType.TABLE:
+          for (let i = 0; i < child.getNumRows(); i++) {
+            const row = child.getRow(i);
+            for (let j = 0; j < row.getNumCells(); j++) {
+              texts.push(...MergeHelper.getTexts(row.getCell(j)));
+            }
+          }
+          break;
+        default:
+          break;
+      }
+    }
+    return texts;
+  }
+
+  /**
+   * Check the brackets of a paragraph that are not part of a tag.
+   *
+   * @param {string} text - The text of the paragraph.
+   * @param {Object} report - The report, updated in place.
+   */
+  static lintText(text, report) {
+    /* hide escaped brackets, then replace each tag with a mark */
+    const s = text
+      .replace(/\\[<>]/g, '  ')
+      .replace(new RegExp(MERGE_TAG_PATTERN, 'g'), '\u0001');
+    const excerpt = text.length > 60 ? text.substring(0, 57) + '...' : text;
+
+    if (/<[^<>\u0001]*\u0001|\u0001[^<>\u0001]*>/.test(s)) {
+      /* e.g. "<<Name <<Other>>>>", "<<Na<me>>" (a literal bracket next to a tag is escaped: "\<") */
+      report.nested.push(excerpt);
+    } else if (/<<|>>|<[^<>]*<[^<>]*>/.test(s)) {
+      /* e.g. "<<Name>", "<Value: <Name>" */
+      report.malformed.push(excerpt);
+    }
+  }
+
+  /* document */
+
+  /**
+   * Replace the escaped angle brackets "\<" and "\>" of a string, e.g. the
+   *  condition of a block.
+   *
+   * @param {string} s - The string.
+   * @return {string} The string with literal angle brackets.
+   */
+  static unescapeText(s) {
+    return s.replace(/\\([<>])/g, '$1');
+  }
+
+  /**
+   * Replace the escaped angle brackets "\<" and "\>" of a document part.
+   *
+   * @param {Element} part - The document part.
+   */
+  static unescape(part) {
+    part.replaceText('\\\\<', '<');
+    part.replaceText('\\\\>', '>');
+  }
+
+  /**
+   * Modify a document by replacing tags with values given in a map.
+   *
+   * @param {Document} document - The opened document to modify.
+   * @param {Map} map - The label-to-value map to use to replace tags.
+   * @param {Object=} options - The linked tables, for loops over linked
+   *                            sheets, and the function(label) returning the
+   *                            RichTextValue of a field, or null:
+   *                            {tables, richText}.
+   * @return {Object} The tags left as is, as no field matches them, and the
+   *                  non-optional tags replaced with an empty value:
+   *                  {unresolved, empty}.
+   */
+  static merge(document, map, options={}) {
+    const scope = {
+      values: map,
+      parent: null,
+      tables: options.tables || null,
+      richText: options.richText || null,
+      problems: {unresolved: [], empty: []},
+    };
+
+    /* process blocks and tags in all parts of the document */
+    for (const part of getDocumentParts(document)) {
+      MergeHelper.mergeElements(part, MergeHelper.getChildren(part), scope);
+      MergeHelper.unescape(part);
     }
+    return scope.problems;
   }
-}
\ No newline at end of file
+}
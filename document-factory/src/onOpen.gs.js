@@ -5,6 +5,7 @@
 MENU_DOCUMENT_FACTORY = LF.i18n(['Document factory', 'Document factory']);
 
 MENU_RUN = LF.i18n(['Execute actions', 'Effectuer les actions']);
+MENU_PREVIEW = LF.i18n(['Preview actions (dry run)', 'Prévisualiser les actions (simulation)']);
 
 MENU_INSERT = LF.i18n(['Insert a table', 'Insérer une table']);
 MENU_INSERT_SMALL = LF.i18n(['with the most common columns', 'avec les colonnes les plus courantes']);
@@ -16,10 +17,22 @@ MENU_ADD_SAMPLE = LF.i18n(['a sample row', 'un example de ligne']);
 
 MENU_SELECT = LF.i18n(['Select a table', 'Sélectionner une table']);
 
+MENU_PRUNE = LF.i18n(['Delete rows of documents that no longer exist', 'Supprimer les lignes des documents qui n\'existent plus']);
+
+MENU_UNDO = LF.i18n(['Undo the last run', 'Annuler la dernière exécution']);
+
+MENU_CHECK_TEMPLATE = LF.i18n(['Check the template of the current row', 'Vérifier le modèle de la ligne courante']);
+
+MENU_TOGGLE_STRICT = LF.i18n(['Switch strict mode on or off for this table', 'Activer ou désactiver le mode strict pour cette table']);
+
+MENU_SHOW_LOG = LF.i18n(['Show the change history of the current row', 'Afficher l\'historique des modifications de la ligne courante']);
+
 function onOpen() {
   SpreadsheetApp.getUi()
       .createMenu(MENU_DOCUMENT_FACTORY)
       .addItem(MENU_RUN, 'DocApp.run')
+      .addItem(MENU_PREVIEW, 'DocApp.preview')
+      .addItem(MENU_UNDO, 'DocApp.undo')
       .addSeparator()
       .addSubMenu(SpreadsheetApp.getUi().createMenu(MENU_INSERT)
           .addItem(MENU_INSERT_SMALL, 'DocApp.insertHeaderMini')
@@ -28,9 +41,18 @@ function onOpen() {
           .addItem(MENU_ADD_ALL, 'DocApp.completeHeader')
           .addItem(MENU_ADD_SAMPLE, 'DocApp.sample'))
       .addItem(MENU_SELECT, 'DocApp.select')
+      .addItem(MENU_PRUNE, 'DocApp.prune')
+      .addItem(MENU_CHECK_TEMPLATE, 'DocApp.checkTemplate')
+      .addItem(MENU_TOGGLE_STRICT, 'DocApp.toggleStrict')
+      .addItem(MENU_SHOW_LOG, 'DocApp.showLog')
       .addToUi();
+  DocApp.getJob().showKeptReport(true);
 };
 
+function resumeDocRun() {
+  DocApp.resume();
+}
+
 function insertHeadert() {
   DocApp.insertHeader(false);
 }
@@ -108,3 +108,222 @@ function createSampleModel(lang) {
 
 
 
+/*
+ * Update actions, on a temporary table, template and folder: "Update
+ * document" enforces the name and folder of the outputs, while "Update
+ * content" only refreshes their content, keeping the changes made by hand.
+ */
+
+/* script property holding the account the outputs are shared with by hand,
+ * an existing Google account other than the one running the tests */
+const TEST_VIEWER_PROPERTY = 'TEST_VIEWER_EMAIL';
+
+/*
+ * Return the account the outputs are shared with by hand, or null, telling
+ * why the test is skipped, if the script property is not set.
+ */
+function getTestViewer(name) {
+  const viewer = PropertiesService.getScriptProperties().getProperty(TEST_VIEWER_PROPERTY);
+  if (viewer == null || viewer.trim() == '') {
+    Logger.log(`${name}: SKIPPED - set the script property ${TEST_VIEWER_PROPERTY} to a second Google account`);
+    return null;
+  }
+  return viewer.trim();
+}
+
+function createUpdateTest(viewer) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const folder = LF.DriveHelper.getFirstParent(ss);
+
+  const template = DocumentApp.create('Test template');
+  template.getBody().setText('Value: <<Field>>');
+  template.saveAndClose();
+
+  const sheet = ss.insertSheet('Test update');
+  const r = sheet.getRange(1, 1, 2, 2).setValues([
+    [COL_ACTION, COL_DOCUMENT_MODEL_ID],
+    [ACTION_NONE, template.getId()],
+  ]);
+  const table = new DocTable(r);
+
+  const formats = ['gdoc', 'pdf'];
+  const map = new Map([
+    [COL_DOCUMENT_MODEL_ID, template.getId()],
+    [COL_DOCUMENT_NAME, 'Test output'],
+    [COL_DOCUMENT_FORMAT, formats.join(' ')],
+    ['Field', 'one'],
+  ]);
+  const outputs = table.mergeFromMap(map, false, true);
+  formats.forEach((format, k) => map.set(table.getOutputColumns(formats, k).id, outputs.get(format).getId()));
+
+  /* changes made by hand */
+  const other = folder.createFolder('Test update');
+  for (const file of outputs.values()) {
+    file.setName('Renamed ' + file.getName());
+    file.moveTo(other);
+    file.addViewer(viewer);
+  }
+
+  return {
+    sheet: sheet,
+    template: DriveApp.getFileById(template.getId()),
+    folder: folder,
+    other: other,
+    table: table,
+    map: map,
+    outputs: outputs,
+    viewer: viewer,
+  };
+}
+
+
+function deleteUpdateTest(test) {
+  for (const file of test.outputs.values()) {
+    LF.DriveHelper.trashNoFail(file);
+  }
+  LF.DriveHelper.trashNoFail(test.template);
+  test.other.setTrashed(true);
+  SpreadsheetApp.getActiveSpreadsheet().deleteSheet(test.sheet);
+}
+
+
+function checkUpdate(test, outputs, set_props) {
+  for (const [format, file] of outputs) {
+    LF.assert(file.getId() == test.outputs.get(format).getId(),
+      `${format}: new id ${file.getId()}`);
+    LF.assert(file.getName().startsWith('Renamed ') != set_props,
+      `${format}: unexpected name "${file.getName()}"`);
+    const folder = set_props ? test.folder : test.other;
+    LF.assert(LF.DriveHelper.getFirstParent(file).getId() == folder.getId(),
+      `${format}: not in folder "${folder.getName()}"`);
+    const viewers = file.getViewers().map(user => user.getEmail());
+    LF.assert(viewers.includes(test.viewer) != set_props,
+      `${format}: unexpected viewers ${viewers.join(', ')}`);
+    /* no owner in the table: the outputs belong to the user running the merge */
+    LF.assert(file.getOwner().getEmail() == Session.getActiveUser().getEmail(),
+      `${format}: unexpected owner ${file.getOwner().getEmail()}`);
+  }
+  const text = DocumentApp.openById(outputs.get('gdoc').getId()).getBody().getText();
+  LF.assert(text.includes('Value: two'), `gdoc: content not updated: "${text}"`);
+}
+
+
+function testUpdateContent() {
+  const viewer = getTestViewer('testUpdateContent');
+  if (viewer == null) {
+    return;
+  }
+  const test = createUpdateTest(viewer);
+  try {
+    test.map.set('Field', 'two');
+    checkUpdate(test, test.table.mergeFromMap(test.map, true, false), false);
+    Logger.log('testUpdateContent: OK');
+  } finally {
+    deleteUpdateTest(test);
+  }
+}
+
+
+function testUpdateDocument() {
+  const viewer = getTestViewer('testUpdateDocument');
+  if (viewer == null) {
+    return;
+  }
+  const test = createUpdateTest(viewer);
+  try {
+    test.map.set('Field', 'two');
+    checkUpdate(test, test.table.mergeFromMap(test.map, true, true), true);
+    Logger.log('testUpdateDocument: OK');
+  } finally {
+    deleteUpdateTest(test);
+  }
+}
+
+
+/*
+ * Computed fields, declared in a temporary "Computed fields" sheet.
+ */
+
+function testComputedFields() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  LF.assert(ss.getSheetByName(COMPUTED_FIELDS_SHEETS[0]) == null,
+    `delete the sheet "${COMPUTED_FIELDS_SHEETS[0]}" first`);
+  const sheet = ss.insertSheet(COMPUTED_FIELDS_SHEETS[0]);
+  try {
+    sheet.getRange(1, 1, 2, 2).setValues([
+      [COL_FIELD_NAME, COL_FIELD_EXPRESSION],
+      ['Full Name', '[First Name] & " " & UPPER([Last Name])'],
+    ]);
+    const computed = ComputedFields.load();
+    LF.assert(computed.getNames().join() == 'Full Name', `unexpected fields: ${computed.getNames()}`);
+
+    const m = new Map([['First Name', 'Jane'], ['Last Name', 'Doe']]);
+    computed.applyToMap(m);
+    LF.assert(m.get('Full Name') == 'Jane DOE', `unexpected value "${m.get('Full Name')}"`);
+    Logger.log('testComputedFields: OK');
+  } finally {
+    ss.deleteSheet(sheet);
+  }
+}
+
+
+/*
+ * Comparisons in conditional blocks: "<" and ">" are escaped, as "\<" and
+ * "\>", and the template check reports them when they are not.
+ */
+
+function testIfComparison() {
+  const doc = DocumentApp.create('Test if comparison');
+  try {
+    const body = doc.getBody();
+    body.setText('<<#if [Amount] \\>= 100>>');
+    for (const text of ['Large', '<<#else>>', 'Small', '<</if>>']) {
+      body.appendParagraph(text);
+    }
+    let report = MergeHelper.lint(doc, ['Amount']);
+    LF.assert(report.unknown.length + report.malformed.length + report.nested.length == 0,
+      `escaped: unexpected errors ${JSON.stringify(report)}`);
+
+    MergeHelper.merge(doc, new Map([['Amount', 150]]));
+    LF.assert(body.getText().trim() == 'Large', `unexpected text "${body.getText()}"`);
+
+    body.setText('<<#if [Amount] >= 100>>');
+    report = MergeHelper.lint(doc, ['Amount']);
+    LF.assert(report.malformed.length + report.nested.length > 0, 'not escaped: no error reported');
+    Logger.log('testIfComparison: OK');
+  } finally {
+    LF.DriveHelper.trashNoFail(DriveApp.getFileById(doc.getId()));
+  }
+}
+
+
+/*
+ * Rich text fields: "<<Field|rich>>" inserts the value with the bold and
+ * links of the cell.
+ */
+
+function testRichText() {
+  const rt = SpreadsheetApp.newRichTextValue()
+    .setText('Very good, see the report')
+    .setTextStyle(0, 9, SpreadsheetApp.newTextStyle().setBold(true).build())
+    .setLinkUrl(19, 25, 'https://example.com/report')
+    .build();
+
+  const doc = DocumentApp.create('Test rich text');
+  try {
+    doc.getBody().setText('Comment: <<Comment|rich>>.');
+    MergeHelper.merge(doc, new Map([['Comment', rt.getText()]]),
+        {richText: label => label == 'Comment' ? rt : null});
+
+    const text = doc.getBody().editAsText();
+    LF.assert(text.getText() == 'Comment: Very good, see the report.', `unexpected text "${text.getText()}"`);
+    const offset = 'Comment: '.length;
+    LF.assert(text.isBold(offset) && text.isBold(offset + 8), 'value: not bold');
+    LF.assert(!text.isBold(offset + 9) && !text.isBold(0), 'value: bold outside of its bold run');
+    LF.assert(text.getLinkUrl(offset + 19) == 'https://example.com/report', 'value: no link');
+    LF.assert(text.getLinkUrl(offset + 18) == null, 'value: link outside of its run');
+    Logger.log('testRichText: OK');
+  } finally {
+    LF.DriveHelper.trashNoFail(DriveApp.getFileById(doc.getId()));
+  }
+}
@@ -18,12 +18,13 @@ class FolderApp {
   /**
    * Apply a function on the folder table present in the current worksheet
    *
-   * TODO: if many tables, select the one intersecting with the cursor, or
-   *  take the first one
+   * If many tables, select the one intersecting with the cursor, or
+   *  take the first one (see select)
    *
    */
   static applyOnFolderData(f, r) {
     try {
+      FolderApp.getJob().showKeptReport();
       if (r == undefined) {
         /* no range provided: lookup for a table */
         r = FolderTable.locate(SpreadsheetApp.getActiveSheet());
@@ -54,14 +55,93 @@ class FolderApp {
   * Create folders
   *
   */
-  static doCreateFolders(cTable) {
+  static doCreateFolders(cTable, dryRun=false) {
+    const job = FolderApp.getJob();
+    job.start({dryRun: dryRun, runId: Utilities.getUuid()});
+    FolderApp.runJob(cTable, job);
+  }
+
+  /**
+  * Preview the creation, without creating anything (dry run)
+  *
+  */
+  static doPreview(cTable) {
+    FolderApp.doCreateFolders(cTable, true);
+  }
 
-    let creationCount = 0;
-    let errorCount = 0;
+  /**
+   * Resume a suspended creation (called by a time-based trigger)
+   *
+   */
+  static resume() {
+    Logger.log("RESUME CALL");
+    const job = FolderApp.getJob();
+    if (!job.resume()) {
+      return;
+    }
+    const r = job.getRange();
+    if (r == null) {
+      /* the sheet holding the table has been deleted */
+      job.finish();
+      return;
+    }
+    this.applyOnFolderData(function(cTable) {
+      FolderApp.runJob(cTable, job);
+    }, r);
+  }
 
-    [creationCount, errorCount] = cTable.create();
+  /**
+   * Return the job used to create the folders.
+   *
+   * @return {JobRunner} The job.
+   */
+  static getJob() {
+    return new LF.JobRunner('FolderApp.create', 'resumeFolderCreation',
+        PropertiesService.getDocumentProperties());
+  }
 
-    LF.SheetHelper.alertUser(LF.i18n(
+  /**
+   * Create folders as a job, until it is done or suspended
+   *
+   * @param {FolderTable} cTable The data table.
+   * @param {JobRunner} job The job, started or resumed.
+   */
+  static runJob(cTable, job) {
+    if (cTable.create(job)) {
+      FolderApp.showSummary(job);
+    } else {
+      LF.SheetHelper.alertUser(LF.i18n(
+          [
+            'Creation paused before row ' + job.getNextRow() +
+                ' to avoid the time limit; it will resume automatically in a minute.',
+            'Création suspendue avant la ligne ' + job.getNextRow() +
+                ' pour éviter la limite de temps ; elle reprendra automatiquement dans une minute.',
+          ]));
+    }
+  }
+
+  /**
+   * Display the counters of a job that is done, or keep them to display
+   *  them on the next menu call when the job ended from the trigger
+   *
+   * @param {JobRunner} job The job.
+   */
+  static showSummary(job) {
+    const creationCount = job.getCounters().get(COUNTER_CREATED) || 0;
+    const errorCount = job.getErrorCount();
+
+    if (job.getOptions().dryRun) {
+      job.report(LF.i18n(
+          [
+            'Preview done (nothing was created): ' + creationCount +
+                ' folder(s) would be created, ' + errorCount + ' error(s).',
+            'Prévisualisation terminée (rien n\'a été créé) : ' + creationCount +
+                ' dossier(s) serai(en)t créé(s), ' + errorCount + ' erreur(s).',
+          ]));
+      return;
+    }
+
+    job.report(LF.i18n(
         [
           'Folder creation done: ' + creationCount +
               ' folder(s) created successfully, ' + errorCount + ' error(s).',
@@ -94,7 +174,7 @@ class FolderApp {
   /**
    * Load folder data
    *
-   * do NOT delete row of courses that are not updated
+   * do NOT delete row of courses that are not updated (see prune)
    */
   static doLoadFolders(cTable) {
     cTable.update();
@@ -135,11 +215,45 @@ class FolderApp {
     this.insertHeaderAt(c);
   }
 
+  /**
+   * Let the user choose a table among all the folder data tables of the
+   *  spreadsheet, and select it, so that the next commands apply to it
+   *
+   */
+  static select() {
+    Logger.log("SELECT CALL");
+    try {
+      const rs = FolderTable.locateAll();
+      if (rs.length == 0) {
+        throw new Error(LF.i18n([
+          'Cannot find any folder data table in this spreadsheet.',
+          'Aucune table de dossiers dans ce classeur.',
+        ]));
+      }
+      const items = rs.map(r => new FolderTable(r).getSummary());
+      const k = LF.SheetHelper.promptChoice(LF.i18n(['Select a folder table', 'Sélectionner une table de dossiers']), items);
+      if (k != null) {
+        rs[k].activate();
+      }
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
   static create() {
     Logger.log("CREATE CALL");
     this.applyOnFolderData(this.doCreateFolders);
   }
 
+  static preview() {
+    Logger.log("PREVIEW CALL");
+    this.applyOnFolderData(this.doPreview);
+  }
+
   static refresh() {
     Logger.log("REFRESH CALL");
     this.applyOnFolderData(this.doRefreshFolders);
@@ -150,6 +264,79 @@ class FolderApp {
     this.applyOnFolderData(this.doLoadFolders);
   }
 
+  /**
+   * Delete the rows of folders that no longer exist or are trashed, after confirmation
+   *
+   */
+  static doPrune(fTable) {
+    if (!LF.SheetHelper.confirmUser(LF.i18n([
+      'Delete the rows of folders that no longer exist or are trashed?',
+      'Supprimer les lignes des dossiers qui n\'existent plus ou sont dans la corbeille ?',
+    ]))) {
+      return;
+    }
+    const {deleted, errors} = fTable.prune();
+    let message = LF.i18n([
+      deleted + ' row(s) deleted.',
+      deleted + ' ligne(s) supprimée(s).',
+    ]);
+    if (errors > 0) {
+      message += ' ' + LF.i18n([
+        errors + ' row(s) could not be checked and were kept, see their status.',
+        errors + ' ligne(s) n\'ont pas pu être vérifiée(s) et sont conservée(s), voir leur statut.',
+      ]);
+    }
+    LF.SheetHelper.alertUser(message);
+  }
+
+  static prune() {
+    Logger.log("PRUNE CALL");
+    this.applyOnFolderData(this.doPrune);
+  }
+
+  /**
+   * Undo the last creation, after confirmation: trash the created folders, and
+   *  restore the previous values of the table
+   *
+   */
+  static undo() {
+    Logger.log("UNDO CALL");
+    try {
+      if (!LF.SheetHelper.confirmUser(LF.i18n([
+        'Undo the last folder creation?',
+        'Annuler la dernière création de dossiers ?',
+      ]))) {
+        return;
+      }
+      const res = new LF.RunManifest(MANIFEST_APP).undoLastRun();
+      LF.SheetHelper.alertUser(LF.i18n([
+        'Undo done: ' + res.undone + ' change(s) undone, ' +
+          res.errors + ' change(s) could not be undone (see the execution log).',
+        'Annulation terminée : ' + res.undone + ' modification(s) annulée(s), ' +
+          res.errors + ' modification(s) n\'ont pas pu être annulée(s) (voir le journal d\'exécution).',
+      ]));
+    } catch (e) {
+      LF.SheetHelper.alertUser(LF.i18n(
+        [
+          'Error: ' + e,
+          'Erreur : ' + e,
+        ]));
+    }
+  }
+
+  /**
+   * Show the change log, filtered to the row holding the current cell
+   *
+   */
+  static doShowLog(fTable) {
+    fTable.showLog();
+  }
+
+  static showLog() {
+    Logger.log("SHOW LOG CALL");
+    this.applyOnFolderData(this.doShowLog);
+  }
+
   static sample() {
     Logger.log("SAMPLE CALL");
     this.applyOnFolderData(this.doAppendSample);
@@ -16,7 +16,7 @@
 
 /* fields used when creating a new folder */
 const COL_FOLDER_NAME = "Folder Name";               /* name of the folder to create inside the root folder */
-const COL_PARENT_ID = "Folder Parent";                   /* id of the parent folder */
+const COL_PARENT_ID = "Folder Parent";                   /* id, URL or path of the parent folder */
 const COL_FOLDER_OWNER = "Folder Owner";             /* owner of that folder   */
 const COL_FOLDER_EDITORS = "Folder Editors";         /* list of editors of that folder   */
 const COL_FOLDER_VIEWERS = "Folder Viewers";         /* list of viewers of that folder   */
@@ -27,6 +27,21 @@ const COL_FOLDER_ID = "Folder Id";            /* id of the folder (set by the sc
 /* status info */
 const COL_FOLDER_STATUS = "Status";
 
+/* action checked by the column schema before creating a folder */
+const ACTION_CREATE = 'create';
+
+/* other action, as recorded in the change log */
+const ACTION_REFRESH = 'refresh';
+
+/* job counter of created folders */
+const COUNTER_CREATED = 'created';
+
+/* prefix of the names of the named ranges anchoring the tables */
+const TABLE_ANCHOR_PREFIX = 'FolderTable';
+
+/* application name in the run manifests */
+const MANIFEST_APP = 'FolderApp';
+
 
 /**
  * Class representing a table of folder data.
@@ -40,31 +55,19 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
    */
   constructor(r) {
 
-    this.cols = [
-      COL_FOLDER_NAME,
-      COL_PARENT_ID,
-      COL_FOLDER_OWNER,
-      COL_FOLDER_EDITORS,
-      COL_FOLDER_VIEWERS,
-      COL_FOLDER_ID,
-      COL_FOLDER_STATUS,
-    ];
-
-    const defaults = new Map([
-      [COL_FOLDER_OWNER, 'me'],
-    ]);
+    this.schema = FolderTable.getSchema();
 
-    const formats = new Map([
-      [COL_FOLDER_NAME, LF.SheetHelper.setRangeFormatAsText],
-      [COL_PARENT_ID, LF.SheetHelper.setRangeFormatAsText],
-      [COL_FOLDER_OWNER, LF.SheetHelper.setRangeFormatAsText],
-      [COL_FOLDER_EDITORS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_FOLDER_VIEWERS, LF.SheetHelper.setRangeFormatAsText],
-      [COL_FOLDER_ID, LF.SheetHelper.setRangeFormatAsText],
-    ]);
+    this.cols = this.schema.getLabels();
+
+    this.dt = new LF.DataTable(r, null, null, this.schema);
+    this.dt.setAnchorPrefix(TABLE_ANCHOR_PREFIX);
+
+    /* record the values written by the script */
+    this.audit = new LF.AuditLog();
+    this.dt.setAuditLog(this.audit, COL_FOLDER_ID);
 
-    this.dt = new LF.DataTable(r, defaults, formats);
-    // super(r, defaults, formats);
+    /* manifest of the current run, if any */
+    this.manifest = null;
   }
 
 
@@ -73,11 +76,45 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
   /**
    * Locate the target table in a Sheet
    *
+   * The named range anchoring the table is used first, if any.
+   *
    * @param {Sheet} sheet - The Sheet containing the Classroom table to search for.
    * @return {?Range} The Range of the Classroom table found.
    */
   static locate(sheet) {
-    return LF.DataTable.locateFromLabel(sheet, COL_FOLDER_NAME);
+    const r = LF.DataTable.locateFromAnchor(sheet, TABLE_ANCHOR_PREFIX);
+    return r != null ? r : LF.DataTable.locateFromLabel(sheet, COL_FOLDER_NAME, FolderTable.getSchema());
+  }
+
+  /**
+   * Locate all the folder tables in the spreadsheet, across all sheets
+   *
+   * @return {Range[]} The Ranges of the tables found.
+   */
+  static locateAll() {
+    return LF.DataTable.locateAll(TABLE_ANCHOR_PREFIX, COL_FOLDER_NAME, FolderTable.getSchema());
+  }
+
+  /**
+   * Return the declaration of the columns: type, required-ness, default
+   *  value and accepted header labels.
+   *
+   * @return {ColumnSchema} The column schema.
+   */
+  static getSchema() {
+    return new LF.ColumnSchema([
+      {label: COL_FOLDER_NAME, required: [ACTION_CREATE], aliases: ['Nom du dossier']},
+      {label: COL_PARENT_ID, type: LF.COLUMN_TYPE_DRIVE_REF, folder: true, aliases: ['Dossier parent']},
+      {label: COL_FOLDER_OWNER, type: LF.COLUMN_TYPE_EMAIL, defaultValue: 'me',
+        aliases: ['Propriétaire du dossier']},
+      {label: COL_FOLDER_EDITORS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Éditeurs du dossier']},
+      {label: COL_FOLDER_VIEWERS, type: LF.COLUMN_TYPE_EMAIL_LIST,
+        aliases: ['Lecteurs du dossier']},
+      {label: COL_FOLDER_ID, type: LF.COLUMN_TYPE_DRIVE_ID, readOnly: true,
+        aliases: ['Id du dossier']},
+      {label: COL_FOLDER_STATUS, aliases: ['Statut']},
+    ]);
   }
 
   /**
@@ -118,14 +155,22 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
    * @param {number} i - The row number.
    * @param {Map} fmap - The folder map to update.
    * @param {Folder} folder - The folder object.
+   * @param {?string} parentRef - The URL or path of the parent folder, kept
+   *                              next to its id, or null.
    */
-  updateRow(i, fmap, folder) {
+  updateRow(i, fmap, folder, parentRef=null) {
     this.updateMapFromFolderObject(fmap, folder);
+    const parent = DriveApp.getFolderById(fmap.get(COL_PARENT_ID));
+    if (parentRef != null) {
+      fmap.set(LF.ColumnSchema.getResolvedLabel(COL_PARENT_ID), parent.getId());
+      fmap.set(COL_PARENT_ID, parentRef);
+    }
     this.dt.setRowFromMap(i, fmap);
 
-    let parent = DriveApp.getFolderById(fmap.get(COL_PARENT_ID));
-    let v1 = LF.SheetHelper.makeLink(parent.getUrl(), parent.getName());
-    this. dt.setRichTextValue(i, COL_PARENT_ID, v1);
+    if (parentRef == null) {
+      let v1 = LF.SheetHelper.makeLink(parent.getUrl(), parent.getName());
+      this. dt.setRichTextValue(i, COL_PARENT_ID, v1);
+    }
 
     let v2 = LF.SheetHelper.makeLink(folder.getUrl(), folder.getName());
     this. dt.setRichTextValue(i, COL_FOLDER_ID, v2);
@@ -140,12 +185,7 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
   createFolderFromMap(fmap) {
 
     /* parent folder */
-    let parent = null;
-    if (fmap.has(COL_PARENT_ID) && fmap.get(COL_PARENT_ID).length > 0) {
-      parent = fmap.get(COL_PARENT_ID);
-    } else {
-      parent = LF.DriveHelper.getFirstParent(SpreadsheetApp.getActiveSpreadsheet());
-    }
+    let parent = this.getParentFromMap(fmap);
 
     /* create the folder */
     var folder = parent.createFolder(fmap.get(COL_FOLDER_NAME))
@@ -155,6 +195,50 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
     return folder;
   }
 
+  /*
+   * Return the parent folder of a folder map, defaulting to the parent folder
+   *  of this sheet.
+   *
+   * @param {Map} fmap - The folder map.
+   * @return {Folder} - The parent Folder object.
+   */
+  getParentFromMap(fmap) {
+    if (fmap.has(COL_PARENT_ID) && fmap.get(COL_PARENT_ID).length > 0) {
+      const id = fmap.get(COL_PARENT_ID);
+      try {
+        return DriveApp.getFolderById(id);
+      } catch (e) {
+        throw new LF.DataTableCellError(COL_PARENT_ID, LF.i18n([
+          `Cannot access parent folder with id ${id}: ${e}`,
+          `impossible d'accéder au dossier parent d'id ${id} : ${e}`,
+        ]));
+      }
+    }
+    return LF.DriveHelper.getFirstParent(SpreadsheetApp.getActiveSpreadsheet());
+  }
+
+  /*
+   * Describe the Folder that would be created from a map.
+   *
+   * The parent folder is resolved, but nothing is created in Drive.
+   *
+   * @param {Map} fmap - The folder map.
+   * @return {string} - The description of the folder creation.
+   */
+  previewFolderFromMap(fmap) {
+    const parent = this.getParentFromMap(fmap);
+    if (parent.isTrashed()) {
+      throw new LF.DataTableCellError(COL_PARENT_ID, LF.i18n([
+        `Parent folder "${parent.getName()}" is trashed.`,
+        `le dossier parent "${parent.getName()}" est dans la corbeille.`,
+      ]));
+    }
+    return LF.i18n([
+      `Would create folder "${fmap.get(COL_FOLDER_NAME)}" in "${parent.getName()}".`,
+      `Créerait le dossier "${fmap.get(COL_FOLDER_NAME)}" dans "${parent.getName()}".`,
+    ]);
+  }
+
   /* high level functions */
 
   /*
@@ -163,26 +247,51 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
    */
   refresh() {
     this.assert(this.dt.has(COL_FOLDER_ID), "missing column:'" + COL_FOLDER_ID + "'");
-
-    let folders = this.dt.getDataAsMaps();
-    Logger.log("Number of folder up for refresh: %s", folders.size);
-
-    for (let [i, m] of folders) {
-      let v = m.get(COL_FOLDER_ID);
-      let id = v === undefined ? '' : v.toString().trim();
-      if (id.length > 0) {
-        Logger.log("Looking up for folder id: %s", id);
-
-        let folder = DriveApp.getFolderById(id);
-        Logger.log("Got folder: %s", folder);
-
-        if (folder !== null) {
-          this.updateRow(i, m, folder);
+    this.audit.setAction(ACTION_REFRESH);
+
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      let folders = this.dt.getDataAsMaps();
+      Logger.log("Number of folder up for refresh: %s", folders.size);
+
+      for (let [i, m] of folders) {
+        let v = m.get(COL_FOLDER_ID);
+        let id = v === undefined ? '' : v.toString().trim();
+        if (id.length > 0) {
+          Logger.log("Looking up for folder id: %s", id);
+
+          let folder = DriveApp.getFolderById(id);
+          Logger.log("Got folder: %s", folder);
+
+          if (folder !== null) {
+            this.updateRow(i, m, folder);
+          }
         }
       }
+    } finally {
+      this.dt.endBatch();
     }
   }
 
+  /*
+   * Delete the rows of folders that no longer exist, or are trashed.
+   *
+   * Rows whose folder cannot be checked are kept, with the error in their status.
+   *
+   * @return {Object} The number of deleted rows, and of rows that could not
+   *                  be checked: {deleted, errors}.
+   */
+  prune() {
+    this.assert(this.dt.has(COL_FOLDER_ID), "missing column:'" + COL_FOLDER_ID + "'");
+
+    return this.dt.pruneRows(function(m) {
+      const v = m.get(COL_FOLDER_ID);
+      const id = v === undefined ? '' : v.toString().trim();
+      return id.length > 0 && LF.DriveHelper.isGoneById(id);
+    }, COL_FOLDER_STATUS);
+  }
+
   /*
    * Update folder data, possibly adding new folder rows.
    *
@@ -192,47 +301,112 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
   }
 
   /*
-   * Create new folders from folder data rows without folder ids.
+   * Create new folders from folder data rows without folder ids, as a
+   *  resumable job.
    *
-   * @return {Array} - number of folders created, number of errors.
+   * When the job option dryRun is set, the folders are checked and described
+   *  in COL_FOLDER_STATUS, but not created.
+   *
+   * @param {JobRunner} job - The job, started or resumed.
+   * @return {boolean} - True if all the rows have been processed.
    */
-  create() {
+  create(job) {
     this.dt.ensureColumnsExist([COL_FOLDER_ID, COL_FOLDER_STATUS]);
+    this.dt.ensureResolvedColumnsExist();
+    this.audit.setAction(ACTION_CREATE);
 
-    /* various counters */
-    var creation_count = 0;
-    var error_count = 0;
+    /* record the changes of a real run, to be able to undo it */
+    if (job.getOptions().dryRun !== true && job.getOptions().runId != undefined) {
+      this.manifest = new LF.RunManifest(MANIFEST_APP, job.getOptions().runId);
+      this.dt.setRunManifest(this.manifest);
+    }
 
-    /* create the courses */
-    let rows = this.dt.getDataAsMaps(); // FIXME: exclude read only fields?
-    for (var [i, row] of rows) {
+    /* read and write the table at once */
+    this.dt.beginBatch();
+    try {
+      return job.run(this.dt.getRange(), this.dt.getNumRows(), i => {
+        this.createRow(i, job);
+      }, () => this.flushRun());
+    } finally {
+      this.dt.endBatch();
+      if (this.manifest != null) {
+        this.manifest.flush();
+      }
+    }
+  }
 
-      this.dt.applyDefaultsToMap(row);
-      LF.trimStringsInMap(row);
+  /*
+   * Write the changes recorded so far by a run: the lines of its manifest,
+   *  then the table.
+   */
+  flushRun() {
+    if (this.manifest != null) {
+      this.manifest.flush();
+    }
+    this.dt.flush();
+  }
 
-      /* do nothing if the id is set */
-      if (!row.has(COL_FOLDER_ID) || row.get(COL_FOLDER_ID).length > 0) {
-        continue;
-      }
+  /*
+   * Create a new folder from a folder data row without folder id.
+   *
+   * @param {number} i - The row number.
+   * @param {JobRunner} job - The job holding the counters.
+   */
+  createRow(i, job) {
+    let row = this.dt.getRowAsMap(i); // FIXME: exclude read only fields?
 
-      /* do nothing if the name is empty */
-      if (row.get(COL_FOLDER_NAME).length == 0) {
-        continue;
+    this.dt.applyDefaultsToMap(row);
+    LF.trimStringsInMap(row);
+
+    /* do nothing if the id is set */
+    if (!row.has(COL_FOLDER_ID) || row.get(COL_FOLDER_ID).length > 0) {
+      return;
+    }
+
+    /* do nothing if the name is empty */
+    if (row.get(COL_FOLDER_NAME).length == 0) {
+      return;
+    }
+
+    const dryRun = job.getOptions().dryRun === true;
+
+    try {
+      this.dt.resetRowColor(i);
+      this.dt.validateRow(row, ACTION_CREATE);
+
+      /* a parent given as a URL or a path is resolved to its id */
+      const parentRef = row.get(COL_PARENT_ID);
+      const resolved = this.dt.resolveDriveRefs(row);
+
+      if (dryRun) {
+        /* describe the folder without creating it */
+        this.dt.setValue(i, COL_FOLDER_STATUS, this.previewFolderFromMap(row));
+        this.dt.setFontColor(i, COL_FOLDER_STATUS, LF.DATATABLE_COLOR_PREVIEW);
+        job.inc(COUNTER_CREATED);
+        return;
       }
 
-      try {
-        let folder = this.createFolderFromMap(row);
+      let folder = this.createFolderFromMap(row);
+      if (this.manifest != null) {
+        this.manifest.record(LF.MANIFEST_CREATED_FOLDER, folder.getId());
+      }
 
-        this.updateRow(i, row, folder);
+      row.set(COL_FOLDER_STATUS, LF.i18n(['Folder created', 'Dossier créé']));
+      this.updateRow(i, row, folder, resolved.size > 0 ? parentRef : null);
 
-        creation_count = creation_count + 1;
+      job.inc(COUNTER_CREATED);
 
-      } catch(e) {
-        Logger.log("ERROR: %s", e.message);
-        error_count = error_count + 1;
+    } catch(e) {
+      Logger.log("ERROR: %s", e.message);
+      this.dt.setValue(i, COL_FOLDER_STATUS, e.message);
+      if (dryRun) {
+        this.dt.setFontColor(i, COL_FOLDER_STATUS, LF.DATATABLE_COLOR_PREVIEW);
+      }
+      if (e.name == 'DataTableCellError') {
+        this.dt.setErrorColor(i, e.label);
       }
+      job.addError();
     }
-    return [creation_count, error_count];
   }
 
   /**
@@ -249,10 +423,37 @@ class FolderTable { /* extends DataTable { NOT SUPPORTED IN V8 */
   }
 
   /**
-   * Complete the table with all missing columns
+   * Show the history of the changes of the row holding the current cell
+   *
+   */
+  showLog() {
+    const i = this.dt.getActiveRow();
+    if (i == null) {
+      throw new Error(LF.i18n([
+        'Select a row of the table first.',
+        'Sélectionner d\'abord une ligne de la table.',
+      ]));
+    }
+    this.dt.showRowHistory(i);
+  }
+
+  /**
+   * Return a one-line description of the table: location, number of rows
+   *  and last status.
+   *
+   * @return {string} The description.
+   */
+  getSummary() {
+    return this.dt.getSummary(COL_FOLDER_STATUS);
+  }
+
+  /**
+   * Complete the table with all missing columns, and protect read-only columns
    *
    */
   complete() {
     this.dt.ensureColumnsExist(this.cols);
+    this.dt.protectReadOnlyColumns();
+    this.dt.anchor();
   }
 }
@@ -9,6 +9,14 @@ function onOpen() {
     name : LF.i18n(["Run the folder creation tool CreateFolders","Lancer l'outil de création de dossiers CreateFolders"]),
     functionName : "FolderApp.create"
   },
+  {
+    name : LF.i18n(["Preview the folder creation (dry run)","Prévisualiser la création de dossiers (simulation)"]),
+    functionName : "FolderApp.preview"
+  },
+  {
+    name : LF.i18n(["Undo the last folder creation","Annuler la dernière création de dossiers"]),
+    functionName : "FolderApp.undo"
+  },
   null,
   {
     name : LF.i18n(["Run the class load tool LoadFolders","Lancer l'outil de lecture de classes LoadFolders"]),
@@ -18,6 +26,14 @@ function onOpen() {
     name : LF.i18n(["Refresh a folder data table","Rafraîchir les données d'une table de dossiers"]),
     functionName : "FolderApp.refresh"
   },
+  {
+    name : LF.i18n(["Delete rows of folders that no longer exist","Supprimer les lignes des dossiers qui n'existent plus"]),
+    functionName : "FolderApp.prune"
+  },
+  {
+    name : LF.i18n(["Show the change history of the current row","Afficher l'historique des modifications de la ligne courante"]),
+    functionName : "FolderApp.showLog"
+  },
   {
     name : LF.i18n(["Insert a folder data table","Insérer une table de dossiers"]),
     functionName : "FolderApp.insert"
@@ -26,10 +42,19 @@ function onOpen() {
     name : LF.i18n(["Add a sample folder","Ajouter un example de dossier"]),
     functionName : "FolderApp.sample"
   },
+  {
+    name : LF.i18n(["Select a folder data table","Sélectionner une table de dossiers"]),
+    functionName : "FolderApp.select"
+  },
   {
     name : LF.i18n(["TEST FolderApp","TEST FolderApp"]),
     functionName : "FolderApp.test"
   }
   ];
   spreadsheet.addMenu(LF.i18n(["Folder factory","Folder factory"]), entries);
+  FolderApp.getJob().showKeptReport(true);
 };
+
+function resumeFolderCreation() {
+  FolderApp.resume();
+}
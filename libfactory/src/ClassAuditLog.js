@@ -0,0 +1,193 @@
+/**
+ * Class AuditLog
+ *
+ * An AuditLog records the values written by the scripts in data tables, one
+ * line per changed cell, in a hidden sheet of the spreadsheet.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Note:
+ *  - lines are buffered, and appended to the sheet by flush(), using one
+ *    call per flush.
+ *  - the sheet is created, hidden, on the first flush.
+ *  - a data table records its changes in a log once given one with
+ *    DataTable.setAuditLog().
+ */
+
+/* name of the sheet holding the log */
+const AUDITLOG_SHEET_NAME = 'Factory log';
+
+/* columns of the log */
+const AUDITLOG_COL_TIMESTAMP = 'Timestamp';
+const AUDITLOG_COL_USER = 'User';
+const AUDITLOG_COL_TABLE = 'Table';
+const AUDITLOG_COL_KEY = 'Row key';
+const AUDITLOG_COL_COLUMN = 'Column';
+const AUDITLOG_COL_OLD_VALUE = 'Old value';
+const AUDITLOG_COL_NEW_VALUE = 'New value';
+const AUDITLOG_COL_ACTION = 'Action';
+
+const AUDITLOG_COLUMNS = [
+  AUDITLOG_COL_TIMESTAMP,
+  AUDITLOG_COL_USER,
+  AUDITLOG_COL_TABLE,
+  AUDITLOG_COL_KEY,
+  AUDITLOG_COL_COLUMN,
+  AUDITLOG_COL_OLD_VALUE,
+  AUDITLOG_COL_NEW_VALUE,
+  AUDITLOG_COL_ACTION,
+];
+
+/**
+ * Class representing the change log of a spreadsheet.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var AuditLog = class AuditLog {
+  /**
+   * Create an AuditLog.
+   * @param {Spreadsheet=} ss - The spreadsheet holding the log (default: the
+   *                            active one).
+   */
+  constructor(ss=null) {
+    this.ss = ss == null ? SpreadsheetApp.getActiveSpreadsheet() : ss;
+    this.user = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+    /* action recorded with the next changes */
+    this.action = '';
+    /* lines not yet written */
+    this.lines = [];
+  }
+
+  /* static members */
+
+  /**
+   * Return the sheet holding the log of a spreadsheet.
+   *
+   * @param {Spreadsheet} ss - The spreadsheet.
+   * @param {boolean} create - True to create the sheet if it does not exist.
+   * @return {?Sheet} The sheet, or null if it does not exist.
+   */
+  static getSheet(ss, create=false) {
+    let sheet = ss.getSheetByName(AUDITLOG_SHEET_NAME);
+    if (sheet == null && create) {
+      sheet = ss.insertSheet(AUDITLOG_SHEET_NAME, ss.getNumSheets());
+      sheet.getRange(1, 1, 1, AUDITLOG_COLUMNS.length)
+        .setValues([AUDITLOG_COLUMNS])
+        .setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.hideSheet();
+    }
+    return sheet;
+  }
+
+  /**
+   * Return a cell value as logged text.
+   *
+   * @param {*} v - The value.
+   * @return {string} The text.
+   */
+  static toText(v) {
+    if (v instanceof Date) {
+      return Utilities.formatDate(v, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(),
+          'yyyy-MM-dd HH:mm:ss');
+    }
+    return v == undefined ? '' : String(v);
+  }
+
+  /**
+   * Show the log, filtered to the changes of one row of a table.
+   *
+   * @param {string} table - The name of the table.
+   * @param {string} key - The key of the row.
+   * @param {Spreadsheet=} ss - The spreadsheet (default: the active one).
+   */
+  static show(table, key, ss=null) {
+    ss = ss == null ? SpreadsheetApp.getActiveSpreadsheet() : ss;
+    const sheet = AuditLog.getSheet(ss);
+    if (sheet == null) {
+      throw new Error(i18n([
+        'No change has been recorded yet.',
+        'Aucune modification n\'a encore été enregistrée.',
+      ]));
+    }
+
+    /* filter on the table and row key columns, replacing any previous filter */
+    if (sheet.getFilter() != null) {
+      sheet.getFilter().remove();
+    }
+    const filter = sheet.getDataRange().createFilter();
+    filter.setColumnFilterCriteria(AUDITLOG_COLUMNS.indexOf(AUDITLOG_COL_TABLE) + 1,
+        SpreadsheetApp.newFilterCriteria().whenTextEqualTo(table).build());
+    filter.setColumnFilterCriteria(AUDITLOG_COLUMNS.indexOf(AUDITLOG_COL_KEY) + 1,
+        SpreadsheetApp.newFilterCriteria().whenTextEqualTo(key).build());
+
+    sheet.showSheet();
+    sheet.activate();
+  }
+
+  /* getters and setters */
+
+  /**
+   * Set the action recorded with the next changes.
+   *
+   * @param {string} action - The action, e.g. the one of the row being processed.
+   */
+  setAction(action) {
+    this.action = action == undefined ? '' : action;
+  }
+
+  /**
+   * Return the action recorded with the next changes.
+   *
+   * @return {string} The action.
+   */
+  getAction() {
+    return this.action;
+  }
+
+  /* logging */
+
+  /**
+   * Record the change of a cell.
+   *
+   * @param {string} table - The name of the table.
+   * @param {string} key - The key of the row.
+   * @param {string} column - The column label.
+   * @param {*} oldValue - The previous value.
+   * @param {*} newValue - The new value.
+   * @param {string=} action - The action (default: the current action).
+   * @param {Date=} date - The date of the change (default: now).
+   */
+  record(table, key, column, oldValue, newValue, action=null, date=null) {
+    this.lines.push([
+      date == null ? new Date() : date,
+      this.user,
+      table,
+      key,
+      column,
+      AuditLog.toText(oldValue),
+      AuditLog.toText(newValue),
+      action == null ? this.action : action,
+    ]);
+  }
+
+  /**
+   * Append the recorded lines to the log sheet.
+   */
+  flush() {
+    if (this.lines.length == 0) {
+      return;
+    }
+    const sheet = AuditLog.getSheet(this.ss, true);
+    const r = sheet.getRange(sheet.getLastRow() + 1, 1, this.lines.length, AUDITLOG_COLUMNS.length);
+    /* keep values as typed text, e.g. ids looking like numbers */
+    r.offset(0, 1, this.lines.length, AUDITLOG_COLUMNS.length - 1).setNumberFormat('@');
+    r.setValues(this.lines);
+    Logger.log('AuditLog: %s line(s) written', this.lines.length);
+    this.lines = [];
+  }
+};
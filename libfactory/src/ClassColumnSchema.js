@@ -0,0 +1,448 @@
+/**
+ * Class ColumnSchema
+ *
+ * A ColumnSchema declares the columns of a data table: type, required-ness
+ * per action, default value and read-only flag.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ */
+
+/* column types */
+const COLUMN_TYPE_TEXT = 'text';
+const COLUMN_TYPE_EMAIL = 'email'; /* one email address, or 'me' */
+const COLUMN_TYPE_EMAIL_LIST = 'email list'; /* comma, semi-colon or space separated email addresses */
+const COLUMN_TYPE_QUOTED_LIST = 'quoted list'; /* list of double-quoted items */
+const COLUMN_TYPE_ENUM = 'enum'; /* one value in a list of allowed values */
+const COLUMN_TYPE_ENUM_LIST = 'enum list'; /* comma, semi-colon or space separated values in a list of allowed values */
+const COLUMN_TYPE_DATE = 'date';
+const COLUMN_TYPE_DRIVE_ID = 'drive id'; /* Drive id or URL */
+const COLUMN_TYPE_DRIVE_REF = 'drive ref'; /* Drive id, URL, or path from the folder of the spreadsheet */
+const COLUMN_TYPE_BOOLEAN = 'boolean';
+
+/* suffix of the label of the column holding the ids of a drive ref column (see DataTable.resolveDriveRefs) */
+const COLUMN_RESOLVED_SUFFIX = ' (resolved id)';
+
+/**
+ * Class representing the declaration of the columns of a data table.
+ *
+ * Each column is declared as an object with the following properties:
+ *  - label {string}: the column label;
+ *  - type {string}: one of the COLUMN_TYPE_* types (default: text);
+ *  - values {string[]}: the allowed values, for the enum and enum list types;
+ *  - folder {boolean}: true if the drive ref type references a folder,
+ *    rather than a file;
+ *  - required {boolean|string[]}: true if a value is always required, or the
+ *    list of actions requiring a value;
+ *  - defaultValue {*}: the value to use when the cell is empty;
+ *  - readOnly {boolean}: true if the column is set by the script;
+ *  - format {function(Range)}: a function to format cells, overriding the
+ *    format of the type;
+ *  - aliases {string[]}: other accepted header labels, e.g. translations.
+ *
+ * Header labels are matched case-insensitively, ignoring leading, trailing
+ *  and repeated blanks.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var ColumnSchema = class ColumnSchema {
+  /**
+   * Create a ColumnSchema.
+   * @param {Object[]} columns - The column declarations.
+   */
+  constructor(columns) {
+    this.columns = new Map();
+    /* normalized header label to column label */
+    this.labels = new Map();
+    for (const column of columns) {
+      this.columns.set(column.label, column);
+      for (const name of [column.label].concat(column.aliases || [])) {
+        this.labels.set(ColumnSchema.normalizeLabel(name), column.label);
+      }
+    }
+  }
+
+  /* static members: labels */
+
+  /**
+   * Return a header label in a form suitable for comparison: trimmed, with
+   *  blanks collapsed, and in lower case.
+   *
+   * @param {*} label - The header label.
+   * @return {string} The normalized label.
+   */
+  static normalizeLabel(label) {
+    return String(label).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /* static members: formats */
+
+  /**
+   * Format cells as a list of allowed values, if they all contain an allowed
+   *  value (or nothing).
+   *
+   * We do not set the format if a current value is invalid, as
+   * it raises an exception that seems to be uncatchable.
+   *
+   * @param {Range} r - The cells to format.
+   * @param {string[]} values - The allowed values.
+   */
+  static setRangeFormatAsEnum(r, values) {
+    const valid = r.getValues().every(function(row) {
+      return row.every(function(v) {
+        const s = String(v).trim();
+        return s === '' || values.includes(s);
+      });
+    });
+    if (valid) {
+      SheetHelper.setRangeFormatAsList(r, values);
+    }
+  }
+
+  /**
+   * Format cells as dates.
+   *
+   * Invalid dates are flagged by the sheet, but not rejected.
+   *
+   * @param {Range} r - The cells to format.
+   */
+  static setRangeFormatAsDate(r) {
+    SheetHelper.setRangeFormatAsDatetime(r);
+    const validation = SpreadsheetApp.newDataValidation()
+      .setAllowInvalid(true)
+      .requireDate()
+      .build();
+    r.setDataValidation(validation);
+  }
+
+  /**
+   * Format cells as checkboxes, if they all contain a boolean (or nothing).
+   *
+   * @param {Range} r - The cells to format.
+   */
+  static setRangeFormatAsBoolean(r) {
+    const valid = r.getValues().every(function(row) {
+      return row.every(v => v === '' || typeof v === 'boolean');
+    });
+    if (valid) {
+      const validation = SpreadsheetApp.newDataValidation()
+        .requireCheckbox()
+        .build();
+      r.setDataValidation(validation);
+    }
+  }
+
+  /* static members: value checks */
+
+  /**
+   * Return true if a string is an email address.
+   *
+   * @param {string} s - The string.
+   * @return {boolean} True if the string looks like an email address.
+   */
+  static isEmail(s) {
+    return /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/.test(s);
+  }
+
+  /**
+   * Return true if a string is a Drive id, or a URL containing one.
+   *
+   * @param {string} s - The string.
+   * @return {boolean} True if the string contains a Drive id.
+   */
+  static isDriveId(s) {
+    if (ColumnSchema.isBareDriveId(s)) {
+      return true;
+    }
+    try {
+      DriveHelper.getIdfromUrl(s);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Return true if a string is a Drive id alone, not a URL nor a path.
+   *
+   * @param {string} s - The string.
+   * @return {boolean} True if the string is a Drive id.
+   */
+  static isBareDriveId(s) {
+    return /^[-\w]{25,}$/.test(s);
+  }
+
+  /**
+   * Return true if a string is a path of names separated by "/", e.g.
+   *  "Templates/Certificates/2024".
+   *
+   * @param {string} s - The string.
+   * @return {boolean} True if the string is a path.
+   */
+  static isDrivePath(s) {
+    return !/^\w+:\/\//.test(s) && s.split('/').some(name => name.trim() != '');
+  }
+
+  /**
+   * Return the label of the column holding the ids resolved from a drive
+   *  ref column, next to it.
+   *
+   * @param {string} label - The label of the drive ref column.
+   * @return {string} The label of the column of ids.
+   */
+  static getResolvedLabel(label) {
+    return label + COLUMN_RESOLVED_SUFFIX;
+  }
+
+  /* getters */
+
+  /**
+   * True whether a given column is declared.
+   *
+   * @param {string} label - The column label.
+   * @return {boolean} True if the column is declared.
+   */
+  has(label) {
+    return this.columns.has(label);
+  }
+
+  /**
+   * Return the declaration of a column.
+   *
+   * @param {string} label - The column label.
+   * @return {Object|undefined} The column declaration.
+   */
+  get(label) {
+    return this.columns.get(label);
+  }
+
+  /**
+   * Return the column label matching a header label, that is, a header
+   *  equal to the column label or to one of its aliases.
+   *
+   * @param {*} header - The header label.
+   * @return {?string} The column label, or null if none matches.
+   */
+  getCanonicalLabel(header) {
+    const label = this.labels.get(ColumnSchema.normalizeLabel(header));
+    return label === undefined ? null : label;
+  }
+
+  /**
+   * Return the accepted header labels of a column: its label first, then
+   *  its aliases.
+   *
+   * @param {string} label - The column label.
+   * @return {string[]} The accepted header labels.
+   */
+  getNames(label) {
+    return [label].concat(this.get(label).aliases || []);
+  }
+
+  /**
+   * Return the type of a column.
+   *
+   * @param {string} label - The column label.
+   * @return {string} The column type.
+   */
+  getType(label) {
+    return this.get(label).type || COLUMN_TYPE_TEXT;
+  }
+
+  /**
+   * Return the labels of all the declared columns, in declaration order.
+   *
+   * @return {string[]} The column labels.
+   */
+  getLabels() {
+    return Array.from(this.columns.keys());
+  }
+
+  /**
+   * Return the labels of the drive ref columns.
+   *
+   * @return {string[]} The column labels.
+   */
+  getDriveRefLabels() {
+    return this.getLabels().filter(label => this.getType(label) == COLUMN_TYPE_DRIVE_REF);
+  }
+
+  /**
+   * Return the labels of the read-only columns.
+   *
+   * @return {string[]} The column labels.
+   */
+  getReadOnlyLabels() {
+    return this.getLabels().filter(label => this.isReadOnly(label));
+  }
+
+  /**
+   * True whether a column is set by the script.
+   *
+   * @param {string} label - The column label.
+   * @return {boolean} True if the column is read-only.
+   */
+  isReadOnly(label) {
+    return this.has(label) && this.get(label).readOnly === true;
+  }
+
+  /**
+   * True whether a column requires a value for a given action.
+   *
+   * @param {string} label - The column label.
+   * @param {string} action - The action.
+   * @return {boolean} True if a value is required.
+   */
+  isRequired(label, action) {
+    if (!this.has(label)) {
+      return false;
+    }
+    const required = this.get(label).required;
+    return required === true || (Array.isArray(required) && required.includes(action));
+  }
+
+  /**
+   * Return the map of default values.
+   *
+   * @return {Map} The map of column label to default value.
+   */
+  getDefaults() {
+    const m = new Map();
+    for (const [label, column] of this.columns) {
+      if (column.defaultValue !== undefined) {
+        m.set(label, column.defaultValue);
+      }
+    }
+    return m;
+  }
+
+  /**
+   * Return the map of functions to format cells.
+   *
+   * @return {Map} The map of column label to format function.
+   */
+  getFormats() {
+    const m = new Map();
+    for (const [label, column] of this.columns) {
+      const f = column.format || this.getTypeFormat(label);
+      if (f != null) {
+        m.set(label, f);
+      }
+    }
+    return m;
+  }
+
+  /**
+   * Return the function to format cells of a column, based on its type.
+   *
+   * @param {string} label - The column label.
+   * @return {?function(Range)} The format function.
+   */
+  getTypeFormat(label) {
+    const column = this.get(label);
+    switch (this.getType(label)) {
+      case COLUMN_TYPE_ENUM:
+        return r => ColumnSchema.setRangeFormatAsEnum(r, column.values);
+      case COLUMN_TYPE_DATE:
+        return ColumnSchema.setRangeFormatAsDate;
+      case COLUMN_TYPE_BOOLEAN:
+        return ColumnSchema.setRangeFormatAsBoolean;
+      default:
+        return SheetHelper.setRangeFormatAsText;
+    }
+  }
+
+  /* validation */
+
+  /**
+   * Check a non-empty value against the type of its column, raising a
+   *  DataTableCellError if it is invalid.
+   *
+   * @param {string} label - The column label.
+   * @param {*} value - The value.
+   */
+  validateValue(label, value) {
+    const column = this.get(label);
+    const s = String(value).trim();
+    let valid = true;
+    let expected = '';
+
+    switch (this.getType(label)) {
+      case COLUMN_TYPE_EMAIL:
+        valid = s === 'me' || ColumnSchema.isEmail(s);
+        expected = i18n(['an email address or "me"', 'une adresse email ou "me"']);
+        break;
+      case COLUMN_TYPE_EMAIL_LIST:
+        valid = itemsInString(s, '[\\s,;]+').every(ColumnSchema.isEmail);
+        expected = i18n(['a list of email addresses', 'une liste d\'adresses email']);
+        break;
+      case COLUMN_TYPE_QUOTED_LIST:
+        valid = (s.match(/"/g) || []).length % 2 == 0 &&
+            quotedItemsInString(s).length > 0;
+        expected = i18n(['a list of double-quoted items', 'une liste d\'éléments entre guillemets']);
+        break;
+      case COLUMN_TYPE_ENUM:
+        valid = column.values.includes(s);
+        expected = i18n(['one of ', 'une valeur parmi ']) + column.values.join(', ');
+        break;
+      case COLUMN_TYPE_ENUM_LIST:
+        valid = itemsInString(s, '[\\s,;]+').every(v => column.values.includes(v));
+        expected = i18n(['a list of values among ', 'une liste de valeurs parmi ']) + column.values.join(', ');
+        break;
+      case COLUMN_TYPE_DATE:
+        valid = value instanceof Date ? !isNaN(value) : !isNaN(new Date(s));
+        expected = i18n(['a date', 'une date']);
+        break;
+      case COLUMN_TYPE_DRIVE_ID:
+        valid = ColumnSchema.isDriveId(s);
+        expected = i18n(['a Drive id or URL', 'un id ou une URL Drive']);
+        break;
+      case COLUMN_TYPE_DRIVE_REF:
+        valid = ColumnSchema.isDriveId(s) || ColumnSchema.isDrivePath(s);
+        expected = i18n(['a Drive id, URL or path', 'un id, une URL ou un chemin Drive']);
+        break;
+      case COLUMN_TYPE_BOOLEAN:
+        valid = ['true', 'false'].includes(s.toLowerCase());
+        expected = i18n(['a boolean', 'un booléen']);
+        break;
+      default:
+        break;
+    }
+
+    if (!valid) {
+      throw new DataTableCellError(label, i18n([
+        `Invalid value "${s}" in column "${label}": expecting ${expected}.`,
+        `Valeur invalide "${s}" dans la colonne "${label}" : ${expected} est attendu(e).`,
+      ]));
+    }
+  }
+
+  /**
+   * Check the values of a row, raising a DataTableCellError on the first
+   *  invalid or missing value.
+   *
+   * @param {Map} m - The label-to-value map.
+   * @param {string=} action - The action about to be executed on the row.
+   * @param {?string[]} labels - The columns to check, or null for all columns.
+   */
+  validateMap(m, action, labels=null) {
+    for (const label of labels || this.getLabels()) {
+      const v = m.has(label) && m.get(label) != undefined ?
+        String(m.get(label)).trim() : '';
+      if (v === '') {
+        if (this.isRequired(label, action)) {
+          throw new DataTableCellError(label, i18n([
+            `Missing value in column "${label}".`,
+            `Valeur attendue dans la colonne "${label}".`,
+          ]));
+        }
+      } else {
+        this.validateValue(label, m.get(label));
+      }
+    }
+  }
+};
@@ -6,6 +6,18 @@
  * Christophe Bisière
  *
  * version 2022-04-17
+ * updated 2026-10-19
+ *   - add batched mode (beginBatch, flush, endBatch)
+ *   - add column schema (validateRow)
+ *   - add header aliases (getMap, locateFromLabel)
+ *   - add protections on read-only columns
+ *   - add named range anchors (anchor, locateFromAnchor, extendAnchor)
+ *   - add locateAll, to list all the tables of a spreadsheet
+ *   - add row and column deletion (deleteRow, deleteRowsWhere, deleteColumn)
+ *   - add keyed index (findRowByKey, upsertByKey)
+ *   - add change history (setAuditLog)
+ *   - add run manifests, to undo runs (setRunManifest)
+ *   - add Drive references given as URLs or paths (resolveDriveRefs)
  *
  * Note:
  *  - "var DataTable = class DataTable {...}"" is needed in ES6, as class
@@ -19,6 +31,10 @@ const DATATABLE_LIST_SEPARATOR = ' ';
 /* default color to mark a cell's status */
 const DATATABLE_COLOR_UPDATED = 'green';
 const DATATABLE_COLOR_ERROR = 'red';
+const DATATABLE_COLOR_PREVIEW = 'blue';
+
+/* description prefix of the protections set on read-only columns */
+const DATATABLE_PROTECTION_PREFIX = 'Read-only column: ';
 
 /* error in a cell of a data table */
 var DataTableCellError = class DataTableCellError {
@@ -46,14 +62,33 @@ var DataTable = class DataTable {
    * @param {Range} rgCells - The range for the whole table.
    * @param {Map} defaults - A map of default values.
    * @param {Map} formats - A map of function to format cells.
+   * @param {ColumnSchema} schema - The declaration of the columns, from which
+   *                                defaults and formats are taken when not
+   *                                specified.
    */
-  constructor(rgCells, defaults=null, formats=null) {
+  constructor(rgCells, defaults=null, formats=null, schema=null) {
     this.assert(rgCells != undefined, 'table range not specified');
     this.r = rgCells;
-    this.defaults = defaults;
-    this.formats = formats;
+    this.schema = schema;
+    this.defaults = defaults == null && schema != null ? schema.getDefaults() : defaults;
+    this.formats = formats == null && schema != null ? schema.getFormats() : formats;
     /* cached map */
     this.map = null;
+    /* batched mode, and buffer of the data part in that mode */
+    this.batch = false;
+    this.buffer = null;
+    /* named range following the table, and prefix of its name */
+    this.anchorPrefix = null;
+    this.namedRange = null;
+    /* keyed indexes: column label to map of key to row numbers */
+    this.indexes = new Map();
+    /* change history: log, label of the row key column, changes to log */
+    this.audit = null;
+    this.auditKeyLabel = null;
+    this.auditPending = [];
+    /* manifest of the run recording previous cell values, row key column */
+    this.manifest = null;
+    this.manifestKeyLabel = null;
   }
 
   /**
@@ -83,17 +118,26 @@ var DataTable = class DataTable {
   }
 
   /**
-   * Locate the target data table table in a Sheet, based on a column label
+   * Find all the data tables in a Sheet having a given column label
    *
-   * When the sheet contains more than one table, select the table intersecting
-   *  with the current cell, or, otherwise, the first table.
+   * When a schema is given, the header may be any of the accepted labels of
+   *  the column, matched case-insensitively and ignoring extra blanks.
    *
-   * @param {Sheet} sheet - The Sheet containing the table to look for.
+   * @param {Sheet} sheet - The Sheet containing the tables to look for.
    * @param {string} label - The column label to look for.
-   * @return {?Range} The Range of the table found.
+   * @param {?ColumnSchema} schema - The declaration of the columns, or null.
+   * @return {Range[]} The Ranges of the tables found, which do not overlap,
+   *                   sorted by row and column.
    */
-  static locateFromLabel(sheet, label) {
-    const arrCells = SheetHelper.findCellsByContent(sheet, label);
+  static findAllFromLabel(sheet, label, schema=null) {
+    const names = schema != null && schema.has(label) ? schema.getNames(label) : [label];
+    const patterns = names.map(function(name) {
+      return name.trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\s+/g, '\\s+');
+    });
+    const arrCells = SheetHelper.findCellsByRegex(sheet,
+        '\\s*(?:' + patterns.join('|') + ')\\s*');
 
     /* collect all candidate regions */
     const rs1 = [];
@@ -118,6 +162,23 @@ var DataTable = class DataTable {
       }
     }
 
+    return rs2;
+  }
+
+  /**
+   * Locate the target data table table in a Sheet, based on a column label
+   *
+   * When the sheet contains more than one table, select the table intersecting
+   *  with the current cell, or, otherwise, the first table.
+   *
+   * @param {Sheet} sheet - The Sheet containing the table to look for.
+   * @param {string} label - The column label to look for.
+   * @param {?ColumnSchema} schema - The declaration of the columns, or null.
+   * @return {?Range} The Range of the table found.
+   */
+  static locateFromLabel(sheet, label, schema=null) {
+    const rs2 = DataTable.findAllFromLabel(sheet, label, schema);
+
     /* look for a region that intersects with the current cell */
     const c = SpreadsheetApp.getActiveSheet().getSelection().getCurrentCell();
     const ri = rs2.find(function(r) {
@@ -128,6 +189,124 @@ var DataTable = class DataTable {
     return rs2.length == 0 ? null : ri != undefined ? ri : rs2[0];
   }
 
+  /**
+   * Return the named ranges anchoring tables of a given kind.
+   *
+   * Anchors whose range is no longer valid (e.g. deleted cells) are ignored.
+   *
+   * @param {string} prefix - The prefix of the named range names.
+   * @param {?Sheet} sheet - The Sheet containing the tables, or null for all
+   *                         sheets.
+   * @return {NamedRange[]} The named ranges.
+   */
+  static findAnchors(prefix, sheet=null) {
+    return SpreadsheetApp.getActiveSpreadsheet().getNamedRanges()
+      .filter(function(nr) {
+        if (!nr.getName().startsWith(prefix + '_')) {
+          return false;
+        }
+        try {
+          return sheet == null ||
+            nr.getRange().getSheet().getSheetId() == sheet.getSheetId();
+        } catch (e) {
+          return false;
+        }
+      });
+  }
+
+  /**
+   * Extend the range of an anchor to the data typed below or to the right of
+   *  the table, that is, rows and columns not added by the script, and
+   *  update the named range accordingly.
+   *
+   * The range is extended to the data region of its header row, as found by
+   *  locateFromHeaderCell, and never shrinks.
+   *
+   * @param {NamedRange} nr - The named range anchoring the table.
+   * @return {Range} The extended range.
+   */
+  static extendAnchor(nr) {
+    const r = nr.getRange();
+    const sheet = r.getSheet();
+    const region = sheet.getRange(r.getRow(), r.getColumn(), 1, r.getNumColumns()).getDataRegion();
+    const lastRow = Math.max(r.getLastRow(), region.getLastRow());
+    const lastColumn = Math.max(r.getLastColumn(), region.getLastColumn());
+    if (lastRow == r.getLastRow() && lastColumn == r.getLastColumn()) {
+      return r;
+    }
+
+    const extended = sheet.getRange(r.getRow(), r.getColumn(),
+        lastRow - r.getRow() + 1, lastColumn - r.getColumn() + 1);
+    Logger.log('Anchor "%s" extended from %s to %s', nr.getName(),
+        r.getA1Notation(), extended.getA1Notation());
+    nr.setRange(extended);
+    return extended;
+  }
+
+  /**
+   * Locate the target data table in a Sheet, based on the named ranges
+   *  anchoring tables of a given kind
+   *
+   * When the sheet contains more than one table, select the table intersecting
+   *  with the current cell, or, otherwise, the first table. Anchors are first
+   *  extended to the rows and columns typed next to their table.
+   *
+   * @param {Sheet} sheet - The Sheet containing the table to look for.
+   * @param {string} prefix - The prefix of the named range names.
+   * @return {?Range} The Range of the table found.
+   */
+  static locateFromAnchor(sheet, prefix) {
+    const rs = DataTable.findAnchors(prefix, sheet).map(nr => DataTable.extendAnchor(nr));
+    if (rs.length == 0) {
+      return null;
+    }
+
+    /* sort by row-column */
+    rs.sort(function(r1, r2) {
+      return r1.getRow() - r2.getRow() +
+          (r1.getRow() == r2.getRow() ? r1.getColumn() - r2.getColumn() : 0);
+    });
+
+    /* look for a region that intersects with the current cell */
+    const c = SpreadsheetApp.getActiveSheet().getSelection().getCurrentCell();
+    const ri = rs.find(function(r) {
+      return c != null && SheetHelper.rangeIntersect(r, c);
+    });
+
+    return ri != undefined ? ri : rs[0];
+  }
+
+  /**
+   * Locate all the data tables of a given kind in the active spreadsheet,
+   *  across all sheets
+   *
+   * Tables are found using their anchors, extended to the rows and columns
+   *  typed next to them, and then using a column label, for tables that are
+   *  not anchored.
+   *
+   * @param {string} prefix - The prefix of the names of the anchors.
+   * @param {string} label - The column label to look for.
+   * @param {?ColumnSchema} schema - The declaration of the columns, or null.
+   * @return {Range[]} The Ranges of the tables found, sorted by sheet, row
+   *                   and column.
+   */
+  static locateAll(prefix, label, schema=null) {
+    const rs = [];
+    for (const sheet of SpreadsheetApp.getActiveSpreadsheet().getSheets()) {
+      const anchored = DataTable.findAnchors(prefix, sheet).map(nr => DataTable.extendAnchor(nr));
+      const found = DataTable.findAllFromLabel(sheet, label, schema).filter(function(r) {
+        return !anchored.some(q => SheetHelper.rangeIntersect(q, r));
+      });
+      const all = anchored.concat(found);
+      all.sort(function(r1, r2) {
+        return r1.getRow() - r2.getRow() +
+            (r1.getRow() == r2.getRow() ? r1.getColumn() - r2.getColumn() : 0);
+      });
+      rs.push(...all);
+    }
+    return rs;
+  }
+
   /* 
    * static method to handle lists of items
    * 
@@ -148,6 +327,40 @@ var DataTable = class DataTable {
     return v !== false ? itemsInString(v, "[\\s,;]+") : [];
   }
 
+  /**
+   * Return a list of runs of consecutive row numbers, each run being an array
+   *  [first row number, number of rows].
+   *
+   * @param {Iterable} rows - The row numbers, in any order.
+   * @return {Array} The list of runs, sorted by first row number.
+   */
+  static getRuns(rows) {
+    const sorted = Array.from(rows).sort(function(a, b) {
+      return a - b;
+    });
+    const runs = [];
+    for (const i of sorted) {
+      const last = runs[runs.length - 1];
+      if (last != undefined && last[0] + last[1] == i) {
+        last[1] += 1;
+      } else {
+        runs.push([i, 1]);
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Return true if a RichTextValue holds more than a plain text, that is,
+   *  a link or several text styles, which would be lost by a setValues().
+   *
+   * @param {?RichTextValue} rt - The RichTextValue, possibly null.
+   * @return {boolean} True if the value is rich.
+   */
+  static isRichText(rt) {
+    return rt != null && (rt.getLinkUrl() != null || rt.getRuns().length > 1);
+  }
+
 
   /**
    * Check a condition.
@@ -172,6 +385,53 @@ var DataTable = class DataTable {
    */
   setRange(r) {
     this.r = r;
+    if (this.namedRange != null) {
+      this.namedRange.setRange(r);
+    }
+  }
+
+  /* anchor */
+
+  /**
+   * Set the prefix of the name of the named range anchoring the table, and
+   *  bind the table to its anchor, if any.
+   *
+   * @param {string} prefix - The prefix of the named range name.
+   */
+  setAnchorPrefix(prefix) {
+    const r = this.getRange();
+    this.anchorPrefix = prefix;
+    this.namedRange = DataTable.findAnchors(prefix, r.getSheet()).find(function(nr) {
+      return nr.getRange().getA1Notation() == r.getA1Notation();
+    }) || null;
+  }
+
+  /**
+   * Anchor the table, that is, register its range under a named range,
+   *  so it can be found without searching for its header. The named range
+   *  then follows the table when rows or columns are added.
+   *
+   * Do nothing if the table is already anchored.
+   */
+  anchor() {
+    this.assert(this.anchorPrefix != null, 'anchor: no anchor prefix');
+    if (this.namedRange != null) {
+      return;
+    }
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const name = this.anchorPrefix + '_' + Utilities.getUuid().replace(/-/g, '');
+    ss.setNamedRange(name, this.getRange());
+    this.namedRange = ss.getNamedRanges().find(nr => nr.getName() == name);
+    Logger.log('DataTable %s anchored as "%s"', this.getRange().getA1Notation(), name);
+  }
+
+  /**
+   * Return the named range anchoring the table.
+   *
+   * @return {?NamedRange} The named range, or null if the table is not anchored.
+   */
+  getAnchor() {
+    return this.namedRange;
   }
 
   /**
@@ -183,6 +443,165 @@ var DataTable = class DataTable {
     return this.r;
   }
 
+  /**
+   * Return the declaration of the columns.
+   *
+   * @return {?ColumnSchema} The column schema, or null if none.
+   */
+  getSchema() {
+    return this.schema;
+  }
+
+  /* batched mode */
+
+  /**
+   * Enter batched mode.
+   *
+   * In batched mode, the data part of the table is read once into an
+   *  in-memory buffer. Values, font colors, rich text values and row formats
+   *  are changed in that buffer, and written back to the sheet by flush(),
+   *  which only writes the changed cells.
+   *  Changing the shape of the table (e.g. adding rows or columns) flushes
+   *  the buffer first.
+   */
+  beginBatch() {
+    this.batch = true;
+  }
+
+  /**
+   * Write back pending changes and leave batched mode.
+   */
+  endBatch() {
+    this.flush();
+    this.batch = false;
+  }
+
+  /**
+   * Return true if the table is in batched mode.
+   *
+   * @return {boolean} True if in batched mode.
+   */
+  isBatched() {
+    return this.batch;
+  }
+
+  /**
+   * Return the buffer holding the data part of the table.
+   *
+   * Use lazy evaluation.
+   *
+   * @return {Object} The buffer.
+   */
+  getBuffer() {
+    this.assert(this.batch, 'getBuffer: not in batched mode');
+    if (this.buffer == null) {
+      const r = this.getData();
+      this.buffer = {
+        values: r == null ? [] : r.getValues(),
+        fontColors: r == null ? [] : r.getFontColors(),
+        richTexts: r == null ? [] : r.getRichTextValues(),
+        /* changes: row number to set of column numbers, or set of rows */
+        changedValues: new Map(),
+        changedRichTexts: new Map(),
+        changedColors: new Map(),
+        unformatted: new Set(),
+      };
+    }
+    return this.buffer;
+  }
+
+  /**
+   * Write back to the sheet all the changes made in the buffer.
+   *
+   * Only the changed cells are written, column by column, using one call per
+   *  run of consecutive changed rows: the other cells, possibly edited by
+   *  users meanwhile, or filled by an array formula, are left untouched.
+   *  The buffer is then dropped, and will be read again if needed.
+   */
+  flush() {
+    /* log changes first, while the buffer holds the row keys */
+    this.flushAudit();
+
+    const b = this.buffer;
+    if (b == null) {
+      return;
+    }
+
+    /* values, then rich text values, as writing values erases rich text */
+    this.flushCells(b.changedValues, function(r, i, nb, j) {
+      r.setValues(b.values.slice(i-1, i-1+nb).map(row => [row[j-1]]));
+    });
+    this.flushCells(b.changedRichTexts, function(r, i, nb, j) {
+      r.setRichTextValues(b.richTexts.slice(i-1, i-1+nb).map(row => [row[j-1]]));
+    });
+
+    /* font colors */
+    this.flushCells(b.changedColors, function(r, i, nb, j) {
+      r.setFontColors(b.fontColors.slice(i-1, i-1+nb).map(row => [row[j-1]]));
+    });
+
+    /* formats */
+    for (const [i, nb] of DataTable.getRuns(b.unformatted)) {
+      this.applyRowsFormat(i, nb);
+    }
+
+    this.buffer = null;
+
+    Logger.log('DataTable %s flushed', this.getRange().getA1Notation());
+  }
+
+  /**
+   * Write changed cells, column by column, using one call per run of
+   *  consecutive changed rows.
+   *
+   * @param {Map} changes - The map of changes: row number to set of column
+   *                        numbers.
+   * @param {function(Range, number, number, number)} write - The function
+   *                        writing a run, called with its Range, its first
+   *                        row number, its number of rows and its column
+   *                        number.
+   */
+  flushCells(changes, write) {
+    for (let j = 1; j <= this.getNumColumns(); j++) {
+      const rows = [];
+      for (const [k, cols] of changes) {
+        if (cols.has(j)) {
+          rows.push(k);
+        }
+      }
+      for (const [i, nb] of DataTable.getRuns(rows)) {
+        write(this.getRows(i, nb).offset(0, j-1, nb, 1), i, nb, j);
+      }
+    }
+  }
+
+  /**
+   * Record a change in a map of row number to set of column numbers.
+   *
+   * @param {Map} changes - The map of changes.
+   * @param {number} i - The row number.
+   * @param {number} j - The column number.
+   */
+  static markChanged(changes, i, j) {
+    if (!changes.has(i)) {
+      changes.set(i, new Set());
+    }
+    changes.get(i).add(j);
+  }
+
+  /**
+   * Forget a change in a map of row number to set of column numbers.
+   *
+   * @param {Map} changes - The map of changes.
+   * @param {number} i - The row number.
+   * @param {number} j - The column number.
+   */
+  static unmarkChanged(changes, i, j) {
+    if (changes.has(i)) {
+      changes.get(i).delete(j);
+    }
+  }
+
   /* getters: dimensions, has label... */
 
   /**
@@ -328,6 +747,37 @@ var DataTable = class DataTable {
     return c;
   }
 
+  /**
+   * Get a cell value.
+   *
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @return {Object} The value.
+   */
+  getValue(i, label) {
+    if (this.batch) {
+      const j = this.getColumnIndex(i, label);
+      return this.getBuffer().values[i-1][j-1];
+    }
+    return this.getCell(i, label).getValue();
+  }
+
+  /**
+   * Get a cell value as a RichTextValue.
+   *
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @return {?RichTextValue} The RichTextValue, or null if the cell does not
+   *                          hold text.
+   */
+  getRichTextValue(i, label) {
+    if (this.batch) {
+      const j = this.getColumnIndex(i, label);
+      return this.getBuffer().richTexts[i-1][j-1];
+    }
+    return this.getCell(i, label).getRichTextValue();
+  }
+
   /**
    * Set a cell value.
    *
@@ -336,7 +786,23 @@ var DataTable = class DataTable {
    * @param {Object} value - The value to set.
    */
   setValue(i, label, value) {
-    this.getCell(i, label).setValue(value);
+    if (this.indexes.has(label) || this.audit != null || this.manifest != null) {
+      const oldValue = this.getValue(i, label);
+      if (this.indexes.has(label)) {
+        this.updateIndex(label, i, oldValue, value);
+      }
+      this.recordChange(i, label, oldValue, value);
+    }
+    if (this.batch) {
+      const j = this.getColumnIndex(i, label);
+      const b = this.getBuffer();
+      b.values[i-1][j-1] = value;
+      b.richTexts[i-1][j-1] = null;
+      DataTable.markChanged(b.changedValues, i, j);
+      DataTable.unmarkChanged(b.changedRichTexts, i, j);
+    } else {
+      this.getCell(i, label).setValue(value);
+    }
   }
 
   /**
@@ -347,7 +813,55 @@ var DataTable = class DataTable {
    * @param {RichTextValue} value - The RichTextValue to set.
    */
   setRichTextValue(i, label, value) {
-    this.getCell(i, label).setRichTextValue(value);
+    if (this.indexes.has(label) || this.audit != null || this.manifest != null) {
+      const oldValue = this.getValue(i, label);
+      if (this.indexes.has(label)) {
+        this.updateIndex(label, i, oldValue, value.getText());
+      }
+      this.recordChange(i, label, oldValue, value.getText());
+    }
+    if (this.batch) {
+      const j = this.getColumnIndex(i, label);
+      const b = this.getBuffer();
+      b.values[i-1][j-1] = value.getText();
+      b.richTexts[i-1][j-1] = value;
+      DataTable.markChanged(b.changedRichTexts, i, j);
+      DataTable.unmarkChanged(b.changedValues, i, j);
+    } else {
+      this.getCell(i, label).setRichTextValue(value);
+    }
+  }
+
+  /**
+   * Set the font color of a cell.
+   *
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @param {?string} color - The CSS font color, or null to reset it.
+   */
+  setFontColor(i, label, color) {
+    if (this.batch) {
+      const j = this.getColumnIndex(i, label);
+      const b = this.getBuffer();
+      b.fontColors[i-1][j-1] = color;
+      DataTable.markChanged(b.changedColors, i, j);
+    } else {
+      this.getCell(i, label).setFontColor(color);
+    }
+  }
+
+  /**
+   * Return the column number of a cell, checking the cell is in the table.
+   *
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @return {number} The column number.
+   */
+  getColumnIndex(i, label) {
+    this.assert(this.has(label), 'label "' + label + '" is not in the table');
+    this.assert((1 <= i) && (i <= this.getNumRows()),
+        'row ' + i + ' outside table range');
+    return this.getMap().get(label);
   }
 
   /* getters: Array */
@@ -366,8 +880,7 @@ var DataTable = class DataTable {
    * @return {Array|[]} The data part of the data table.
    */
   getDataAsArray() {
-    const r = this.getData();
-    return r == null ? [] : r.getValues();
+    return this.isEmpty() ? [] : this.getRowsAsArray(1, this.getNumRows());
   }
 
   /**
@@ -379,6 +892,14 @@ var DataTable = class DataTable {
    */
   getRowsAsArray(i, nb) {
     // TODO: assert nb>0
+    if (this.batch) {
+      const n = this.getNumRows();
+      this.assert((1 <= i) && (i + nb - 1 <= n),
+          'row range (' + i + ',' + (i + nb - 1) + ') outside table range');
+      return this.getBuffer().values.slice(i-1, i-1+nb).map(function(row) {
+        return row.slice();
+      });
+    }
     return this.getRows(i, nb).getValues();
   }
 
@@ -389,7 +910,7 @@ var DataTable = class DataTable {
    * @return {Array} The rows as a single dimensional array.
    */
   getRowAsVector(i) {
-    return this.getRows(i, 1).getValues()[0];
+    return this.getRowsAsArray(i, 1)[0];
   }
 
   /* setters: Array */
@@ -432,20 +953,80 @@ var DataTable = class DataTable {
   /**
    * Return a Map of column label to column index
    *
-   * Use lazy evaluation.
+   * Headers matching a column of the schema are mapped using the declared
+   *  column label. Use lazy evaluation.
+   *
+   * A DataTableCellError is raised if two headers match the same column of
+   *  the schema (e.g. a label and one of its aliases).
    *
    * @return {Map} The map of label to index.
    */
   getMap() {
     if (this.map == null) {
-      this.map = new Map();
-      for (const [j, label] of this.getHeaderAsVector().entries()) {
-        this.map.set(label, j+1);
+      const map = new Map();
+      for (const [j, header] of this.getHeaderAsVector().entries()) {
+        const label = this.getCanonicalLabel(header);
+        if (map.has(label) && this.schema != null && this.schema.has(label)) {
+          const first = this.getHeaderAsVector()[map.get(label)-1];
+          throw new DataTableCellError(label, i18n([
+            `Columns "${first}" and "${header}" are both column "${label}".`,
+            `Les colonnes "${first}" et "${header}" sont toutes deux la colonne "${label}".`,
+          ]));
+        }
+        map.set(label, j+1);
       }
+      this.map = map;
     }
     return this.map;
   }
 
+  /**
+   * Return the headers differing from their column label, that is, aliases
+   *  of columns of the schema.
+   *
+   * @return {Map} The map of header to column label.
+   */
+  getHeaderAliases() {
+    const aliases = new Map();
+    for (const header of this.getHeaderAsVector()) {
+      const label = this.getCanonicalLabel(header);
+      if (label !== header) {
+        aliases.set(header, label);
+      }
+    }
+    return aliases;
+  }
+
+  /**
+   * Add to a label-to-value map the values of the columns whose header is an
+   *  alias, under that header, so that either can be used (e.g. as a merge
+   *  field).
+   *
+   * @param {Map} m - The label-to-value map.
+   * @return {Map} The same map.
+   */
+  addHeaderAliasesToMap(m) {
+    for (const [header, label] of this.getHeaderAliases()) {
+      if (m.has(label) && !m.has(header)) {
+        m.set(header, m.get(label));
+      }
+    }
+    return m;
+  }
+
+  /**
+   * Return the column label of a header: the declared label when the header
+   *  is one of the accepted labels of a column in the schema, or the header
+   *  itself otherwise (e.g. user-defined columns).
+   *
+   * @param {*} header - The header label.
+   * @return {*} The column label.
+   */
+  getCanonicalLabel(header) {
+    const label = this.schema == null ? null : this.schema.getCanonicalLabel(header);
+    return label == null ? header : label;
+  }
+
   /**
    * Return an empty Map of column label to undefined values.
    *
@@ -468,7 +1049,16 @@ var DataTable = class DataTable {
    * @return {Map} The map of column label to value.
    */
   getRowAsMap(i) {
-    const vec = this.getRowAsVector(i);
+    return this.getMapFromVector(this.getRowAsVector(i));
+  }
+
+  /**
+   * Return a Map of column label to value, from a row as an array.
+   *
+   * @param {Array} vec - The row data.
+   * @return {Map} The map of column label to value.
+   */
+  getMapFromVector(vec) {
     const map = this.getMap();
     const res = new Map();
     for (const [label, j] of map) {
@@ -487,8 +1077,11 @@ var DataTable = class DataTable {
    */
   getRowsAsMaps(i, nb) {
     const m = new Map();
-    for (let k=i; k<=i+nb-1; k++) {
-      m.set(k, this.getRowAsMap(k));
+    if (nb > 0) {
+      const data = this.getRowsAsArray(i, nb);
+      for (let k=i; k<=i+nb-1; k++) {
+        m.set(k, this.getMapFromVector(data[k-i]));
+      }
     }
     return m;
   }
@@ -514,8 +1107,7 @@ var DataTable = class DataTable {
   setRowFromMap(i, m) {
     for (const [k, v] of m) {
       if (this.has(k)) {
-        const c = this.getCell(i, k);
-        c.setValue(v); 
+        this.setValue(i, k, v);
       }
     }
   }
@@ -534,39 +1126,532 @@ var DataTable = class DataTable {
   updateRowDataFromMap(i, m, updateColor=null) {
     for (const [k, v] of m) {
       if (this.has(k)) {
-        const c = this.getCell(i, k);
         if (updateColor == null) {
-          c.setValue(v); 
-        } else if (c.getValue() !== v) {
-          c.setValue(v).setFontColor(updateColor); 
+          this.setValue(i, k, v);
+        } else if (this.getValue(i, k) !== v) {
+          this.setValue(i, k, v);
+          this.setFontColor(i, k, updateColor);
         }
       }
     }
   }
 
-  /* set default values and formats */
+  /* keyed index */
 
   /**
-   * Complete a map with defaults values when specified.
+   * Return a value as an index key: a trimmed string.
    *
-   * This may create new labels in the map.
+   * @param {*} v - The value.
+   * @return {string} The key.
+   */
+  static getKey(v) {
+    return v === undefined || v === null ? '' : String(v).trim();
+  }
+
+  /**
+   * Return the index of a column: a map of key to the list of row numbers
+   *  having that key. Rows with an empty key are not indexed.
    *
-   * @param {Map} row - The row to which apply defaults.
+   * The index is built once, and maintained when the table is changed
+   *  through the DataTable.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @return {Map} The map of key to row numbers.
    */
-  applyDefaultsToMap(row) {
-    if (this.defaults != null) {
-      for (const [label, defaultValue] of this.defaults) {
-        if (!row.has(label) || row.get(label) == undefined ||
-            row.get(label).toString().trim() === '') {
-          row.set(label, defaultValue);
-        }
+  getIndex(keyLabel) {
+    this.assert(this.has(keyLabel), 'label "' + keyLabel + '" is not in the table');
+    if (!this.indexes.has(keyLabel)) {
+      const index = new Map();
+      const j = this.getMap().get(keyLabel);
+      for (const [k, row] of this.getDataAsArray().entries()) {
+        DataTable.addToIndex(index, row[j-1], k+1);
       }
+      this.indexes.set(keyLabel, index);
     }
+    return this.indexes.get(keyLabel);
   }
 
-
   /**
-   * Format a cell.
+   * Add a row to an index.
+   *
+   * @param {Map} index - The index.
+   * @param {*} v - The key value.
+   * @param {number} i - The row number.
+   */
+  static addToIndex(index, v, i) {
+    const key = DataTable.getKey(v);
+    if (key === '') {
+      return;
+    }
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(i);
+  }
+
+  /**
+   * Move a row in the index of a column, when its key changes.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @param {number} i - The row number.
+   * @param {*} oldValue - The previous key value.
+   * @param {*} newValue - The new key value.
+   */
+  updateIndex(keyLabel, i, oldValue, newValue) {
+    const index = this.indexes.get(keyLabel);
+    const oldKey = DataTable.getKey(oldValue);
+    if (index.has(oldKey)) {
+      const rows = index.get(oldKey).filter(k => k != i);
+      if (rows.length == 0) {
+        index.delete(oldKey);
+      } else {
+        index.set(oldKey, rows);
+      }
+    }
+    DataTable.addToIndex(index, newValue, i);
+  }
+
+  /**
+   * Return the rows having a given key.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @param {*} key - The key.
+   * @return {number[]} The row numbers, in increasing order.
+   */
+  findRowsByKey(keyLabel, key) {
+    const rows = this.getIndex(keyLabel).get(DataTable.getKey(key)) || [];
+    return rows.slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * Return the row having a given key, raising a DataTableCellError if the
+   *  key is duplicated.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @param {*} key - The key.
+   * @return {?number} The row number, or null if no row has that key.
+   */
+  findRowByKey(keyLabel, key) {
+    const rows = this.findRowsByKey(keyLabel, key);
+    if (rows.length > 1) {
+      throw new DataTableCellError(keyLabel, i18n([
+        `Duplicate key "${DataTable.getKey(key)}" in column "${keyLabel}" (rows ${rows.join(', ')}).`,
+        `Clé "${DataTable.getKey(key)}" en double dans la colonne "${keyLabel}" (lignes ${rows.join(', ')}).`,
+      ]));
+    }
+    return rows.length == 0 ? null : rows[0];
+  }
+
+  /**
+   * Return the duplicated keys of a column.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @return {Map} The map of duplicated key to row numbers.
+   */
+  getDuplicateKeys(keyLabel) {
+    const m = new Map();
+    for (const [key, rows] of this.getIndex(keyLabel)) {
+      if (rows.length > 1) {
+        m.set(key, rows.slice().sort((a, b) => a - b));
+      }
+    }
+    return m;
+  }
+
+  /**
+   * Update the rows having the keys found in maps, and append new rows for
+   *  the keys not in the table.
+   *
+   * The new rows are appended at once, after the updates. Maps sharing a
+   *  new key go to the same new row.
+   *
+   * A DataTableCellError is raised if a key is duplicated in the table.
+   *
+   * @param {string} keyLabel - The label of the key column.
+   * @param {Map[]} maps - The label-to-value maps, including the key.
+   * @return {number[]} The numbers of the updated or appended rows, in the
+   *                    order of the maps.
+   */
+  upsertByKey(keyLabel, maps) {
+    const rows = [];
+    /* key to maps and positions in rows, for the new keys */
+    const added = new Map();
+    for (const m of maps) {
+      const key = DataTable.getKey(m.get(keyLabel));
+      this.assert(key !== '', 'upsertByKey: empty key');
+      const i = added.has(key) ? null : this.findRowByKey(keyLabel, key);
+      if (i === null) {
+        if (!added.has(key)) {
+          added.set(key, {maps: [], positions: []});
+        }
+        added.get(key).maps.push(m);
+        added.get(key).positions.push(rows.length);
+        rows.push(null);
+      } else {
+        this.setRowFromMap(i, m);
+        rows.push(i);
+      }
+    }
+
+    if (added.size > 0) {
+      let i = this.addRows(added.size);
+      for (const {maps, positions} of added.values()) {
+        for (const m of maps) {
+          this.updateRowDataFromMap(i, m);
+        }
+        positions.forEach(k => rows[k] = i);
+        i += 1;
+      }
+    }
+    return rows;
+  }
+
+  /* summary */
+
+  /**
+   * Return the last non-empty value of a column: the value in the row with
+   *  the greatest value in an ordering column when given (e.g. a timestamp),
+   *  or the value in the bottom-most row otherwise.
+   *
+   * @param {string} label - The column label.
+   * @param {?string} orderLabel - The label of the ordering column, or null.
+   * @return {*} The value, or undefined if the column is missing or empty.
+   */
+  getLastValue(label, orderLabel=null) {
+    if (!this.has(label)) {
+      return undefined;
+    }
+    const byOrder = orderLabel != null && this.has(orderLabel);
+    let last = undefined;
+    let lastOrder = undefined;
+    for (const [i, row] of this.getDataAsMaps()) {
+      const v = row.get(label);
+      if (v === '' || v == undefined) {
+        continue;
+      }
+      const o = byOrder ? row.get(orderLabel) : i;
+      if (last === undefined || (o !== '' && (lastOrder === '' || o >= lastOrder))) {
+        last = v;
+        lastOrder = o;
+      }
+    }
+    return last;
+  }
+
+  /**
+   * Return a one-line description of the table: location, number of rows
+   *  and last status.
+   *
+   * @param {string} statusLabel - The label of the status column.
+   * @param {?string} orderLabel - The label of the column ordering statuses
+   *                               (e.g. a timestamp), or null.
+   * @return {string} The description.
+   */
+  getSummary(statusLabel, orderLabel=null) {
+    const r = this.getRange();
+    const status = this.getLastValue(statusLabel, orderLabel);
+    return r.getSheet().getName() + '!' + r.getA1Notation() + ' - ' + i18n([
+      `${this.getNumRows()} row(s) - last status: ${status === undefined ? 'none' : status}`,
+      `${this.getNumRows()} ligne(s) - dernier statut : ${status === undefined ? 'aucun' : status}`,
+    ]);
+  }
+
+  /* change history */
+
+  /**
+   * Record the changes of cell values in a log, from now on.
+   *
+   * @param {AuditLog} log - The log.
+   * @param {string} keyLabel - The label of the column identifying rows.
+   */
+  setAuditLog(log, keyLabel) {
+    this.audit = log;
+    this.auditKeyLabel = keyLabel;
+  }
+
+  /**
+   * Record the previous values of the changed cells in the manifest of a
+   *  run, from now on.
+   *
+   * Cells are recorded by row key and column label, so that they are found
+   *  again when undoing, even if rows or columns were moved since.
+   *
+   * @param {?RunManifest} manifest - The manifest, or null to stop recording.
+   * @param {?string} keyLabel - The label of the column identifying rows
+   *                             (default: the one of the log).
+   */
+  setRunManifest(manifest, keyLabel=null) {
+    this.manifest = manifest;
+    this.manifestKeyLabel = keyLabel == null ? this.auditKeyLabel : keyLabel;
+  }
+
+  /**
+   * Return the name of the table in the log: the location of its top-left
+   *  cell, e.g. "Sheet1!B2".
+   *
+   * @return {string} The name.
+   */
+  getName() {
+    const r = this.getRange();
+    return r.getSheet().getName() + '!' + r.getCell(1, 1).getA1Notation();
+  }
+
+  /**
+   * Return the label of the column identifying rows in the manifest of the
+   *  run.
+   *
+   * @return {?string} The label, or null if rows are only identified by
+   *                   their number.
+   */
+  getManifestKeyLabel() {
+    return this.manifestKeyLabel;
+  }
+
+  /**
+   * Return the key of a row in the log: the value in the key column, or
+   *  the row number (e.g. "#3") if it is empty.
+   *
+   * @param {number} i - The row number.
+   * @return {string} The key.
+   */
+  getRowKey(i) {
+    const v = this.has(this.auditKeyLabel) ?
+      DataTable.getKey(this.getValue(i, this.auditKeyLabel)) : '';
+    return v.length > 0 ? v : '#' + i;
+  }
+
+  /**
+   * Return the number of the row holding the current cell, if any.
+   *
+   * @return {?number} The row number, or null if the current cell is not in
+   *                   a data row of the table.
+   */
+  getActiveRow() {
+    const c = SpreadsheetApp.getActiveSheet().getSelection().getCurrentCell();
+    if (c == null || !SheetHelper.rangeIntersect(this.getRange(), c)) {
+      return null;
+    }
+    const i = c.getRow() - this.getRange().getRow();
+    return i >= 1 ? i : null;
+  }
+
+  /**
+   * Show the log, filtered to the changes of a row.
+   *
+   * @param {number} i - The row number.
+   */
+  showRowHistory(i) {
+    this.flushAudit();
+    AuditLog.show(this.getName(), this.getRowKey(i));
+  }
+
+  /**
+   * Record the change of a cell value, if it did change, in the log and in
+   *  the manifest of the run.
+   *
+   * In batched mode, the change is logged when the table is flushed, so
+   *  that the row key is the one written along the change (e.g. the id of a
+   *  created document); otherwise, it is logged immediately.
+   *
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @param {*} oldValue - The previous value.
+   * @param {*} newValue - The new value.
+   */
+  recordChange(i, label, oldValue, newValue) {
+    if ((this.audit == null && this.manifest == null) ||
+        AuditLog.toText(oldValue) === AuditLog.toText(newValue)) {
+      return;
+    }
+    const action = this.audit == null ? '' : this.audit.getAction();
+    this.auditPending.push([i, label, oldValue, newValue, action, new Date()]);
+    if (!this.batch) {
+      this.flushAudit();
+    }
+  }
+
+  /**
+   * Write the pending changes to the log and to the manifest of the run.
+   */
+  flushAudit() {
+    if (this.auditPending.length == 0) {
+      return;
+    }
+    const name = this.getName();
+    for (const [i, label, oldValue, newValue, action, date] of this.auditPending) {
+      if (this.audit != null) {
+        this.audit.record(name, this.getRowKey(i), label, oldValue, newValue, action, date);
+      }
+      if (this.manifest != null) {
+        this.manifest.recordCell(this, i, label, oldValue);
+      }
+    }
+    this.auditPending = [];
+    if (this.audit != null) {
+      this.audit.flush();
+    }
+    if (this.manifest != null) {
+      this.manifest.flush();
+    }
+  }
+
+  /* validation */
+
+  /**
+   * Check a row against the column schema, if any, raising a
+   *  DataTableCellError on the first invalid or missing value.
+   *
+   * @param {Map} row - The label-to-value map.
+   * @param {string=} action - The action about to be executed on the row.
+   * @param {?string[]} labels - The columns to check, or null for all columns.
+   */
+  validateRow(row, action, labels=null) {
+    if (this.schema != null) {
+      this.schema.validateMap(row, action, labels);
+    }
+  }
+
+  /* Drive references */
+
+  /**
+   * Insert a column of resolved ids next to each drive ref column of the
+   *  schema holding URLs or paths, if missing.
+   */
+  ensureResolvedColumnsExist() {
+    if (this.schema == null || this.isEmpty()) {
+      return;
+    }
+    const rows = Array.from(this.getDataAsMaps().values());
+    for (const label of this.schema.getDriveRefLabels()) {
+      const resolved = ColumnSchema.getResolvedLabel(label);
+      if (!this.has(label) || this.has(resolved)) {
+        continue;
+      }
+      if (rows.some(m => DataTable.getKey(m.get(label)) != '' &&
+          !ColumnSchema.isBareDriveId(DataTable.getKey(m.get(label))))) {
+        this.insertColumnsBefore(this.getMap().get(label) + 1, [resolved]);
+      }
+    }
+  }
+
+  /**
+   * Resolve the drive ref columns of a row given as URLs or paths, paths
+   *  starting from the folder of the spreadsheet: their values are replaced
+   *  with ids in the map.
+   *
+   * An unknown or ambiguous reference raises a DataTableCellError.
+   *
+   * @param {Map} row - The label-to-value map, updated.
+   * @return {Map} The map of the labels of the columns of resolved ids (see
+   *               ColumnSchema.getResolvedLabel) to the ids, to write back.
+   */
+  resolveDriveRefs(row) {
+    const resolved = new Map();
+    if (this.schema == null) {
+      return resolved;
+    }
+    let root = null;
+    for (const label of this.schema.getDriveRefLabels()) {
+      const ref = DataTable.getKey(row.get(label));
+      if (ref == '' || ColumnSchema.isBareDriveId(ref)) {
+        continue;
+      }
+      if (root == null) {
+        root = DriveHelper.getFirstParent(this.getRange().getSheet().getParent());
+      }
+      let id;
+      try {
+        id = DriveHelper.resolveId(ref, root, this.schema.get(label).folder === true);
+      } catch (e) {
+        throw new DataTableCellError(label, e.message);
+      }
+      Logger.log('"%s" resolved to %s', ref, id);
+      row.set(label, id);
+      resolved.set(ColumnSchema.getResolvedLabel(label), id);
+    }
+    return resolved;
+  }
+
+  /* protections */
+
+  /**
+   * Return the protections set by the table on its read-only columns.
+   *
+   * @return {Protection[]} The protections.
+   */
+  getProtections() {
+    const r = this.getRange();
+    return r.getSheet().getProtections(SpreadsheetApp.ProtectionType.RANGE)
+      .filter(function(p) {
+        return p.getDescription().startsWith(DATATABLE_PROTECTION_PREFIX) &&
+          SheetHelper.rangeIntersect(p.getRange(), r);
+      });
+  }
+
+  /**
+   * Return true if the read-only columns of the table are protected.
+   *
+   * @return {boolean} True if protected.
+   */
+  isProtected() {
+    return this.getProtections().length > 0;
+  }
+
+  /**
+   * Protect the read-only columns declared in the schema, replacing the
+   *  previous protections of the table, if any.
+   *
+   * Protections are warning-only: users editing a protected cell are warned,
+   *  but not prevented from doing so, and scripts run by any editor can still
+   *  write to these cells.
+   */
+  protectReadOnlyColumns() {
+    this.unprotectReadOnlyColumns();
+    if (this.schema == null) {
+      return;
+    }
+    for (const label of this.schema.getReadOnlyLabels()) {
+      if (this.has(label)) {
+        const p = this.getColumn(this.getMap().get(label)).protect();
+        p.setDescription(DATATABLE_PROTECTION_PREFIX + label);
+        p.setWarningOnly(true);
+        Logger.log('column "%s" protected', label);
+      }
+    }
+  }
+
+  /**
+   * Remove the protections of the read-only columns.
+   */
+  unprotectReadOnlyColumns() {
+    for (const p of this.getProtections()) {
+      p.remove();
+    }
+  }
+
+  /* set default values and formats */
+
+  /**
+   * Complete a map with defaults values when specified.
+   *
+   * This may create new labels in the map.
+   *
+   * @param {Map} row - The row to which apply defaults.
+   */
+  applyDefaultsToMap(row) {
+    if (this.defaults != null) {
+      for (const [label, defaultValue] of this.defaults) {
+        if (!row.has(label) || row.get(label) == undefined ||
+            row.get(label).toString().trim() === '') {
+          row.set(label, defaultValue);
+        }
+      }
+    }
+  }
+
+
+  /**
+   * Format a cell.
    *
    * TODO: Only automatic format are changed.
    *
@@ -587,11 +1672,43 @@ var DataTable = class DataTable {
    * @param {number} i - The row number.
    */
   setRowFormat(i) {
+    this.setRowsFormat(i, 1);
+  }
+
+  /**
+   * Format consecutive rows.
+   *
+   * In batched mode, formatting is delayed until the buffer is flushed.
+   *
+   * @param {number} i - The first row number.
+   * @param {number} nb - The number of rows.
+   */
+  setRowsFormat(i, nb) {
+    if (this.formats == null) {
+      return;
+    }
+    if (this.batch) {
+      const b = this.getBuffer();
+      for (let k = i; k < i + nb; k++) {
+        b.unformatted.add(k);
+      }
+    } else {
+      this.applyRowsFormat(i, nb);
+    }
+  }
+
+  /**
+   * Format consecutive rows, one column at a time.
+   *
+   * @param {number} i - The first row number.
+   * @param {number} nb - The number of rows.
+   */
+  applyRowsFormat(i, nb) {
     if (this.formats != null) {
       const map = this.getMap();
-      const r = this.getRow(i);
+      const r = this.getRows(i, nb);
       for (const [label, j] of map) {
-        const c = r.offset(0, j-1, 1, 1);
+        const c = r.offset(0, j-1, nb, 1);
         this.setCellFormat(c, label);
       }
     }
@@ -624,7 +1741,15 @@ var DataTable = class DataTable {
    * @param {number} i - The row number.
    */
   resetRowColor(i) {
-    this.getRow(i).setFontColor(null);
+    if (this.batch) {
+      const b = this.getBuffer();
+      b.fontColors[i-1].fill(null);
+      for (let j = 1; j <= this.getNumColumns(); j++) {
+        DataTable.markChanged(b.changedColors, i, j);
+      }
+    } else {
+      this.getRow(i).setFontColor(null);
+    }
   }
 
   /**
@@ -638,8 +1763,7 @@ var DataTable = class DataTable {
    */
   setErrorColor(i, label) {
     if (this.has(label)) {
-        const c = this.getCell(i, label);
-        c.setFontColor(DATATABLE_COLOR_ERROR);
+      this.setFontColor(i, label, DATATABLE_COLOR_ERROR);
     }
   }
 
@@ -665,19 +1789,37 @@ var DataTable = class DataTable {
    * @return {number} The new row index.
    */
   addRow() {
+    return this.addRows(1);
+  }
+
+  /**
+   * Add new, empty rows.
+   *
+   * @param {number} nb - The number of rows to add.
+   * @return {number} The index of the first new row.
+   */
+  addRows(nb) {
+    this.assert(nb > 0, 'addRows: no rows specified');
+    this.flush();
+
     const lastInTable = this.getRange().getLastRow();
     const lastInSheet = this.getRange().getSheet().getMaxRows();
 
     if (lastInTable === lastInSheet) {
-      this.getRange().getSheet().insertRowsAfter(lastInSheet, 1);
+      this.getRange().getSheet().insertRowsAfter(lastInSheet, nb);
     } else {
       const rLast = this.isEmpty() ? this.getHeader() : this.getLastRow();
-      rLast.offset(1,0).insertCells(SpreadsheetApp.Dimension.ROWS);
+      rLast.offset(1, 0, nb).insertCells(SpreadsheetApp.Dimension.ROWS);
     }
-    this.setRange(this.getRange().offset(0, 0, this.getRange().getNumRows()+1));
+    this.setRange(this.getRange().offset(0, 0, this.getRange().getNumRows()+nb));
+
+    const index = this.getNumRows() - nb + 1;
+    this.setRowsFormat(index, nb);
 
-    const index = this.getNumRows();
-    this.setRowFormat(index);
+    /* extend the protections to the new rows */
+    if (this.isProtected()) {
+      this.protectReadOnlyColumns();
+    }
 
     return index;
   }
@@ -699,9 +1841,139 @@ var DataTable = class DataTable {
    * @param {Set} rows - The set of maps.
    */
   addRowsFromSet(rows) {
+    if (rows.size == 0) {
+      return;
+    }
+    let i = this.addRows(rows.size);
     for (const row of rows) {
-      this.addRowFromMap(row);
+      this.updateRowDataFromMap(i, row);
+      i += 1;
+    }
+  }
+
+  /**
+   * Delete a row.
+   *
+   * Only the cells of the table are deleted, and cells below are shifted up,
+   *  so that other tables on the side are not disturbed.
+   *
+   * @param {number} i - The row number.
+   */
+  deleteRow(i) {
+    this.deleteRows(i, 1);
+  }
+
+  /**
+   * Delete consecutive rows.
+   *
+   * @param {number} i - The first row number.
+   * @param {number} nb - The number of rows.
+   */
+  deleteRows(i, nb) {
+    this.assert(nb > 0, 'deleteRows: no rows specified');
+    this.assert((1 <= i) && (i + nb - 1 <= this.getNumRows()),
+        'deleteRows: rows ' + i + '-' + (i + nb - 1) + ' outside table range');
+    this.flush();
+
+    this.getRows(i, nb).deleteCells(SpreadsheetApp.Dimension.ROWS);
+    this.setRange(this.getRange().offset(0, 0, this.getRange().getNumRows() - nb));
+    /* row numbers have changed */
+    this.indexes.clear();
+
+    Logger.log('deleted %s row(s) at %s', nb, i);
+  }
+
+  /**
+   * Delete the rows matching a condition.
+   *
+   * @param {function(Map, number): boolean} predicate - The condition, called
+   *                        with the label-to-value map and the row number.
+   * @return {number} The number of deleted rows.
+   */
+  deleteRowsWhere(predicate) {
+    const rows = [];
+    for (const [i, m] of this.getDataAsMaps()) {
+      if (predicate(m, i)) {
+        rows.push(i);
+      }
+    }
+    /* bottom-up, so row numbers of remaining runs are still valid */
+    for (const [i, nb] of DataTable.getRuns(rows).reverse()) {
+      this.deleteRows(i, nb);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Delete the rows whose item (file, folder, course...) no longer exists.
+   *
+   * When the existence of an item cannot be checked, e.g. on a permission or
+   *  backend error, its row is kept, and the error is written in its status.
+   *
+   * @param {function(Map, number): boolean} isGone - The function telling
+   *                        whether the item of a row no longer exists, called
+   *                        with the label-to-value map and the row number,
+   *                        raising an error when it cannot tell.
+   * @param {string} statusLabel - The label of the status column.
+   * @return {Object} The number of deleted rows, and of rows that could not
+   *                  be checked: {deleted, errors}.
+   */
+  pruneRows(isGone, statusLabel) {
+    const gone = new Set();
+    const errors = new Map();
+    for (const [i, m] of this.getDataAsMaps()) {
+      try {
+        if (isGone(m, i)) {
+          gone.add(i);
+        }
+      } catch (e) {
+        Logger.log('Cannot check row %s: %s', i, e);
+        errors.set(i, e.message === undefined ? String(e) : e.message);
+      }
     }
+
+    /* report the errors first, as deleting rows moves the next ones */
+    if (errors.size > 0) {
+      this.ensureColumnExists(statusLabel);
+      for (const [i, message] of errors) {
+        this.setValue(i, statusLabel, i18n([
+          `Not deleted, cannot check whether it still exists: ${message}`,
+          `Non supprimée, impossible de vérifier son existence : ${message}`,
+        ]));
+        this.setErrorColor(i, statusLabel);
+      }
+    }
+
+    const deleted = this.deleteRowsWhere((m, i) => gone.has(i));
+    return {deleted: deleted, errors: errors.size};
+  }
+
+  /**
+   * Delete a column.
+   *
+   * Only the cells of the table are deleted, and cells on the right are
+   *  shifted left, so that other tables below or above are not disturbed.
+   *
+   * @param {string} label - The column label.
+   */
+  deleteColumn(label) {
+    this.assert(this.has(label), 'label "' + label + '" is not in the table');
+    this.assert(this.getNumColumns() > 1, 'deleteColumn: cannot delete the last column');
+    this.flush();
+
+    const j = this.getMap().get(label);
+    this.getColumn(j).deleteCells(SpreadsheetApp.Dimension.COLUMNS);
+    this.setRange(this.getRange().offset(0, 0, this.getRange().getNumRows(),
+        this.getRange().getNumColumns() - 1));
+    this.map = null;
+    this.indexes.delete(label);
+
+    /* deletion may have left the protection of that column dangling */
+    if (this.schema != null && this.schema.isReadOnly(label)) {
+      this.protectReadOnlyColumns();
+    }
+
+    Logger.log('deleted column "%s"', label);
   }
 
   /**
@@ -719,6 +1991,8 @@ var DataTable = class DataTable {
     const m = labels.length; /* number of columns to insert */
     this.assert(m > 0, 'insertColumnsBefore: no columns specified');
 
+    this.flush();
+
     let r = null; /* first column of the inserted columns */
 
     if (j == n+1) {
@@ -753,6 +2027,11 @@ var DataTable = class DataTable {
     for (const label of labels) {
       this.setColumnFormat(label);
     }
+
+    /* protect the new columns, and extend the other protections */
+    if (this.schema != null && labels.some(label => this.schema.isReadOnly(label))) {
+      this.protectReadOnlyColumns();
+    }
   }
 
   /**
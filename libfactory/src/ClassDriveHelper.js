@@ -35,6 +35,62 @@ var DriveHelper = class DriveHelper {
     return matches[1];
   }
 
+  /**
+   * Return the id of a file or folder given by its id, a URL, or a path of
+   *  names separated by "/" from a root folder, e.g. "Templates/Certificates/2024".
+   *
+   * A path is ambiguous, and rejected, when a folder of the path holds
+   *  several items with the next name.
+   *
+   * @param {string} ref - The id, URL or path.
+   * @param {Folder} root - The folder paths start from.
+   * @param {boolean=} isFolder - True if the path leads to a folder, false for a file.
+   * @return {string} The id.
+   */
+  static resolveId(ref, root, isFolder=false) {
+    const s = ref.trim();
+    if (/^[-\w]{25,}$/.test(s)) {
+      return s;
+    }
+    if (/^\w+:\/\//.test(s)) {
+      return DriveHelper.getIdfromUrl(s);
+    }
+
+    const names = s.split('/').map(name => name.trim()).filter(name => name != '');
+    if (names.length == 0) {
+      throw new Error(i18n([
+        `Empty path "${s}".`,
+        `Chemin vide "${s}".`,
+      ]));
+    }
+    let item = root;
+    names.forEach((name, k) => {
+      const it = k == names.length - 1 && !isFolder ?
+        item.getFilesByName(name) : item.getFoldersByName(name);
+      const found = [];
+      while (it.hasNext()) {
+        const next = it.next();
+        if (!next.isTrashed()) {
+          found.push(next);
+        }
+      }
+      if (found.length == 0) {
+        throw new Error(i18n([
+          `Path "${s}": no "${name}" in folder "${item.getName()}".`,
+          `Chemin "${s}" : pas de "${name}" dans le dossier "${item.getName()}".`,
+        ]));
+      }
+      if (found.length > 1) {
+        throw new Error(i18n([
+          `Ambiguous path "${s}": ${found.length} items named "${name}" in folder "${item.getName()}".`,
+          `Chemin ambigu "${s}" : ${found.length} éléments nommés "${name}" dans le dossier "${item.getName()}".`,
+        ]));
+      }
+      item = found[0];
+    });
+    return item.getId();
+  }
+
   /**
    * Get a folder by id, or null if it does not exist
    *
@@ -49,6 +105,42 @@ var DriveHelper = class DriveHelper {
     return null;
   }
 
+  /**
+   * Get a file by id, or null if it does not exist
+   *
+   */
+  static getFileByIdNoFail(id)
+  {
+    try {
+      var file = DriveApp.getFileById(id);
+      return file;
+    } catch(e) {
+    }
+    return null;
+  }
+
+  /**
+   * Return true if a file or folder does not exist or is trashed
+   *
+   * The Drive advanced service tells a missing item apart from other errors
+   *  (permission denied, quota, backend error), which are raised.
+   *
+   * @param {string} id - The id of the file or folder.
+   * @return {boolean} True if the item does not exist or is trashed.
+   */
+  static isGoneById(id) {
+    let item;
+    try {
+      item = Drive.Files.get(id, {supportsAllDrives: true});
+    } catch (e) {
+      if (isNotFoundError(e)) {
+        return true;
+      }
+      throw e;
+    }
+    return item.labels.trashed === true;
+  }
+
   /**
    * Return the first parent folder of a folder or a file
    *
@@ -156,6 +248,40 @@ var DriveHelper = class DriveHelper {
     }
   }
 
+  /**
+   * Return the emails of the editors, viewers and commenters of a file
+   *
+   */
+  static getAccessLists(file) {
+    return {
+      editors: file.getEditors().map(user => user.getEmail()),
+      viewers: file.getViewers()
+        .filter(user => file.getAccess(user) !== DriveApp.Permission.COMMENT)
+        .map(user => user.getEmail()),
+      commenters: DriveHelper.getCommenters(file).map(user => user.getEmail()),
+    };
+  }
+
+  /**
+   * Set the editors, viewers and commenters of a file, as returned by
+   *  getAccessLists, keeping one user
+   *
+   */
+  static setAccessLists(file, lists, userToKeep) {
+    DriveHelper.removeAllViewersFrom(file, userToKeep);
+    DriveHelper.removeAllCommentersFrom(file, userToKeep);
+    DriveHelper.removeAllEditorsFrom(file, userToKeep);
+    for (const email of lists.commenters) {
+      DriveHelper.addCommenterQuiet(email, file);
+    }
+    for (const email of lists.viewers) {
+      DriveHelper.addViewerQuiet(email, file);
+    }
+    for (const email of lists.editors) {
+      DriveHelper.addEditorQuiet(email, file);
+    }
+  }
+
   /**
    * Remove all editors but one
    *
@@ -350,18 +476,44 @@ var DriveHelper = class DriveHelper {
   static trashByIdNoFail(id) {
     try {
       const file = DriveApp.getFileById(id);
-      DriverHelper.trashNoFail(file);
+      DriveHelper.trashNoFail(file);
     } catch (e) {
     }
   }
 
+  /**
+   * Export a Google file to another format.
+   *
+   * @param {string} id - The id of the file.
+   * @param {string} mime - The MIME type of the format, e.g. 'application/pdf'.
+   * @return {Blob} The exported content.
+   */
   static getBlobAs(id, mime) {
-    const url = 'https://www.googleapis.com/drive/v3/files/' + id + '/export?mimeType=' + mime;
-    const blob = UrlFetchApp.fetch(url, {
+    const url = 'https://www.googleapis.com/drive/v3/files/' + id + '/export?mimeType=' + encodeURIComponent(mime);
+    const response = UrlFetchApp.fetch(url, {
       method: 'get',
       headers: {'Authorization': 'Bearer ' + ScriptApp.getOAuthToken()},
       muteHttpExceptions: true
-    }).getBlob();
-    return blob;
+    });
+    if (response.getResponseCode() != 200) {
+      throw new Error(i18n([
+        'Cannot export to ' + mime + ': ' + response.getContentText(),
+        'Impossible d\'exporter en ' + mime + ' : ' + response.getContentText(),
+      ]));
+    }
+    return response.getBlob().setContentType(mime);
+  }
+
+  /**
+   * Upload new content to a file, as a new revision: the id, URL, name and
+   *  permissions of the file are kept (uses the Drive advanced service).
+   *
+   * @param {File} file - The file.
+   * @param {Blob} blob - The new content.
+   * @return {File} The file.
+   */
+  static updateContent(file, blob) {
+    Drive.Files.update({}, file.getId(), blob);
+    return file;
   }
 }
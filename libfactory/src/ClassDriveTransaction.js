@@ -0,0 +1,219 @@
+/**
+ * Class DriveTransaction
+ *
+ * A DriveTransaction registers the side effects of a sequence of Drive
+ * operations, e.g. a merge, so that they can be rolled back if one of the
+ * operations fails.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Usage:
+ *   const tx = new DriveTransaction();
+ *   try {
+ *     tx.begin('copy the template');
+ *     tx.registerCreated(template.makeCopy());
+ *     ...
+ *   } catch (e) {
+ *     throw tx.fail(e);
+ *   }
+ *
+ * Note:
+ *  - a side effect is registered before it happens when it changes an
+ *    existing file (content, access rights, parents, owner), and after it happens
+ *    when it creates a file.
+ *  - rolling back is done in reverse order, and on a best effort basis: an
+ *    error while rolling back is logged, and the rollback goes on.
+ */
+
+/**
+ * Class representing the side effects of Drive operations.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var DriveTransaction = class DriveTransaction {
+  /**
+   * Create a DriveTransaction.
+   */
+  constructor() {
+    /* functions rolling back the side effects, in registration order */
+    this.undos = [];
+    /* files created within the transaction */
+    this.created = [];
+    /* name of the current step */
+    this.step = null;
+  }
+
+  /**
+   * Start a new step, whose name is reported if it fails.
+   *
+   * @param {string} step - The name of the step, e.g. "set the owner".
+   */
+  begin(step) {
+    Logger.log('DriveTransaction: %s', step);
+    this.step = step;
+  }
+
+  /**
+   * Return the name of the current step.
+   *
+   * @return {?string} The step name.
+   */
+  getStep() {
+    return this.step;
+  }
+
+  /* registration */
+
+  /**
+   * Register a function rolling back a side effect.
+   *
+   * @param {string} description - The description of the rollback, for the log.
+   * @param {function()} f - The function.
+   */
+  register(description, f) {
+    this.undos.push([description, f]);
+  }
+
+  /**
+   * Register a file created within the transaction, trashed on rollback.
+   *
+   * @param {File} file - The file.
+   * @return {File} The file.
+   */
+  registerCreated(file) {
+    this.created.push(file);
+    this.register('trash "' + file.getName() + '"', function() {
+      file.setTrashed(true);
+    });
+    return file;
+  }
+
+  /**
+   * Return true if a file has been created within the transaction.
+   *
+   * @param {File} file - The file.
+   * @return {boolean} True if the file has been created.
+   */
+  isCreated(file) {
+    return this.created.some(f => f.getId() == file.getId());
+  }
+
+  /**
+   * Register the trash state of a file, before it changes.
+   *
+   * @param {File} file - The file.
+   */
+  registerTrashed(file) {
+    const trashed = file.isTrashed();
+    this.register('restore the trash state of "' + file.getName() + '"', function() {
+      file.setTrashed(trashed);
+    });
+  }
+
+  /**
+   * Register the content of a file, before it changes.
+   *
+   * @param {File} file - The file.
+   */
+  registerContent(file) {
+    const blob = file.getBlob();
+    this.register('restore the content of "' + file.getName() + '"', function() {
+      DriveHelper.updateContent(file, blob);
+    });
+  }
+
+  /**
+   * Register the editors, viewers and commenters of a file, before they change.
+   *
+   * @param {File} file - The file.
+   */
+  registerAccess(file) {
+    const lists = DriveHelper.getAccessLists(file);
+    this.register('restore the access rights of "' + file.getName() + '"', function() {
+      DriveHelper.setAccessLists(file, lists, Session.getActiveUser());
+    });
+  }
+
+  /**
+   * Register the parent folders of a file, before they change.
+   *
+   * @param {File} file - The file.
+   */
+  registerParents(file) {
+    const parents = [];
+    const it = file.getParents();
+    while (it.hasNext()) {
+      parents.push(it.next());
+    }
+    this.register('restore the folders of "' + file.getName() + '"', function() {
+      DriveHelper.removeAllParentsFromFile(file);
+      for (const folder of parents) {
+        folder.addFile(file);
+      }
+    });
+  }
+
+  /**
+   * Register the owner of a file, before it changes.
+   *
+   * @param {File} file - The file.
+   */
+  registerOwner(file) {
+    const owner = file.getOwner().getEmail();
+    this.register('restore the owner of "' + file.getName() + '"', function() {
+      DriveHelper.setOwnerQuiet(owner, file);
+    });
+  }
+
+  /* rollback */
+
+  /**
+   * Roll back the registered side effects, in reverse order.
+   *
+   * @return {number} The number of side effects that could not be rolled back.
+   */
+  rollback() {
+    let errors = 0;
+    for (const [description, f] of this.undos.slice().reverse()) {
+      try {
+        Logger.log('DriveTransaction: rollback: %s', description);
+        f();
+      } catch (e) {
+        Logger.log('DriveTransaction: cannot %s: %s', description, e);
+        errors += 1;
+      }
+    }
+    this.undos = [];
+    this.created = [];
+    return errors;
+  }
+
+  /**
+   * Roll back the transaction after an error, and return an error stating
+   *  the failed step.
+   *
+   * A DataTableCellError keeps its label, so that the cell can be marked.
+   *
+   * @param {Error|DataTableCellError} e - The error.
+   * @return {Error|DataTableCellError} The error to throw.
+   */
+  fail(e) {
+    const errors = this.rollback();
+    const message = e.message === undefined ? String(e) : e.message;
+    let text = this.step == null ? message : i18n([
+      `Step "${this.step}" failed: ${message}`,
+      `Échec de l'étape "${this.step}" : ${message}`,
+    ]);
+    if (errors > 0) {
+      text += ' ' + i18n([
+        `(${errors} change(s) could not be rolled back, see the execution log)`,
+        `(${errors} modification(s) n'ont pas pu être annulée(s), voir le journal d'exécution)`,
+      ]);
+    }
+    return e.name == 'DataTableCellError' ? new DataTableCellError(e.label, text) : new Error(text);
+  }
+};
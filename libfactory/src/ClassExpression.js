@@ -0,0 +1,517 @@
+/**
+ * Class Expression
+ *
+ * An Expression is a small formula computing a value from the values of a
+ * row, e.g. to derive merge fields from other columns.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Syntax:
+ *  - literals: "text" (a double quote is written \"), 12, 3.5, TRUE, FALSE;
+ *  - column values: [Column Name], or Name if the name has no blanks;
+ *  - operators, by increasing precedence: comparison (= <> < > <= >=),
+ *    concatenation (&), addition and subtraction (+ -), multiplication and
+ *    division (* /), negation (-);
+ *  - functions: IF(condition, then, else), AND(...), OR(...), NOT(value),
+ *    UPPER(text), LOWER(text), TRIM(text),
+ *    DATE(date, pattern, lang), e.g. DATE([Due], "EEEE d MMMM yyyy", "fr").
+ *
+ * Note:
+ *  - there is no way to call Apps Script or JavaScript code from an
+ *    expression: expressions are parsed, then interpreted.
+ */
+
+/* month and day names for date patterns, by language */
+const EXPRESSION_MONTHS = new Map([
+  ['en', ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December']],
+  ['fr', ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet',
+    'août', 'septembre', 'octobre', 'novembre', 'décembre']],
+]);
+const EXPRESSION_DAYS = new Map([
+  ['en', ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']],
+  ['fr', ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche']],
+]);
+
+/* names of the supported functions */
+const EXPRESSION_FUNCTIONS = ['IF', 'AND', 'OR', 'NOT', 'UPPER', 'LOWER', 'TRIM', 'DATE'];
+
+/**
+ * Class representing a parsed expression.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var Expression = class Expression {
+  /**
+   * Create an Expression, parsing its source.
+   *
+   * An Error is raised if the source is not a valid expression.
+   *
+   * @param {string} source - The source of the expression.
+   */
+  constructor(source) {
+    this.source = source;
+    this.tokens = Expression.tokenize(source);
+    this.pos = 0;
+    this.ast = this.parseComparison();
+    if (this.pos < this.tokens.length) {
+      this.fail(i18n(['unexpected ', 'inattendu : ']) + this.tokens[this.pos].text);
+    }
+    this.tokens = null;
+  }
+
+  /* static members: lexer */
+
+  /**
+   * Split a source string into tokens.
+   *
+   * @param {string} source - The source of the expression.
+   * @return {Object[]} The tokens, each one being {type, text, value}.
+   */
+  static tokenize(source) {
+    const tokens = [];
+    const re = /\s*(?:(\d+(?:\.\d+)?)|"((?:[^"\\]|\\.)*)"|\[([^\]]*)\]|([A-Za-z_À-ɏ][\wÀ-ɏ]*)|(<>|<=|>=|[-+*\/&=<>(),]))/y;
+    let m;
+    let last = 0;
+    while (last < source.length && (m = re.exec(source)) !== null) {
+      if (m[1] !== undefined) {
+        tokens.push({type: 'num', text: m[1], value: Number(m[1])});
+      } else if (m[2] !== undefined) {
+        tokens.push({type: 'str', text: m[0].trim(), value: m[2].replace(/\\(.)/g, '$1')});
+      } else if (m[3] !== undefined) {
+        tokens.push({type: 'col', text: m[0].trim(), value: m[3].trim()});
+      } else if (m[4] !== undefined) {
+        tokens.push({type: 'id', text: m[4], value: m[4]});
+      } else if (m[5] !== undefined) {
+        tokens.push({type: 'op', text: m[5], value: m[5]});
+      }
+      last = re.lastIndex;
+    }
+    if (source.slice(last).trim() !== '') {
+      throw new Error(i18n([
+        `Invalid expression "${source}": unexpected "${source.slice(last).trim()}"`,
+        `Expression invalide "${source}" : "${source.slice(last).trim()}" inattendu`,
+      ]));
+    }
+    return tokens;
+  }
+
+  /* parser */
+
+  /**
+   * Raise a syntax error.
+   *
+   * @param {string} message - The error message.
+   */
+  fail(message) {
+    throw new Error(i18n([
+      `Invalid expression "${this.source}": ${message}`,
+      `Expression invalide "${this.source}" : ${message}`,
+    ]));
+  }
+
+  /**
+   * Return the next token if it is a given operator, and skip it.
+   *
+   * @param {string[]} ops - The operators.
+   * @return {?string} The operator, or null.
+   */
+  accept(ops) {
+    const t = this.tokens[this.pos];
+    if (t !== undefined && t.type == 'op' && ops.includes(t.value)) {
+      this.pos++;
+      return t.value;
+    }
+    return null;
+  }
+
+  /**
+   * Skip the next token, which must be a given operator.
+   *
+   * @param {string} op - The operator.
+   */
+  expect(op) {
+    if (this.accept([op]) === null) {
+      const t = this.tokens[this.pos];
+      this.fail(i18n(['expecting ', 'attendu : ']) + op +
+        (t === undefined ? '' : i18n([', found ', ', trouvé : ']) + t.text));
+    }
+  }
+
+  /*
+   * recursive descent parser, one method per precedence level, each one
+   * returning a node: {value}, {column}, {call, args} or {op, args}
+   */
+
+  parseComparison() {
+    const left = this.parseConcat();
+    const op = this.accept(['=', '<>', '<', '>', '<=', '>=']);
+    return op === null ? left : {op: op, args: [left, this.parseConcat()]};
+  }
+
+  parseConcat() {
+    let node = this.parseAdditive();
+    while (this.accept(['&']) !== null) {
+      node = {op: '&', args: [node, this.parseAdditive()]};
+    }
+    return node;
+  }
+
+  parseAdditive() {
+    let node = this.parseTerm();
+    let op;
+    while ((op = this.accept(['+', '-'])) !== null) {
+      node = {op: op, args: [node, this.parseTerm()]};
+    }
+    return node;
+  }
+
+  parseTerm() {
+    let node = this.parseUnary();
+    let op;
+    while ((op = this.accept(['*', '/'])) !== null) {
+      node = {op: op, args: [node, this.parseUnary()]};
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept(['-']) !== null) {
+      return {op: 'neg', args: [this.parseUnary()]};
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const t = this.tokens[this.pos];
+    if (t === undefined) {
+      this.fail(i18n(['unexpected end', 'fin inattendue']));
+    }
+    if (this.accept(['(']) !== null) {
+      const node = this.parseComparison();
+      this.expect(')');
+      return node;
+    }
+    this.pos++;
+    switch (t.type) {
+      case 'num':
+      case 'str':
+        return {value: t.value};
+      case 'col':
+        return {column: t.value};
+      case 'id':
+        if (['TRUE', 'FALSE'].includes(t.value.toUpperCase())) {
+          return {value: t.value.toUpperCase() == 'TRUE'};
+        }
+        if (this.accept(['(']) !== null) {
+          const name = t.value.toUpperCase();
+          if (!EXPRESSION_FUNCTIONS.includes(name)) {
+            this.fail(i18n(['unknown function ', 'fonction inconnue : ']) + t.value);
+          }
+          const args = [];
+          if (this.accept([')']) === null) {
+            do {
+              args.push(this.parseComparison());
+            } while (this.accept([',']) !== null);
+            this.expect(')');
+          }
+          return {call: name, args: args};
+        }
+        return {column: t.value};
+      default:
+        this.fail(i18n(['unexpected ', 'inattendu : ']) + t.text);
+    }
+  }
+
+  /* evaluation */
+
+  /**
+   * Evaluate the expression on a row.
+   *
+   * An Error is raised if a column is missing or a value is invalid.
+   *
+   * @param {Map} m - The label-to-value map.
+   * @return {string|number|boolean|Date} The value.
+   */
+  evaluate(m) {
+    return this.evaluateNode(this.ast, m);
+  }
+
+  /**
+   * Return the names of the columns used by the expression.
+   *
+   * @return {string[]} The column names, without duplicates.
+   */
+  getColumns() {
+    const columns = new Set();
+    const walk = function(node) {
+      if ('column' in node) {
+        columns.add(node.column);
+      }
+      for (const arg of node.args || []) {
+        walk(arg);
+      }
+    };
+    walk(this.ast);
+    return Array.from(columns);
+  }
+
+  /**
+   * Raise an evaluation error.
+   *
+   * @param {string} message - The error message.
+   */
+  error(message) {
+    throw new Error(i18n([
+      `Cannot evaluate "${this.source}": ${message}`,
+      `Impossible d'évaluer "${this.source}" : ${message}`,
+    ]));
+  }
+
+  evaluateNode(node, m) {
+    if ('value' in node) {
+      return node.value;
+    }
+    if ('column' in node) {
+      return this.getColumnValue(node.column, m);
+    }
+    if ('call' in node) {
+      return this.call(node.call, node.args, m);
+    }
+    const args = node.args.map(arg => this.evaluateNode(arg, m));
+    switch (node.op) {
+      case '&':
+        return Expression.toText(args[0]) + Expression.toText(args[1]);
+      case '+':
+        return this.toNumber(args[0]) + this.toNumber(args[1]);
+      case '-':
+        return this.toNumber(args[0]) - this.toNumber(args[1]);
+      case '*':
+        return this.toNumber(args[0]) * this.toNumber(args[1]);
+      case '/':
+        if (this.toNumber(args[1]) == 0) {
+          this.error(i18n(['division by zero', 'division par zéro']));
+        }
+        return this.toNumber(args[0]) / this.toNumber(args[1]);
+      case 'neg':
+        return -this.toNumber(args[0]);
+      default:
+        return Expression.compare(node.op, args[0], args[1]);
+    }
+  }
+
+  /**
+   * Return the value of a column, matching its name exactly, or otherwise
+   *  case-insensitively.
+   *
+   * @param {string} name - The column name.
+   * @param {Map} m - The label-to-value map.
+   * @return {*} The value.
+   */
+  getColumnValue(name, m) {
+    if (m.has(name)) {
+      return m.get(name) == undefined ? '' : m.get(name);
+    }
+    const lower = name.toLowerCase();
+    for (const [k, v] of m) {
+      if (String(k).toLowerCase() == lower) {
+        return v == undefined ? '' : v;
+      }
+    }
+    this.error(i18n(['unknown column ', 'colonne inconnue : ']) + name);
+  }
+
+  /**
+   * Call a function.
+   *
+   * Arguments are evaluated lazily, so IF only evaluates one branch.
+   *
+   * @param {string} name - The function name, in upper case.
+   * @param {Object[]} args - The arguments, not evaluated.
+   * @param {Map} m - The label-to-value map.
+   * @return {*} The value.
+   */
+  call(name, args, m) {
+    const arg = k => this.evaluateNode(args[k], m);
+    const arity = (min, max) => {
+      if (args.length < min || args.length > max) {
+        this.error(i18n([
+          `wrong number of arguments for ${name}`,
+          `nombre d'arguments incorrect pour ${name}`,
+        ]));
+      }
+    };
+    switch (name) {
+      case 'IF':
+        arity(2, 3);
+        if (Expression.isTrue(arg(0))) {
+          return arg(1);
+        }
+        return args.length == 3 ? arg(2) : '';
+      case 'AND':
+        return args.every((a, k) => Expression.isTrue(arg(k)));
+      case 'OR':
+        return args.some((a, k) => Expression.isTrue(arg(k)));
+      case 'NOT':
+        arity(1, 1);
+        return !Expression.isTrue(arg(0));
+      case 'UPPER':
+        arity(1, 1);
+        return Expression.toText(arg(0)).toUpperCase();
+      case 'LOWER':
+        arity(1, 1);
+        return Expression.toText(arg(0)).toLowerCase();
+      case 'TRIM':
+        arity(1, 1);
+        return Expression.toText(arg(0)).trim();
+      case 'DATE':
+        arity(2, 3);
+        return Expression.formatDate(this.toDate(arg(0)), Expression.toText(arg(1)),
+          args.length == 3 ? Expression.toText(arg(2)) : Session.getActiveUserLocale());
+    }
+  }
+
+  /* conversions */
+
+  /**
+   * Return a value as a number, raising an error if it is not a number.
+   *
+   * @param {*} v - The value.
+   * @return {number} The number.
+   */
+  toNumber(v) {
+    const n = typeof v == 'number' ? v : Number(String(v).trim().replace(',', '.'));
+    if (String(v).trim() === '' || isNaN(n)) {
+      this.error(i18n([`"${v}" is not a number`, `"${v}" n'est pas un nombre`]));
+    }
+    return n;
+  }
+
+  /**
+   * Return a value as a date, raising an error if it is not a date.
+   *
+   * @param {*} v - The value.
+   * @return {Date} The date.
+   */
+  toDate(v) {
+    const d = v instanceof Date ? v : new Date(String(v).trim());
+    if (isNaN(d)) {
+      this.error(i18n([`"${v}" is not a date`, `"${v}" n'est pas une date`]));
+    }
+    return d;
+  }
+
+  /**
+   * Return a value as a string.
+   *
+   * @param {*} v - The value.
+   * @return {string} The string.
+   */
+  static toText(v) {
+    if (v === true || v === false) {
+      return v ? 'TRUE' : 'FALSE';
+    }
+    return v == undefined ? '' : String(v);
+  }
+
+  /**
+   * Return true if a value is considered true: TRUE, a non-zero number, or
+   *  a non-empty text other than "FALSE" and "0".
+   *
+   * @param {*} v - The value.
+   * @return {boolean} The truth value.
+   */
+  static isTrue(v) {
+    if (typeof v == 'boolean') {
+      return v;
+    }
+    if (typeof v == 'number') {
+      return v != 0;
+    }
+    const s = Expression.toText(v).trim();
+    return s !== '' && s !== '0' && s.toUpperCase() !== 'FALSE';
+  }
+
+  /**
+   * Compare two values, as numbers if both are numbers, as texts otherwise.
+   *
+   * @param {string} op - The comparison operator.
+   * @param {*} a - The first value.
+   * @param {*} b - The second value.
+   * @return {boolean} The result of the comparison.
+   */
+  static compare(op, a, b) {
+    const isNum = v => typeof v == 'number' ||
+      (Expression.toText(v).trim() !== '' && !isNaN(Number(Expression.toText(v).trim())));
+    let x;
+    let y;
+    if (isNum(a) && isNum(b)) {
+      x = Number(a);
+      y = Number(b);
+    } else {
+      x = Expression.toText(a);
+      y = Expression.toText(b);
+    }
+    switch (op) {
+      case '=':
+        return x == y;
+      case '<>':
+        return x != y;
+      case '<':
+        return x < y;
+      case '>':
+        return x > y;
+      case '<=':
+        return x <= y;
+      case '>=':
+        return x >= y;
+    }
+  }
+
+  /**
+   * Format a date using a pattern, with month and day names in a given
+   *  language (English or French), in the time zone of the spreadsheet.
+   *
+   * Pattern letters: yyyy yy (year), MMMM MMM MM M (month), dd d (day),
+   *  EEEE EEE (day of the week), HH H (hours), mm (minutes), ss (seconds).
+   *  Text between single quotes is copied as is.
+   *
+   * @param {Date} d - The date.
+   * @param {string} pattern - The pattern.
+   * @param {string} lang - The language.
+   * @return {string} The formatted date.
+   */
+  static formatDate(d, pattern, lang) {
+    const tz = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+    const [year, month, day, weekday, hours, minutes, seconds] =
+      Utilities.formatDate(d, tz, 'yyyy-M-d-u-H-m-s').split('-').map(Number);
+    const l = EXPRESSION_MONTHS.has(lang) ? lang : 'en';
+    const months = EXPRESSION_MONTHS.get(l);
+    const days = EXPRESSION_DAYS.get(l);
+    const pad = n => (n < 10 ? '0' : '') + n;
+    const abbr = s => l == 'fr' ? (s.length > 4 ? s.slice(0, 3) + '.' : s) : s.slice(0, 3);
+    return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|mm|ss|'[^']*'/g, function(token) {
+      switch (token) {
+        case 'yyyy': return String(year);
+        case 'yy': return pad(year % 100);
+        case 'MMMM': return months[month-1];
+        case 'MMM': return abbr(months[month-1]);
+        case 'MM': return pad(month);
+        case 'M': return String(month);
+        case 'dd': return pad(day);
+        case 'd': return String(day);
+        case 'EEEE': return days[weekday-1];
+        case 'EEE': return abbr(days[weekday-1]);
+        case 'HH': return pad(hours);
+        case 'H': return String(hours);
+        case 'mm': return pad(minutes);
+        case 'ss': return pad(seconds);
+        default: return token.slice(1, -1);
+      }
+    });
+  }
+};
@@ -0,0 +1,306 @@
+/**
+ * Class JobRunner
+ *
+ * A JobRunner processes the rows of a data table across several executions,
+ * so that long jobs are not killed by the Apps Script execution time limit.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Note:
+ *  - the job state (next row, counters, start time, table location) is
+ *    checkpointed in a Properties store, which is provided by the caller, as
+ *    PropertiesService used from a library accesses the library's own stores.
+ *  - a job is resumed by a time-based trigger calling a global function of
+ *    the caller, whose name is given to the constructor.
+ *  - a job ending in an execution started by the trigger has no UI to show
+ *    its report, which is then kept in the Properties store, until it is shown
+ *    by showKeptReport, e.g. on the next menu call.
+ */
+
+/* time budget for one execution, leaving room to flush the table (the limit is 6 minutes) */
+const JOBRUNNER_TIME_BUDGET = 4.5 * 60 * 1000;
+
+/* number of rows processed between two flushes of the work done */
+const JOBRUNNER_FLUSH_ROWS = 10;
+
+/* delay before a suspended job is resumed */
+const JOBRUNNER_RESUME_DELAY = 60 * 1000;
+
+/* suffix of the property key holding the report of a job ended without UI */
+const JOBRUNNER_REPORT_SUFFIX = '.report';
+
+/**
+ * Class representing a resumable job.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var JobRunner = class JobRunner {
+  /**
+   * Create a JobRunner.
+   * @param {string} name - The name of the job, used as a property key.
+   * @param {string} handler - The name of the global function resuming the job.
+   * @param {Properties} props - The Properties store holding the job state.
+   * @param {number=} budget - The time budget of one execution, in milliseconds.
+   */
+  constructor(name, handler, props, budget=JOBRUNNER_TIME_BUDGET) {
+    this.name = name;
+    this.handler = handler;
+    this.props = props;
+    this.budget = budget;
+    /* start of the current execution */
+    this.t0 = Date.now();
+    /* job state, or null if no job is running */
+    this.state = null;
+    this.counters = new Map();
+  }
+
+  /**
+   * Start a new job, discarding the previous one, if any.
+   *
+   * @param {Object=} options - Job options, kept across executions.
+   */
+  start(options={}) {
+    this.deleteTriggers();
+    this.state = {
+      next: 1,
+      counters: {},
+      errors: 0,
+      start: Date.now(),
+      sheetId: null,
+      a1: null,
+      options: options,
+    };
+    this.counters = new Map();
+    this.save();
+    Logger.log('Job "%s" started', this.name);
+  }
+
+  /**
+   * Load the state of a suspended job.
+   *
+   * @return {boolean} True if a job was found.
+   */
+  resume() {
+    const s = this.props.getProperty(this.name);
+    if (s == null) {
+      Logger.log('Job "%s" not found', this.name);
+      return false;
+    }
+    this.state = JSON.parse(s);
+    this.counters = new Map(Object.entries(this.state.counters));
+    Logger.log('Job "%s" resumed at row %s', this.name, this.state.next);
+    return true;
+  }
+
+  /**
+   * Save the state of the job.
+   */
+  save() {
+    this.state.counters = Object.fromEntries(this.counters);
+    this.props.setProperty(this.name, JSON.stringify(this.state));
+  }
+
+  /* getters */
+
+  /**
+   * Return the start date of the job (not of the current execution).
+   *
+   * @return {Date} The start date.
+   */
+  getStartDate() {
+    return new Date(this.state.start);
+  }
+
+  /**
+   * Return the options given when the job was started.
+   *
+   * @return {Object} The options.
+   */
+  getOptions() {
+    return this.state.options;
+  }
+
+  /**
+   * Return the counters of the job.
+   *
+   * @return {Map} The map of counter name to value.
+   */
+  getCounters() {
+    return this.counters;
+  }
+
+  /**
+   * Return the number of errors.
+   *
+   * @return {number} The number of errors.
+   */
+  getErrorCount() {
+    return this.state.errors;
+  }
+
+  /**
+   * Return the number of the next row to process.
+   *
+   * @return {number} The row number.
+   */
+  getNextRow() {
+    return this.state.next;
+  }
+
+  /**
+   * Return the Range of the table processed by a suspended job.
+   *
+   * @return {?Range} The Range of the table, or null if the sheet is gone.
+   */
+  getRange() {
+    const sheets = SpreadsheetApp.getActiveSpreadsheet().getSheets();
+    const sheet = sheets.find(sh => sh.getSheetId() == this.state.sheetId);
+    return sheet == undefined ? null : sheet.getRange(this.state.a1);
+  }
+
+  /* counters */
+
+  /**
+   * Increase a counter.
+   *
+   * @param {string} key - The name of the counter.
+   * @param {integer} delta - The value to add to the counter.
+   */
+  inc(key, delta=1) {
+    inc(this.counters, key, delta);
+  }
+
+  /**
+   * Count one more error.
+   */
+  addError() {
+    this.state.errors += 1;
+  }
+
+  /* execution */
+
+  /**
+   * Return true if the current execution has time left.
+   *
+   * @return {boolean} True if there is time left.
+   */
+  hasTimeLeft() {
+    return Date.now() - this.t0 < this.budget;
+  }
+
+  /**
+   * Process rows, from the next row to process to a last row.
+   *
+   * When the time budget is exhausted, the job is suspended: its state is
+   *  saved, and a trigger is scheduled to resume it.
+   *
+   * The work done (e.g. a batched table) is flushed every
+   *  JOBRUNNER_FLUSH_ROWS rows, so that little is lost if the execution is
+   *  killed anyway.
+   *
+   * @param {Range} r - The Range of the table, saved to resume the job.
+   * @param {number} last - The last row number.
+   * @param {function(number)} f - The function processing a row.
+   * @param {?function()} flush - The function flushing the work done, if any.
+   * @return {boolean} True if the job is done, false if it is suspended.
+   */
+  run(r, last, f, flush=null) {
+    for (let i = this.state.next; i <= last; i++) {
+      if (!this.hasTimeLeft()) {
+        this.suspend(r, i);
+        return false;
+      }
+      f(i);
+      if (flush != null && (i - this.state.next + 1) % JOBRUNNER_FLUSH_ROWS == 0) {
+        flush();
+      }
+    }
+    this.finish();
+    return true;
+  }
+
+  /**
+   * Suspend the job, scheduling its resumption.
+   *
+   * @param {Range} r - The Range of the table.
+   * @param {number} next - The number of the next row to process.
+   */
+  suspend(r, next) {
+    this.state.next = next;
+    this.state.sheetId = r.getSheet().getSheetId();
+    this.state.a1 = r.getA1Notation();
+    this.save();
+
+    this.deleteTriggers();
+    ScriptApp.newTrigger(this.handler)
+      .timeBased()
+      .after(JOBRUNNER_RESUME_DELAY)
+      .create();
+    Logger.log('Job "%s" suspended before row %s', this.name, next);
+  }
+
+  /**
+   * Terminate the job, deleting its state and triggers.
+   */
+  finish() {
+    this.props.deleteProperty(this.name);
+    this.deleteTriggers();
+    Logger.log('Job "%s" done', this.name);
+  }
+
+  /* report */
+
+  /**
+   * Show the report of a job that is done, or keep it when there is no UI.
+   *
+   * @param {string} message - The report.
+   */
+  report(message) {
+    if (SheetHelper.hasUi()) {
+      SheetHelper.alertUser(message);
+      return;
+    }
+    Logger.log('Job "%s" report kept: %s', this.name, message);
+    this.props.setProperty(this.name + JOBRUNNER_REPORT_SUFFIX, message);
+  }
+
+  /**
+   * Show the report kept by report, if any, and forget it.
+   *
+   * Do nothing when there is no UI, e.g. when the job is being resumed.
+   *
+   * @param {boolean=} toast - True to show it as a toast, as when the
+   *                           spreadsheet is opened, rather than an alert.
+   */
+  showKeptReport(toast=false) {
+    if (!SheetHelper.hasUi()) {
+      return;
+    }
+    const key = this.name + JOBRUNNER_REPORT_SUFFIX;
+    const message = this.props.getProperty(key);
+    if (message == null) {
+      return;
+    }
+    this.props.deleteProperty(key);
+    if (toast) {
+      SpreadsheetApp.getActiveSpreadsheet().toast(message, '', -1);
+    } else {
+      SheetHelper.alertUser(message);
+    }
+  }
+
+  /**
+   * Delete the triggers resuming the job.
+   */
+  deleteTriggers() {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() == this.handler) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  }
+};
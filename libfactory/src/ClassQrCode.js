@@ -0,0 +1,752 @@
+/**
+ * Class QrCode
+ *
+ * A QrCode is the matrix of a QR code encoding a text, computed locally, with
+ * no call to an external service, and rendered as a PNG image.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Usage:
+ *   const blob = QrCode.encode('https://example.com').getBlob();
+ *
+ * Note:
+ *  - the text is encoded in byte mode (UTF-8), in the smallest version (1 to
+ *    40) that fits, with the mask of lowest penalty (ISO/IEC 18004).
+ *  - the PNG image is black and white, one bit per pixel, and stored without
+ *    compression, as Apps Script offers no deflate function.
+ */
+
+/* error correction levels: format bits, and index in the tables below */
+const QRCODE_ECC_LEVELS = new Map([
+  ['L', {formatBits: 1, index: 0}],
+  ['M', {formatBits: 0, index: 1}],
+  ['Q', {formatBits: 3, index: 2}],
+  ['H', {formatBits: 2, index: 3}],
+]);
+
+/* error correction codewords per block, by level and version */
+const QRCODE_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+    28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30,
+    28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28,
+    30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+/* error correction blocks, by level and version */
+const QRCODE_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+    8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+    23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+    25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+/* weights of the mask penalty rules */
+const QRCODE_PENALTY_N1 = 3;
+const QRCODE_PENALTY_N2 = 3;
+const QRCODE_PENALTY_N3 = 40;
+const QRCODE_PENALTY_N4 = 10;
+
+/**
+ * Class representing a QR code.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var QrCode = class QrCode {
+  /**
+   * Create a QrCode, drawing the modules of the codewords.
+   * @param {number} version - The version, from 1 to 40.
+   * @param {string} ecl - The error correction level: 'L', 'M', 'Q' or 'H'.
+   * @param {number[]} dataCodewords - The data codewords, without error correction.
+   */
+  constructor(version, ecl, dataCodewords) {
+    this.version = version;
+    this.ecl = ecl;
+    this.size = version * 4 + 17;
+    /* modules[y][x]: true for dark */
+    this.modules = [];
+    this.isFunction = [];
+    for (let y = 0; y < this.size; y++) {
+      this.modules.push(new Array(this.size).fill(false));
+      this.isFunction.push(new Array(this.size).fill(false));
+    }
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+    /* keep the mask of lowest penalty */
+    let best = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.getPenaltyScore();
+      if (penalty < minPenalty) {
+        best = mask;
+        minPenalty = penalty;
+      }
+      /* masks are XORed: applying again undoes */
+      this.applyMask(mask);
+    }
+    this.applyMask(best);
+    this.drawFormatBits(best);
+    this.mask = best;
+  }
+
+  /* static members */
+
+  /**
+   * Encode a text in the smallest QR code that fits.
+   *
+   * @param {string} text - The text.
+   * @param {string=} ecl - The error correction level: 'L', 'M' (default),
+   *                        'Q' or 'H'.
+   * @return {QrCode} The QR code.
+   */
+  static encode(text, ecl='M') {
+    QrCode.assert(QRCODE_ECC_LEVELS.has(ecl), 'unknown error correction level ' + ecl);
+    const bytes = QrCode.toUtf8(text);
+
+    /* find the smallest version */
+    let version = 1;
+    for (; ; version++) {
+      if (version > 40) {
+        throw new Error(i18n([
+          'Text too long for a QR code.',
+          'Texte trop long pour un QR code.',
+        ]));
+      }
+      const countBits = version < 10 ? 8 : 16;
+      if (bytes.length < (1 << countBits) &&
+          4 + countBits + bytes.length * 8 <= QrCode.getNumDataCodewords(version, ecl) * 8) {
+        break;
+      }
+    }
+
+    /* mode, count, data, terminator, padding */
+    const bits = [];
+    const append = function(value, length) {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+    append(0x4, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    for (const b of bytes) {
+      append(b, 8);
+    }
+    const capacity = QrCode.getNumDataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return new QrCode(version, ecl, codewords);
+  }
+
+  /**
+   * Return the UTF-8 bytes of a text.
+   *
+   * @param {string} text - The text.
+   * @return {number[]} The bytes.
+   */
+  static toUtf8(text) {
+    const bytes = [];
+    for (const ch of text) {
+      const c = ch.codePointAt(0);
+      if (c < 0x80) {
+        bytes.push(c);
+      } else if (c < 0x800) {
+        bytes.push(0xC0 | c >>> 6, 0x80 | c & 0x3F);
+      } else if (c < 0x10000) {
+        bytes.push(0xE0 | c >>> 12, 0x80 | c >>> 6 & 0x3F, 0x80 | c & 0x3F);
+      } else {
+        bytes.push(0xF0 | c >>> 18, 0x80 | c >>> 12 & 0x3F, 0x80 | c >>> 6 & 0x3F, 0x80 | c & 0x3F);
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Return the number of modules available for data and error correction.
+   *
+   * @param {number} version - The version.
+   * @return {number} The number of modules.
+   */
+  static getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Return the number of data codewords of a version and level.
+   *
+   * @param {number} version - The version.
+   * @param {string} ecl - The error correction level.
+   * @return {number} The number of codewords.
+   */
+  static getNumDataCodewords(version, ecl) {
+    const k = QRCODE_ECC_LEVELS.get(ecl).index;
+    return Math.floor(QrCode.getNumRawDataModules(version) / 8) -
+        QRCODE_ECC_CODEWORDS_PER_BLOCK[k][version] * QRCODE_ECC_BLOCKS[k][version];
+  }
+
+  /* Reed-Solomon error correction, over GF(2^8) modulo 0x11D */
+
+  /**
+   * Multiply two elements of GF(2^8).
+   *
+   * @param {number} x - The first element.
+   * @param {number} y - The second element.
+   * @return {number} The product.
+   */
+  static multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Return the generator polynomial of a given degree, without its leading term.
+   *
+   * @param {number} degree - The degree.
+   * @return {number[]} The coefficients, from the highest power.
+   */
+  static getDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QrCode.multiply(result[j], root);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = QrCode.multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Return the error correction codewords of a block of data.
+   *
+   * @param {number[]} data - The data codewords.
+   * @param {number[]} divisor - The generator polynomial (see getDivisor).
+   * @return {number[]} The error correction codewords.
+   */
+  static getRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach(function(coef, i) {
+        result[i] ^= QrCode.multiply(coef, factor);
+      });
+    }
+    return result;
+  }
+
+  /* drawing */
+
+  /**
+   * Split the data codewords into blocks, add their error correction
+   *  codewords, and interleave the blocks.
+   *
+   * @param {number[]} data - The data codewords.
+   * @return {number[]} The final codewords.
+   */
+  addEccAndInterleave(data) {
+    const k = QRCODE_ECC_LEVELS.get(this.ecl).index;
+    const numBlocks = QRCODE_ECC_BLOCKS[k][this.version];
+    const blockEccLen = QRCODE_ECC_CODEWORDS_PER_BLOCK[k][this.version];
+    const rawCodewords = Math.floor(QrCode.getNumRawDataModules(this.version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = QrCode.getDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, j = 0; i < numBlocks; i++) {
+      const dat = data.slice(j, j + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      j += dat.length;
+      const ecc = QrCode.getRemainder(dat, divisor);
+      if (i < numShortBlocks) {
+        dat.push(0);
+      }
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach(function(block, j) {
+        /* skip the padding of short blocks */
+        if (i != shortBlockLen - blockEccLen || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Set a module of a function pattern.
+   *
+   * @param {number} x - The column.
+   * @param {number} y - The row.
+   * @param {boolean} dark - True for dark.
+   */
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw the finder, timing and alignment patterns, and reserve the format
+   *  and version areas.
+   */
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 == 0);
+      this.setFunctionModule(i, 6, i % 2 == 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    const positions = this.getAlignmentPatternPositions();
+    const n = positions.length;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        /* skip the corners of the finder patterns */
+        if (!(i == 0 && j == 0 || i == 0 && j == n - 1 || i == n - 1 && j == 0)) {
+          this.drawAlignmentPattern(positions[i], positions[j]);
+        }
+      }
+    }
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  /**
+   * Draw a finder pattern and its separator.
+   *
+   * @param {number} x - The column of the center.
+   * @param {number} y - The row of the center.
+   */
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (0 <= xx && xx < this.size && 0 <= yy && yy < this.size) {
+          this.setFunctionModule(xx, yy, dist != 2 && dist != 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw an alignment pattern.
+   *
+   * @param {number} x - The column of the center.
+   * @param {number} y - The row of the center.
+   */
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) != 1);
+      }
+    }
+  }
+
+  /**
+   * Return the positions of the alignment patterns, on both axes.
+   *
+   * @return {number[]} The positions, in increasing order.
+   */
+  getAlignmentPatternPositions() {
+    if (this.version == 1) {
+      return [];
+    }
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  /**
+   * Draw the two copies of the format bits, for a mask.
+   *
+   * @param {number} mask - The mask, from 0 to 7.
+   */
+  drawFormatBits(mask) {
+    const data = QRCODE_ECC_LEVELS.get(this.ecl).formatBits << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = (data << 10 | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) != 0;
+
+    /* first copy, around the top left finder */
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, bit(i));
+    }
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, bit(i));
+    }
+
+    /* second copy, along the other finders */
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, this.size - 15 + i, bit(i));
+    }
+    /* always dark */
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  /**
+   * Draw the two copies of the version bits, from version 7.
+   */
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    }
+    const bits = this.version << 12 | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) != 0;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  /**
+   * Draw the codewords in zigzag, outside the function patterns.
+   *
+   * @param {number[]} data - The final codewords.
+   */
+  drawCodewords(data) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right == 6) {
+        /* skip the vertical timing pattern */
+        right = 5;
+      }
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) == 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) != 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask with the modules outside the function patterns.
+   *
+   * @param {number} mask - The mask, from 0 to 7.
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 == 0; break;
+          case 1: invert = y % 2 == 0; break;
+          case 2: invert = x % 3 == 0; break;
+          case 3: invert = (x + y) % 3 == 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 == 0; break;
+          case 5: invert = x * y % 2 + x * y % 3 == 0; break;
+          case 6: invert = (x * y % 2 + x * y % 3) % 2 == 0; break;
+          default: invert = ((x + y) % 2 + x * y % 3) % 2 == 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Return the penalty of the current modules, to choose a mask.
+   *
+   * @return {number} The penalty.
+   */
+  getPenaltyScore() {
+    let result = 0;
+    const size = this.size;
+
+    /* runs of same color, and finder-like patterns, in rows then columns */
+    for (const get of [(a, b) => this.modules[a][b], (a, b) => this.modules[b][a]]) {
+      for (let a = 0; a < size; a++) {
+        let runColor = false;
+        let run = 0;
+        const history = [0, 0, 0, 0, 0, 0, 0];
+        for (let b = 0; b < size; b++) {
+          if (get(a, b) == runColor) {
+            run++;
+            if (run == 5) {
+              result += QRCODE_PENALTY_N1;
+            } else if (run > 5) {
+              result++;
+            }
+          } else {
+            this.addRunToHistory(run, history);
+            if (!runColor) {
+              result += this.countFinderPatterns(history) * QRCODE_PENALTY_N3;
+            }
+            runColor = get(a, b);
+            run = 1;
+          }
+        }
+        if (runColor) {
+          this.addRunToHistory(run, history);
+          run = 0;
+        }
+        this.addRunToHistory(run + size, history);
+        result += this.countFinderPatterns(history) * QRCODE_PENALTY_N3;
+      }
+    }
+
+    /* 2x2 blocks of same color */
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = this.modules[y][x];
+        if (color == this.modules[y][x + 1] && color == this.modules[y + 1][x] &&
+            color == this.modules[y + 1][x + 1]) {
+          result += QRCODE_PENALTY_N2;
+        }
+      }
+    }
+
+    /* balance of dark and light modules */
+    const dark = this.modules.reduce((sum, row) => sum + row.filter(m => m).length, 0);
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * QRCODE_PENALTY_N4;
+    return result;
+  }
+
+  /**
+   * Push a run length in the history of the last seven runs.
+   *
+   * @param {number} run - The run length.
+   * @param {number[]} history - The history, most recent first.
+   */
+  addRunToHistory(run, history) {
+    if (history[0] == 0) {
+      /* add the light border to the first run */
+      run += this.size;
+    }
+    history.pop();
+    history.unshift(run);
+  }
+
+  /**
+   * Return the number of finder-like patterns (1:1:3:1:1 with light margins)
+   *  ending the history.
+   *
+   * @param {number[]} history - The history, most recent first.
+   * @return {number} 0, 1 or 2.
+   */
+  countFinderPatterns(history) {
+    const n = history[1];
+    const core = n > 0 && history[2] == n && history[3] == n * 3 && history[4] == n && history[5] == n;
+    return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+        (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+  }
+
+  /* rendering */
+
+  /**
+   * Return the size of the QR code, in modules.
+   *
+   * @return {number} The number of modules per side.
+   */
+  getSize() {
+    return this.size;
+  }
+
+  /**
+   * Return true if a module is dark.
+   *
+   * @param {number} x - The column.
+   * @param {number} y - The row.
+   * @return {boolean} True for dark.
+   */
+  getModule(x, y) {
+    return this.modules[y][x];
+  }
+
+  /**
+   * Return the QR code as a PNG image.
+   *
+   * @param {number=} scale - The size of a module, in pixels.
+   * @param {number=} border - The size of the light border, in modules.
+   * @return {number[]} The bytes of the PNG file, from 0 to 255.
+   */
+  toPng(scale=8, border=4) {
+    const width = (this.size + border * 2) * scale;
+    const rowBytes = Math.ceil(width / 8);
+
+    /* raw image: one filter byte (none) per line, then 1 bit per pixel, 1 for white */
+    const raw = [];
+    for (let py = 0; py < width; py++) {
+      raw.push(0);
+      const line = new Array(rowBytes).fill(0);
+      for (let px = 0; px < width; px++) {
+        const x = Math.floor(px / scale) - border;
+        const y = Math.floor(py / scale) - border;
+        const dark = 0 <= x && x < this.size && 0 <= y && y < this.size && this.modules[y][x];
+        if (!dark) {
+          line[px >>> 3] |= 0x80 >>> (px & 7);
+        }
+      }
+      raw.push(...line);
+    }
+
+    const header = [
+      ...QrCode.toBytes(width, 4), ...QrCode.toBytes(width, 4),
+      1, /* bit depth */
+      0, /* grayscale */
+      0, 0, 0, /* compression, filter, no interlace */
+    ];
+    return [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+      .concat(QrCode.getPngChunk('IHDR', header))
+      .concat(QrCode.getPngChunk('IDAT', QrCode.getZlibStored(raw)))
+      .concat(QrCode.getPngChunk('IEND', []));
+  }
+
+  /**
+   * Return the QR code as a PNG blob.
+   *
+   * @param {string=} name - The name of the blob.
+   * @param {number=} scale - The size of a module, in pixels.
+   * @return {Blob} The blob.
+   */
+  getBlob(name='qrcode.png', scale=8) {
+    /* Apps Script bytes are signed */
+    const bytes = this.toPng(scale).map(b => b > 127 ? b - 256 : b);
+    return Utilities.newBlob(bytes, 'image/png', name);
+  }
+
+  /**
+   * Return the big-endian bytes of an unsigned integer.
+   *
+   * @param {number} n - The integer.
+   * @param {number} length - The number of bytes.
+   * @return {number[]} The bytes.
+   */
+  static toBytes(n, length) {
+    const bytes = [];
+    for (let i = length - 1; i >= 0; i--) {
+      bytes.push((n >>> (i * 8)) & 0xFF);
+    }
+    return bytes;
+  }
+
+  /**
+   * Return a zlib stream holding data in stored (uncompressed) blocks.
+   *
+   * @param {number[]} data - The data.
+   * @return {number[]} The stream.
+   */
+  static getZlibStored(data) {
+    const out = [0x78, 0x01];
+    for (let i = 0; i == 0 || i < data.length; i += 0xFFFF) {
+      const block = data.slice(i, i + 0xFFFF);
+      const final = i + 0xFFFF >= data.length ? 1 : 0;
+      out.push(final, block.length & 0xFF, block.length >>> 8,
+          ~block.length & 0xFF, (~block.length >>> 8) & 0xFF);
+      for (const b of block) {
+        out.push(b);
+      }
+    }
+    /* Adler-32 checksum */
+    let a = 1;
+    let b = 0;
+    for (const d of data) {
+      a = (a + d) % 65521;
+      b = (b + a) % 65521;
+    }
+    return out.concat(QrCode.toBytes(((b << 16) | a) >>> 0, 4));
+  }
+
+  /**
+   * Return a PNG chunk: length, type, data and CRC.
+   *
+   * @param {string} type - The chunk type, e.g. 'IHDR'.
+   * @param {number[]} data - The chunk data.
+   * @return {number[]} The chunk.
+   */
+  static getPngChunk(type, data) {
+    const typed = Array.from(type, c => c.charCodeAt(0)).concat(data);
+    let crc = 0xFFFFFFFF;
+    for (const b of typed) {
+      crc ^= b;
+      for (let k = 0; k < 8; k++) {
+        crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+      }
+    }
+    return QrCode.toBytes(data.length, 4).concat(typed, QrCode.toBytes((crc ^ 0xFFFFFFFF) >>> 0, 4));
+  }
+
+  /**
+   * Raise an Error if a condition is not met.
+   *
+   * @param {boolean} condition - The condition.
+   * @param {string} message - The message of the Error.
+   */
+  static assert(condition, message) {
+    if (!condition) {
+      throw new Error('QrCode: ' + message);
+    }
+  }
+};
@@ -0,0 +1,354 @@
+/**
+ * Class RunManifest
+ *
+ * A RunManifest records the changes made by a run of an application (files
+ * created, trashed, re-owned or re-shared, cells written...), so that the
+ * last run can be undone.
+ *
+ * Christophe Bisière
+ *
+ * version 2026-10-19
+ *
+ * Note:
+ *  - the changes are kept in a hidden sheet of the spreadsheet, one line per
+ *    change, as a run may be too large for a property store, and may span
+ *    several executions (see JobRunner).
+ *  - lines are buffered, and appended to the sheet by flush().
+ *  - the changes of a run are undone in reverse order, then forgotten, so
+ *    that undoing again undoes the previous run.
+ *  - changes of kinds unknown to the library (e.g. courses) are undone by
+ *    handlers provided by the application.
+ *  - cells are recorded by table (its anchor, or its top-left cell), row key
+ *    and column label, and found again when undoing, so that rows inserted,
+ *    deleted or sorted since do not shift them. Rows without a key are
+ *    found by number. Dates are restored as dates.
+ */
+
+/* name of the sheet holding the manifests */
+const MANIFEST_SHEET_NAME = 'Factory runs';
+
+/* columns of the sheet */
+const MANIFEST_COLUMNS = ['Run', 'Application', 'Timestamp', 'User', 'Kind', 'Id', 'Data'];
+
+/* kinds of changes undone by the library */
+const MANIFEST_CREATED_FILE = 'created file'; /* undo: trash the file */
+const MANIFEST_CREATED_FOLDER = 'created folder'; /* undo: trash the folder */
+const MANIFEST_TRASHED_FILE = 'trashed file'; /* undo: untrash the file */
+const MANIFEST_UNTRASHED_FILE = 'untrashed file'; /* undo: trash the file */
+const MANIFEST_OWNER = 'owner'; /* data: previous owner; undo: restore it */
+const MANIFEST_SHARING = 'sharing'; /* data: previous editors, viewers and commenters; undo: restore them */
+const MANIFEST_CELL = 'cell'; /* id: sheet id; data: table, row key, column label and previous value; undo: restore it */
+
+/**
+ * Class representing the changes made by a run.
+ *
+ * Note: assigning the class to a variable is required to export the name to
+ *  to library users.
+ */
+
+var RunManifest = class RunManifest {
+  /**
+   * Create a RunManifest.
+   * @param {string} app - The name of the application, e.g. "DocApp".
+   * @param {?string} runId - The id of the run being recorded, or null to
+   *                          only undo runs.
+   * @param {Spreadsheet=} ss - The spreadsheet holding the manifests
+   *                            (default: the active one).
+   */
+  constructor(app, runId=null, ss=null) {
+    this.app = app;
+    this.runId = runId;
+    this.ss = ss == null ? SpreadsheetApp.getActiveSpreadsheet() : ss;
+    this.user = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+    /* lines not yet written */
+    this.lines = [];
+  }
+
+  /* static members */
+
+  /**
+   * Return the sheet holding the manifests of a spreadsheet.
+   *
+   * @param {Spreadsheet} ss - The spreadsheet.
+   * @param {boolean} create - True to create the sheet if it does not exist.
+   * @return {?Sheet} The sheet, or null if it does not exist.
+   */
+  static getSheet(ss, create=false) {
+    let sheet = ss.getSheetByName(MANIFEST_SHEET_NAME);
+    if (sheet == null && create) {
+      sheet = ss.insertSheet(MANIFEST_SHEET_NAME, ss.getNumSheets());
+      sheet.getRange(1, 1, 1, MANIFEST_COLUMNS.length)
+        .setValues([MANIFEST_COLUMNS])
+        .setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.hideSheet();
+    }
+    return sheet;
+  }
+
+  /* recording */
+
+  /**
+   * Return the id of the run being recorded.
+   *
+   * @return {?string} The run id.
+   */
+  getRunId() {
+    return this.runId;
+  }
+
+  /**
+   * Record a change.
+   *
+   * @param {string} kind - The kind of change, e.g. MANIFEST_CREATED_FILE.
+   * @param {string} id - The id of the changed object.
+   * @param {Object=} data - What is needed to undo the change.
+   */
+  record(kind, id, data={}) {
+    this.assert(this.runId != null, 'record: no run');
+    this.lines.push([this.runId, this.app, new Date(), this.user, kind, id, JSON.stringify(data)]);
+  }
+
+  /**
+   * Record the sharing of a file, before it is changed.
+   *
+   * @param {File} file - The file.
+   */
+  recordSharing(file) {
+    this.record(MANIFEST_SHARING, file.getId(), DriveHelper.getAccessLists(file));
+  }
+
+  /**
+   * Record the value of a cell of a table, before it is changed.
+   *
+   * @param {DataTable} dt - The table.
+   * @param {number} i - The row number.
+   * @param {string} label - The label of the column of the cell.
+   * @param {*} value - The previous value.
+   */
+  recordCell(dt, i, label, value) {
+    const r = dt.getRange();
+    const nr = dt.getAnchor();
+    const keyLabel = dt.getManifestKeyLabel();
+    const key = keyLabel != null && dt.has(keyLabel) ? DataTable.getKey(dt.getValue(i, keyLabel)) : '';
+    const isDate = value instanceof Date;
+    this.record(MANIFEST_CELL, String(r.getSheet().getSheetId()), {
+      anchor: nr == null ? null : nr.getName(),
+      table: r.getCell(1, 1).getA1Notation(),
+      keyLabel: key === '' ? null : keyLabel,
+      key: key,
+      row: i,
+      label: label,
+      type: isDate ? 'date' : typeof value,
+      value: isDate ? value.toISOString() : value,
+    });
+  }
+
+  /**
+   * Append the recorded lines to the sheet.
+   */
+  flush() {
+    if (this.lines.length == 0) {
+      return;
+    }
+    const sheet = RunManifest.getSheet(this.ss, true);
+    const r = sheet.getRange(sheet.getLastRow() + 1, 1, this.lines.length, MANIFEST_COLUMNS.length);
+    /* keep ids as typed text */
+    r.setNumberFormat('@');
+    r.setValues(this.lines);
+    Logger.log('RunManifest: %s line(s) written', this.lines.length);
+    this.lines = [];
+  }
+
+  /* undoing */
+
+  /**
+   * Return the lines of the last run of the application.
+   *
+   * @return {Array} The list of [row number, line], in recording order.
+   */
+  getLastRun() {
+    const sheet = RunManifest.getSheet(this.ss);
+    if (sheet == null || sheet.getLastRow() < 2) {
+      return [];
+    }
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, MANIFEST_COLUMNS.length).getValues();
+    const mine = values
+      .map((line, k) => [k + 2, line])
+      .filter(([k, line]) => line[1] == this.app);
+    if (mine.length == 0) {
+      return [];
+    }
+    const runId = mine[mine.length - 1][1][0];
+    return mine.filter(([k, line]) => line[0] == runId);
+  }
+
+  /**
+   * Find the cells recorded in lines of a run, before any is restored.
+   *
+   * Lines are taken in reverse order, following the changes of row keys
+   *  back to the keys the earlier lines were recorded with. A cell that
+   *  cannot be found (e.g. its table or row was deleted since) is left
+   *  undefined.
+   *
+   * @param {Array} lines - The list of [row number, line], in recording order.
+   * @return {Map} The map of row number of the line to the data of the line,
+   *               including the cell found.
+   */
+  locateCells(lines) {
+    const tables = new Map();
+    const moved = new Map();
+    const cells = new Map();
+    for (const [k, line] of lines.slice().reverse()) {
+      const [runId, app, date, user, kind, id, json] = line;
+      if (kind != MANIFEST_CELL) {
+        continue;
+      }
+      const data = JSON.parse(json || '{}');
+      try {
+        const name = data.anchor == null ? id + '!' + data.table : data.anchor;
+        if (!tables.has(name)) {
+          tables.set(name, this.findTable(String(id), data));
+        }
+        const dt = tables.get(name);
+        let i = data.row;
+        if (data.keyLabel != null) {
+          const rowKey = name + '\n' + data.keyLabel + '\n' + data.key;
+          i = moved.has(rowKey) ? moved.get(rowKey) : dt.findRowByKey(data.keyLabel, data.key);
+          this.assert(i != null, `row "${data.key}" not found in ${name}`);
+          if (data.label == data.keyLabel) {
+            moved.set(name + '\n' + data.keyLabel + '\n' + DataTable.getKey(data.value), i);
+          }
+        }
+        this.assert(dt.has(data.label), `column "${data.label}" not found in ${name}`);
+        this.assert(i >= 1 && i <= dt.getNumRows(), `row ${i} not found in ${name}`);
+        data.cell = dt.getCell(i, data.label);
+      } catch (e) {
+        Logger.log('Cannot locate cell %s: %s', json, e);
+      }
+      cells.set(k, data);
+    }
+    return cells;
+  }
+
+  /**
+   * Find the table of a recorded cell: the one of its anchor, if any, or
+   *  the one starting at its top-left cell.
+   *
+   * @param {string} id - The id of the sheet.
+   * @param {Object} data - The data recorded with the cell.
+   * @return {DataTable} The table.
+   */
+  findTable(id, data) {
+    if (data.anchor != null) {
+      const nr = this.ss.getNamedRanges().find(nr => nr.getName() == data.anchor);
+      this.assert(nr != undefined, `anchor "${data.anchor}" not found`);
+      return new DataTable(DataTable.extendAnchor(nr));
+    }
+    const sheet = this.ss.getSheets().find(s => String(s.getSheetId()) == id);
+    this.assert(sheet != undefined, `sheet ${id} not found`);
+    return new DataTable(DataTable.locateFromHeaderCell(sheet.getRange(data.table)));
+  }
+
+  /**
+   * Undo one change.
+   *
+   * @param {string} kind - The kind of change.
+   * @param {string} id - The id of the changed object.
+   * @param {Object} data - The data recorded with the change, and the cell
+   *                        found by locateCells() for cell changes.
+   * @param {Map} handlers - The map of kind to function(id, data) undoing
+   *                         changes of kinds unknown to the library.
+   */
+  undoChange(kind, id, data, handlers) {
+    switch (kind) {
+      case MANIFEST_CREATED_FILE:
+      case MANIFEST_UNTRASHED_FILE:
+        DriveApp.getFileById(id).setTrashed(true);
+        break;
+      case MANIFEST_CREATED_FOLDER:
+        DriveApp.getFolderById(id).setTrashed(true);
+        break;
+      case MANIFEST_TRASHED_FILE:
+        DriveApp.getFileById(id).setTrashed(false);
+        break;
+      case MANIFEST_OWNER:
+        DriveHelper.setOwnerQuiet(data.owner, DriveApp.getFileById(id));
+        break;
+      case MANIFEST_SHARING:
+        DriveHelper.setAccessLists(DriveApp.getFileById(id), data, Session.getActiveUser());
+        break;
+      case MANIFEST_CELL:
+        data.cell.setValue(data.type == 'date' ? new Date(data.value) : data.value);
+        break;
+      default:
+        if (!handlers.has(kind)) {
+          throw new Error(`unknown change "${kind}"`);
+        }
+        handlers.get(kind)(id, data);
+        break;
+    }
+  }
+
+  /**
+   * Undo the last run of the application, then forget it.
+   *
+   * Changes are undone in reverse order. A change that cannot be undone
+   *  (e.g. a file deleted since) is logged and counted, and the next
+   *  changes are undone anyway.
+   *
+   * @param {Map=} handlers - The map of kind to function(id, data) undoing
+   *                          changes of kinds unknown to the library.
+   * @return {Object} The number of changes undone, and of changes that
+   *                  could not be undone: {undone, errors}.
+   */
+  undoLastRun(handlers=new Map()) {
+    const lines = this.getLastRun();
+    if (lines.length == 0) {
+      throw new Error(i18n([
+        'There is no run to undo.',
+        'Aucune exécution à annuler.',
+      ]));
+    }
+
+    const cells = this.locateCells(lines);
+    let undone = 0;
+    let errors = 0;
+    for (const [k, line] of lines.slice().reverse()) {
+      const [runId, app, date, user, kind, id, data] = line;
+      try {
+        this.assert(kind != MANIFEST_CELL || cells.get(k).cell != undefined, 'cell not found');
+        this.undoChange(kind, String(id), cells.has(k) ? cells.get(k) : JSON.parse(data || '{}'), handlers);
+        undone += 1;
+      } catch (e) {
+        Logger.log('Cannot undo %s %s: %s', kind, id, e);
+        errors += 1;
+      }
+    }
+
+    /* forget the run, deleting its lines bottom-up */
+    const sheet = RunManifest.getSheet(this.ss);
+    for (const [i, nb] of DataTable.getRuns(lines.map(([k, line]) => k)).reverse()) {
+      if (i == 2 && i + nb - 1 >= sheet.getMaxRows()) {
+        /* a sheet cannot lose all its non-frozen rows */
+        sheet.getRange(i, 1, nb, MANIFEST_COLUMNS.length).clearContent();
+      } else {
+        sheet.deleteRows(i, nb);
+      }
+    }
+
+    return {undone: undone, errors: errors};
+  }
+
+  /**
+   * Raise an Error if a condition is not met.
+   *
+   * @param {boolean} condition - The condition.
+   * @param {string} message - The message of the Error.
+   */
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error('RunManifest: ' + message);
+    }
+  }
+};
@@ -24,6 +24,61 @@ var SheetHelper = class SheetHelper {
     }
   }
 
+ /**
+   * Return true if the UI is available, that is, not in an execution started
+   *  by a time-based trigger.
+   *
+   * @return {boolean} True if the UI is available.
+   */
+  static hasUi() {
+    try {
+      SpreadsheetApp.getUi();
+      return true;
+    } catch(e) {
+      return false;
+    }
+  }
+
+ /**
+   * Ask the user to confirm an operation.
+   *
+   * @param {String} message The question to ask.
+   * @return {boolean} True if the user answered yes.
+   */
+  static confirmUser(message) {
+    const ui = SpreadsheetApp.getUi();
+    return ui.alert(message, ui.ButtonSet.YES_NO) == ui.Button.YES;
+  }
+
+ /**
+   * Ask the user to choose an item in a numbered list.
+   *
+   * @param {String} title The title of the dialog.
+   * @param {String[]} items The items to choose from.
+   * @return {?number} The index of the chosen item, or null if the user
+   *                   cancelled or entered an invalid number.
+   */
+  static promptChoice(title, items) {
+    const ui = SpreadsheetApp.getUi();
+    const list = items.map((item, k) => (k+1) + '. ' + item).join('\n');
+    const response = ui.prompt(title, list + '\n\n' + i18n([
+      'Enter a number:',
+      'Saisir un numéro :',
+    ]), ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() != ui.Button.OK) {
+      return null;
+    }
+    const k = parseInt(response.getResponseText().trim(), 10);
+    if (isNaN(k) || k < 1 || k > items.length) {
+      SheetHelper.alertUser(i18n([
+        'Invalid choice: "' + response.getResponseText() + '".',
+        'Choix invalide : "' + response.getResponseText() + '".',
+      ]));
+      return null;
+    }
+    return k-1;
+  }
+
  /**
    * Format each cell in a range as text.
    *
@@ -134,4 +189,17 @@ var SheetHelper = class SheetHelper {
     var finder = sheet.createTextFinder(findText).matchEntireCell(true)
     return finder.findAll();
   }
+
+  /**
+   * Returns an array of cells (each being a Range) in a sheet, whose entire
+   *  content matches a regular expression
+   *
+   * Note: is case insensitive by default (add matchCase(true) to change that)
+   *
+   * https://developers.google.com/apps-script/reference/spreadsheet/text-finder
+   */
+  static findCellsByRegex(sheet, regex) {
+    var finder = sheet.createTextFinder(regex).useRegularExpression(true).matchEntireCell(true)
+    return finder.findAll();
+  }
 }
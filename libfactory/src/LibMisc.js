@@ -147,6 +147,16 @@ function assert(condition, message) {
   }
 }
 
+/**
+ * Return true if an error raised by a Google service means that the requested
+ * item does not exist (HTTP 404), rather than a permission, quota or backend
+ * error
+ */
+function isNotFoundError(e) {
+  const message = e.message === undefined ? String(e) : e.message;
+  return /\b404\b|not found/i.test(message);
+}
+
 /**
  * Escape all regexp special characters in a string
  *